@@ -1,9 +1,13 @@
-import { MAX_FRAMES } from './config/constants.js';
-import { packClusterBubbles, animateClusterToPacked } from './utils/clusterLayout.js';
+import { MAX_FRAMES, BUBBLE_TRANSITION_FRAMES } from './config/constants.js';
+import { requestClusterPacking, animateClusterToPacked } from './utils/clusterLayout.js';
+import { getComputePipeline } from './data/computePipeline.js';
 import { revertClusterSmoothly } from './utils/physics.js';
 import { draw } from './utils/renderUtils.js';
 import { updateTooltip } from './ui/uiComponents.js';
-import { state, subscribe, getState } from './state/state.js';
+import { stepBubbleTransitions, hasActiveTransitions } from './utils/transitions.js';
+import { markBubblesMoved } from './utils/hitTest.js';
+import { getBubbleStore } from './data/bubbleStore.js';
+import { state, subscribe, getState, dispatch } from './state/state.js';
 
 /**
  * Purpose: Handles the main animation loop and cluster animations for the chart.
@@ -12,7 +16,7 @@ import { state, subscribe, getState } from './state/state.js';
  * @param {HTMLElement} tooltip - The tooltip element
  * @param {HTMLCanvasElement} canvas - The canvas element
  */
-function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, showImages, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, PROTOCOL_COLORS, DEFAULT_PROTOCOL_COLOR, PADDED_MIN_DATE, PADDED_MAX_DATE, draw, updateTooltip, packClusterBubbles, animateClusterToPacked, revertClusterSmoothly, MAX_FRAMES) {
+function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, showImages, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, PADDED_MIN_DATE, PADDED_MAX_DATE, draw, updateTooltip, packClusterBubbles, animateClusterToPacked, revertClusterSmoothly, MAX_FRAMES) {
     let animationFrameId = null;
     let isAnimating = false;
 
@@ -30,8 +34,6 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
                 latestState.singleBubbles,
                 clusters,
                 latestState.showImages,
-                PROTOCOL_COLORS,
-                DEFAULT_PROTOCOL_COLOR,
                 latestState.allBubbles,
                 latestState.paddedMinDate || PADDED_MIN_DATE,
                 latestState.paddedMaxDate || PADDED_MAX_DATE
@@ -39,9 +41,31 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
         }
     }
 
+    /**
+     * Advance refresh transitions and drop exited bubbles once they have faded out
+     * @param {Object} latestState
+     * @returns {boolean} Whether a transition advanced this frame
+     */
+    function stepTransitions(latestState) {
+        const store = getBubbleStore(latestState.allBubbles);
+        const moving = !!store && stepBubbleTransitions(store, BUBBLE_TRANSITION_FRAMES);
+        if (moving) markBubblesMoved(store);
+        const exiting = latestState.exitingBubbles;
+        if (exiting.length === 0) return moving;
+        // Exiting bubbles stay in the stores of the layouts they were dropped from
+        for (const exitingStore of new Set(exiting.map(b => b.store))) {
+            stepBubbleTransitions(exitingStore, BUBBLE_TRANSITION_FRAMES);
+        }
+        const remaining = exiting.filter(b => b.inTransition);
+        if (remaining.length !== exiting.length) {
+            dispatch({ type: 'SET_EXITING_BUBBLES', payload: remaining });
+        }
+        return true;
+    }
+
     function loop() {
         const latestState = getState();
-        let needsUpdate = false;
+        let needsUpdate = stepTransitions(latestState);
 
         // Check if any clusters need animation
         for (const cluster of latestState.clusters) {
@@ -55,17 +79,18 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
             // Update clusters
             for (const cluster of latestState.clusters) {
                 if (cluster.state === "expanding") {
-                    if (!cluster.packedInitialized) {
-                        packClusterBubbles(
-                            cluster,
-                            latestState.chartPaddingX || CHART_PADDING_X,
-                            latestState.width || WIDTH,
-                            latestState.chartPaddingTop || CHART_PADDING_TOP,
-                            latestState.chartHeight || CHART_HEIGHT
-                        );
-                        cluster.packedInitialized = true;
-                    }
+                    // Packing runs on the compute pipeline; the cluster waits in place until it is done
+                    const packed = requestClusterPacking(
+                        cluster,
+                        getComputePipeline(),
+                        latestState.chartPaddingX || CHART_PADDING_X,
+                        latestState.width || WIDTH,
+                        latestState.chartPaddingTop || CHART_PADDING_TOP,
+                        latestState.chartHeight || CHART_HEIGHT
+                    );
+                    if (!packed) continue;
                     animateClusterToPacked(cluster, 0.18);
+                    markBubblesMoved(cluster.store, cluster.indices);
                     cluster.frameCount++;
                     if (cluster.frameCount >= MAX_FRAMES) {
                         cluster.state = "expanded";
@@ -79,7 +104,9 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
                         latestState.width || WIDTH,
                         latestState.height || HEIGHT
                     );
+                    markBubblesMoved(cluster.store, cluster.indices);
                     cluster.packedInitialized = false;
+                    cluster.packing = null;
                     cluster.frameCount = 0;
                     
                     // Check if reversion is complete
@@ -109,8 +136,6 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
                 latestState.singleBubbles,
                 clusters,
                 latestState.showImages,
-                PROTOCOL_COLORS,
-                DEFAULT_PROTOCOL_COLOR,
                 latestState.allBubbles,
                 latestState.paddedMinDate || PADDED_MIN_DATE,
                 latestState.paddedMaxDate || PADDED_MAX_DATE
@@ -133,7 +158,7 @@ function animate(ctx, tooltip, canvas, clusters, singleBubbles, allBubbles, show
         }
 
         // Check if we need to start animation
-        let shouldAnimate = false;
+        let shouldAnimate = newState.exitingBubbles.length > 0 || hasActiveTransitions(getBubbleStore(newState.allBubbles));
         for (const cluster of newState.clusters) {
             if (cluster.state === "expanding" || cluster.state === "reverting") {
                 shouldAnimate = true;
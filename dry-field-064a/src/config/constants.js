@@ -18,6 +18,10 @@ export const VELOCITY_POWER = 0.9;
 export const MAX_FRAMES = 60;
 export const REVERT_DELAY = 2000;
 export const REVERT_SPEED = 0.15;
+export const BUBBLE_TRANSITION_FRAMES = 45; // Frames for a bubble to enter, move or exit after a refresh
+export const CLUSTER_OVERLAP_THRESHOLD = 0.98; // Bubbles cluster when centres are closer than this fraction of their summed radii
+export const TIME_ZOOM_MIN_SPAN = 60 * 60 * 1000; // Narrowest time axis zoom, in ms
+export const TIME_ZOOM_WHEEL_SENSITIVITY = 0.002; // Zoom factor per pixel of wheel delta, as exp(deltaY * this)
 export const BASE_DAMPING = 0.75;
 export const EXTRA_DAMPING = 0.15;
 export const DAMPING_CLUSTER_THRESHOLD = 6;
@@ -27,6 +31,10 @@ export const DEFAULT_BUBBLE_OPACITY = 0.18;
 export const EXPANDED_BUBBLE_OPACITY = 0.68;
 export const DEFAULT_STROKE_OPACITY = 0.3;
 export const EXPANDED_STROKE_OPACITY = 0.8;
+export const RING_STROKE_OPACITY = 0.75; // Outline of unfilled (lender) bubbles
+export const RING_STROKE_WIDTH = 2.5;
+export const CLIP_MARKER_SIZE = 6; // Arrows on bubbles pinned to the chart edge or a size limit
+export const CLIP_MARKER_OPACITY = 0.85;
 
 // Layout Constants
 export const CHART_HEIGHT_RATIO = 0.88; // Reduce plot area to leave space for x-axis labels
@@ -43,12 +51,45 @@ export const DATE_TICK_COUNT = 12; // Number of date ticks to show
 export const MIN_PADDING_PERCENT = 0.05;  // Minimum 5% padding
 export const MAX_PADDING_PERCENT = 0.1;   // Maximum 10% padding
 export const BUBBLE_PADDING_FACTOR = 1.2; // Add 20% extra space for bubble radius
+export const OUTLIER_CLIP_PERCENTILE = 2; // Linear and log scales span the 2nd–98th percentile; values beyond are pinned as outliers
 
 // Axis and Tick Constants
 export const DATE_FORMAT = { month: 'short', day: 'numeric' };
 export const GRID_LINE_COLOR = '#ddd';
 export const AXIS_LINE_COLOR = '#666';
 
+// Data Fetching Constants
+export const LOANS_DUE_ENDPOINT = 'https://sdk-api.nftfi.com/data/v0/pipes/loans_due_endpoint.json';
+export const LOAN_PAGE_SIZE = 1000; // Rows requested per page from the loans_due endpoint
+export const FETCH_RETRY_COUNT = 3; // Retries after a 429/5xx response
+export const FETCH_RETRY_BASE_DELAY = 500; // ms, doubled on every retry
+export const FETCH_RETRY_MAX_DELAY = 8000; // ms, cap for a single backoff
+export const LOAN_CACHE_TTL = 6 * 60 * 60 * 1000; // ms, cached responses older than this are discarded
+export const AUTO_REFRESH_INTERVALS = [0, 30000, 60000, 300000]; // ms; 0 turns auto-refresh off
+
+// Image Loading Constants
+export const IMAGE_LOAD_CONCURRENCY = 6; // Bubble images downloading at once
+export const TOKEN_IMAGE_URL_TEMPLATE = 'https://nfts.reservoir.tools/token/ethereum/{nftAddress}:{nftId}/image/v1';
+// Where a bubble's image comes from, tried in order: a loan field, or a URL template filled from loan fields.
+// When every source fails the bubble gets a generated placeholder.
+export const IMAGE_SOURCE_CHAIN = [
+    { field: 'nftImageSmallUri' },
+    { field: 'nftImageLargeUri' },
+    { field: 'nftProjectImageUri' },
+    { template: TOKEN_IMAGE_URL_TEMPLATE }
+];
+export const IMAGE_SPRITE_SIZE_STEP = 8; // Device px; sprite diameters are rounded up to a multiple of this
+export const IMAGE_SPRITE_CACHE_LIMIT = 6000; // Sprites kept before the least recently drawn are evicted
+export const IMAGE_SPRITES_PER_FRAME = 150; // New sprites rendered per frame; the rest are clipped directly until later frames
+
+// Layered rendering
+export const DIRTY_REGION_MAX_RECTS = 24; // More separate dirty rectangles than this are repainted as their bounding box
+export const DIRTY_REGION_FULL_FRACTION = 0.5; // Repaint the whole canvas once dirty rectangles cover this fraction of it
+export const DIRTY_REGION_MARGIN = 4; // CSS px around a bubble covered by its outline and anti-aliasing
+
+// Compute worker
+export const D3_HIERARCHY_MODULE_URL = 'https://cdn.jsdelivr.net/npm/d3-hierarchy@3/+esm'; // packSiblings for cluster packing in the worker
+
 // Protocol Colors
 export const PROTOCOL_COLORS = {
     'NFTfi': '#D14D8A',
@@ -70,4 +111,16 @@ export const WALLETS = [
     "0xd876f7215aaa80272b52eccdbf30e949eec13292",
     "0x94de7e2c73529ebf3206aa3459e699fbcdfcd49b",
     "0x7a65cd0ad11e7329f534b5b65113997cf75e3546",
-]; 
\ No newline at end of file
+];
+
+// Per-wallet bubble outlines for multi-wallet views, assigned by position in WALLETS
+export const WALLET_STROKE_STYLES = [
+    { color: '#FFFFFF', dash: [], width: 1.5 },
+    { color: '#FFE082', dash: [4, 2], width: 1.5 },
+    { color: '#5EC6A6', dash: [1, 2], width: 2 },
+    { color: '#A3C8F5', dash: [6, 2, 1, 2], width: 1.5 },
+    { color: '#FF8A65', dash: [], width: 2.5 },
+    { color: '#B18CFF', dash: [3, 3], width: 2 },
+    { color: '#F06292', dash: [8, 3], width: 1.5 }
+];
+export const WALLET_STROKE_OPACITY = 0.9;
@@ -0,0 +1,139 @@
+/**
+ * Purpose: Color themes shared by the canvas renderer and the DOM UI, and how the
+ * active theme is picked from the user's choice and the system preference.
+ * Boundaries: Static definitions and pure lookups only. No state access or DOM manipulation.
+ */
+
+import { PROTOCOL_COLORS, DEFAULT_PROTOCOL_COLOR } from './constants.js';
+import { seededRandom } from '../data/bubbleUtils.js';
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} label - Shown in the theme select
+ * @property {'dark'|'light'} colorScheme - Native form controls and scrollbars follow it
+ * @property {string} background - Chart panel and the margins around the plot
+ * @property {string} plot - Plot area behind the bubbles
+ * @property {string} grid - Grid lines
+ * @property {string} axisText - Axis ticks, labels, titles and axis breaks
+ * @property {string} text - Status text and labels around the chart
+ * @property {string} bubbleStroke - Outline of filled bubbles, and the arrows on clipped ones
+ * @property {{background: string, border: string, activeBackground: string, activeText: string}} control - Buttons and selects
+ * @property {{background: string, text: string, label: string, highlight: string, imageBorder: string}} tooltip
+ * @property {string} accent - Loading indicator and the file drop outline
+ * @property {Object<string, string>} protocolColors - Bubble color by protocol name
+ * @property {string[]} extraProtocolColors - Colors for protocols missing from protocolColors, picked by name
+ * @property {string} defaultProtocolColor - Bubble color of loans without a protocol name
+ */
+
+/** @type {Object<string, Theme>} */
+const THEMES = {
+    dark: {
+        label: 'Dark',
+        colorScheme: 'dark',
+        background: '#221E37',
+        plot: '#221E37',
+        grid: 'rgba(255, 255, 255, 0.2)',
+        axisText: '#B6B1D5',
+        text: '#B6B1D5',
+        bubbleStroke: '#FFFFFF',
+        control: { background: '#332C4B', border: 'rgba(255, 255, 255, 0.2)', activeBackground: '#463D69', activeText: '#FFFFFF' },
+        tooltip: { background: '#332C4B', text: '#FFFFFF', label: 'hsl(0, 0%, 68%)', highlight: '#D14D8A', imageBorder: '#221E37' },
+        accent: '#D14D8A',
+        protocolColors: PROTOCOL_COLORS,
+        extraProtocolColors: ['#7FD1E8', '#F4A261', '#E76F51', '#9BE564', '#F7B7D2', '#C9B458'],
+        defaultProtocolColor: DEFAULT_PROTOCOL_COLOR
+    },
+    light: {
+        label: 'Light',
+        colorScheme: 'light',
+        background: '#FFFFFF',
+        plot: '#F7F6FB',
+        grid: 'rgba(34, 30, 55, 0.12)',
+        axisText: '#4A4566',
+        text: '#4A4566',
+        bubbleStroke: '#221E37',
+        control: { background: '#F1EFF8', border: 'rgba(34, 30, 55, 0.2)', activeBackground: '#D9D4EE', activeText: '#221E37' },
+        tooltip: { background: '#FFFFFF', text: '#221E37', label: '#6B6685', highlight: '#B83A74', imageBorder: '#E6E3F1' },
+        accent: '#B83A74',
+        protocolColors: {
+            'NFTfi': '#C23E7C',
+            'Gondi': '#C99A00',
+            'X2Y2': '#A8743F',
+            'Zharta': '#2E9C7C',
+            'Arcade': '#3F6F99',
+            'Metastreet': '#4A8FD9',
+            'Blend': '#7E57D9'
+        },
+        extraProtocolColors: ['#1F8FB0', '#D9822B', '#C0504D', '#5A9E2F', '#C2588F', '#8C7A1F'],
+        defaultProtocolColor: '#8A8799'
+    },
+    highContrast: {
+        label: 'High contrast',
+        colorScheme: 'dark',
+        background: '#000000',
+        plot: '#000000',
+        grid: 'rgba(255, 255, 255, 0.45)',
+        axisText: '#FFFFFF',
+        text: '#FFFFFF',
+        bubbleStroke: '#FFFFFF',
+        control: { background: '#000000', border: '#FFFFFF', activeBackground: '#FFFF00', activeText: '#000000' },
+        tooltip: { background: '#000000', text: '#FFFFFF', label: '#E0E0E0', highlight: '#FFFF00', imageBorder: '#FFFFFF' },
+        accent: '#FFFF00',
+        protocolColors: {
+            'NFTfi': '#FF4FA3',
+            'Gondi': '#FFE600',
+            'X2Y2': '#FF9A3C',
+            'Zharta': '#00E5A0',
+            'Arcade': '#3DA5FF',
+            'Metastreet': '#9FE7FF',
+            'Blend': '#C38BFF'
+        },
+        extraProtocolColors: ['#00FFFF', '#FF7F00', '#FF3030', '#7CFF00', '#FF80FF', '#D0FF00'],
+        defaultProtocolColor: '#BDBDBD'
+    }
+};
+
+/** Choices in the theme select: 'auto' follows the system, the rest name a theme */
+const THEME_OPTIONS = {
+    auto: 'System theme',
+    dark: THEMES.dark.label,
+    light: THEMES.light.label,
+    highContrast: THEMES.highContrast.label
+};
+
+/**
+ * The theme the system asks for
+ * @param {boolean} prefersLight - prefers-color-scheme: light matches
+ * @param {boolean} prefersMoreContrast - prefers-contrast: more matches
+ * @returns {'dark'|'light'|'highContrast'}
+ */
+function getSystemThemeName(prefersLight, prefersMoreContrast) {
+    if (prefersMoreContrast) return 'highContrast';
+    return prefersLight ? 'light' : 'dark';
+}
+
+/**
+ * The active theme
+ * @param {string} themeName - The user's choice, or 'auto'
+ * @param {string} systemThemeName - The theme the system asks for
+ * @returns {Theme} Dark when neither names a theme
+ */
+function getTheme(themeName, systemThemeName) {
+    return THEMES[themeName] || THEMES[systemThemeName] || THEMES.dark;
+}
+
+/**
+ * Bubble and legend color of a protocol. Protocols without a color of their own
+ * get one of the theme's extra colors, picked by name so it stays the same across loads.
+ * @param {Theme} theme
+ * @param {string} protocol
+ * @returns {string}
+ */
+function getProtocolColor(theme, protocol) {
+    if (theme.protocolColors[protocol]) return theme.protocolColors[protocol];
+    if (!protocol) return theme.defaultProtocolColor;
+    const colors = theme.extraProtocolColors;
+    return colors[Math.floor(seededRandom(protocol) * colors.length)];
+}
+
+export { THEMES, THEME_OPTIONS, getSystemThemeName, getTheme, getProtocolColor };
@@ -4,10 +4,55 @@
  */
 
 import { dispatch, getState, subscribe } from '../state/state.js';
-import { fetchLoanData } from '../data/dataService.js';
-import { useLoanDataForBubbles } from '../data/clusterUtils.js';
-import { draw } from '../utils/renderUtils.js';
+import { isAbortError } from '../data/dataService.js';
+import { NftfiDataSource, InMemoryDataSource } from '../data/dataSources.js';
+import { createLoanBubble, buildClusters, mergeClusters, preserveClusterStates } from '../data/clusterUtils.js';
+import { APR_OUTLIER, USD_OUTLIER, OverlapComponents } from '../data/bubbleLayout.js';
+import { BubbleStore, FLAG_BITS, getBubbleStore } from '../data/bubbleStore.js';
+import { X_ENCODINGS, resolveEncoding, isEncodable, getEncodedValues } from '../data/encodings.js';
+import { SCALE_TYPES } from '../data/scales.js';
+import { summarizeProtocols, filterLoansByProtocol } from '../data/protocolSummary.js';
+import { getComputePipeline } from '../data/computePipeline.js';
+import { getBubbleKey, reconcileBubbles } from '../data/bubbleUtils.js';
+import { EmptyResultError } from '../data/errors.js';
+import { areLoansEqual, diffLoans } from '../data/loanDiff.js';
+import {
+    ALL_WALLETS, IMPORTED_DATASET, isDatasetSelection, getLoanWallet, getLoanRole, filterLoansByRole, walletSelectionKey
+} from '../data/walletSelection.js';
+import { buildExportRows, toCsv, toJson } from '../data/loanExport.js';
+import { parseLoanFile } from '../data/loanImport.js';
+import { ImageLoadQueue } from '../data/imageLoader.js';
+import { draw, invalidateChartLayers } from '../utils/renderUtils.js';
+import { startMoveTransition, startEnterTransition, startExitTransition } from '../utils/transitions.js';
 import { updateTooltip } from '../ui/uiComponents.js';
+import { markBubblesMoved } from '../utils/hitTest.js';
+import { requestClusterPacking } from '../utils/clusterLayout.js';
+import { clampTimeRange, isFullTimeRange, zoomTimeRange, panTimeRange, timeAtX, rescaleBubblesToTime } from '../utils/timeZoom.js';
+
+/**
+ * Map a load failure to the status, message and retry affordance the UI shows for it
+ * @param {Error} error
+ * @returns {{status: string, kind: string, message: string, retryable: boolean}}
+ */
+function toErrorState(error) {
+    switch (error && error.kind) {
+        case 'empty':
+            return { status: 'empty', kind: 'empty', message: 'No loans found for this wallet.', retryable: false };
+        case 'network':
+            return { status: 'error', kind: 'network', message: 'Could not reach the loan service. Check your connection and try again.', retryable: true };
+        case 'http':
+            if (error.status === 429 || error.status >= 500) {
+                return { status: 'error', kind: 'http', message: `The loan service is unavailable right now (HTTP ${error.status}). Please try again shortly.`, retryable: true };
+            }
+            return { status: 'error', kind: 'http', message: `The loan service rejected the request (HTTP ${error.status}).`, retryable: false };
+        case 'parse':
+            return { status: 'error', kind: 'parse', message: 'The loan service sent a response that could not be read.', retryable: true };
+        case 'schema':
+            return { status: 'error', kind: 'schema', message: 'The loan service response was not in the expected format.', retryable: false };
+        default:
+            return { status: 'error', kind: 'unknown', message: (error && error.message) || 'Failed to fetch data', retryable: true };
+    }
+}
 
 export class ChartController {
     constructor(ctx, canvas, tooltip, config) {
@@ -15,11 +60,40 @@ export class ChartController {
         this.canvas = canvas;
         this.tooltip = tooltip;
         this.config = config;
+        // Where loans come from; defaults to the live NFTfi endpoint
+        this.dataSource = config.dataSource || new NftfiDataSource({ retry: config.retry });
+        // Optional stale-while-revalidate cache; loads go straight to the source without it
+        this.cache = config.cache || null;
         
         this.animationFrame = null;
         this.isTransitioning = false;
         this.stateVersion = 0;
         this.pendingStateUpdate = null;
+        this.abortController = null;
+        this.lastRequest = null;
+        // Loans behind the bubbles on screen, diffed against on every refresh
+        this.currentLoans = [];
+        // Meta block of the response behind currentLoans, for exports
+        this.currentMeta = null;
+        this.refreshTimer = null;
+        this.refreshAbortController = null;
+        // Local datasets selectable next to the wallets, keyed by selection value
+        this.datasets = new Map();
+        // Bubble images download through one capped, prioritized queue
+        this.imageLoader = config.imageLoader || new ImageLoadQueue({
+            onProgress: (progress) => dispatch({ type: 'SET_IMAGE_PROGRESS', payload: progress })
+        });
+        this.showImages = getState().showImages;
+        // Layout, clustering and packing run here, in a worker where available
+        this.compute = config.compute || getComputePipeline();
+        // Bumped per applyLoans or mergeLoans call so a slower, older layout never replaces a newer one
+        this.layoutVersion = 0;
+        // Bumped per time axis zoom or pan, for the same reason
+        this.viewVersion = 0;
+        // Version of the layout on screen; behind layoutVersion while one is being computed
+        this.renderedLayoutVersion = 0;
+        // What later pages of a load are merged into, see getPageMerge
+        this.pageMerge = null;
         
         // Bind methods
         this.startAnimation = this.startAnimation.bind(this);
@@ -36,6 +110,39 @@ export class ChartController {
         } else {
             this.stopAnimation();
         }
+        if (newState.showImages !== this.showImages) {
+            this.showImages = newState.showImages;
+            if (this.showImages) {
+                this.loadImages(newState.allBubbles);
+            } else {
+                this.imageLoader.cancel();
+            }
+        }
+    }
+
+    /**
+     * The part of the chart inside the browser window, in chart coordinates
+     * @returns {{left: number, top: number, right: number, bottom: number}|null} Null when it cannot be measured
+     */
+    getVisibleChartArea() {
+        if (!this.canvas || !this.canvas.getBoundingClientRect || typeof window === 'undefined') return null;
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            left: Math.max(0, -rect.left),
+            top: Math.max(0, -rect.top),
+            right: Math.min(rect.width, window.innerWidth - rect.left),
+            bottom: Math.min(rect.height, window.innerHeight - rect.top)
+        };
+    }
+
+    /**
+     * Queue images for bubbles that have none yet, visible and larger ones first
+     * @param {Array} bubbles
+     */
+    loadImages(bubbles) {
+        const { showImages, imageLoadGeneration } = getState();
+        if (!showImages) return;
+        this.imageLoader.load(bubbles, imageLoadGeneration, this.getVisibleChartArea());
     }
 
     startAnimation() {
@@ -72,17 +179,17 @@ export class ChartController {
             // Update clusters
             for (const cluster of state.clusters) {
                 if (cluster.state === "expanding") {
-                    if (!cluster.packedInitialized) {
-                        this.config.packClusterBubbles(
-                            cluster,
-                            state.chartPaddingX || this.config.CHART_PADDING_X,
-                            state.width || this.config.WIDTH,
-                            state.chartPaddingTop || this.config.CHART_PADDING_TOP,
-                            state.chartHeight || this.config.CHART_HEIGHT
-                        );
-                        cluster.packedInitialized = true;
-                    }
+                    const packed = requestClusterPacking(
+                        cluster,
+                        this.compute,
+                        state.chartPaddingX || this.config.CHART_PADDING_X,
+                        state.width || this.config.WIDTH,
+                        state.chartPaddingTop || this.config.CHART_PADDING_TOP,
+                        state.chartHeight || this.config.CHART_HEIGHT
+                    );
+                    if (!packed) continue;
                     this.config.animateClusterToPacked(cluster, 0.18);
+                    markBubblesMoved(cluster.store, cluster.indices);
                     cluster.frameCount++;
                     if (cluster.frameCount >= this.config.MAX_FRAMES) {
                         cluster.state = "expanded";
@@ -96,7 +203,9 @@ export class ChartController {
                         state.width || this.config.WIDTH,
                         state.height || this.config.HEIGHT
                     );
+                    markBubblesMoved(cluster.store, cluster.indices);
                     cluster.packedInitialized = false;
+                    cluster.packing = null;
                 }
             }
         }
@@ -109,16 +218,515 @@ export class ChartController {
         }
     }
 
+    /**
+     * Lay out a set of loans and publish the resulting bubbles.
+     * Positions and clusters are computed on the compute pipeline, off the main thread.
+     * When previous bubbles are given, they are merged by loan key instead of
+     * being reset, so bubbles already on screen keep their images and opacity.
+     * With `animate`, merged bubbles tween to their new position, new ones fade in,
+     * vanished ones fade out, and expanded clusters stay expanded.
+     * @param {Array} loans - All loans received so far, before the role filter
+     * @param {string|string[]} wallet - The wallet selection the loans belong to
+     * @param {Array|null} previousBubbles - Bubbles currently on screen, or null for a fresh layout
+     * @param {Object} [options]
+     * @param {boolean} [options.animate] - Transition from the previous layout instead of jumping
+     * @returns {Promise<boolean>} False when the layout was superseded before it finished
+     */
+    async applyLoans(loans, wallet, previousBubbles = null, { animate = false } = {}) {
+        const layoutVersion = ++this.layoutVersion;
+        const stateVersion = this.stateVersion;
+        const isAllLoansMode = wallet === '__ALL__';
+        const encoding = resolveEncoding(getState().encoding);
+        const { hiddenProtocols } = getState();
+        // The legend lists every protocol of the filtered loans, hidden ones included
+        const filtered = filterLoansByRole(loans, wallet, getState().roleFilter);
+        const protocolSummary = summarizeProtocols(filtered);
+        // Loans without a value for one of the encoded fields cannot be placed
+        const placed = filterLoansByProtocol(filtered, hiddenProtocols).filter(loan => isEncodable(loan, encoding));
+        const layout = placed.length > 0
+            ? await this.compute.layout(placed, this.getLayoutOptions(isAllLoansMode), encoding)
+            : null;
+        // Superseded by a newer layout, or by a load of another selection, while computing
+        if (layoutVersion !== this.layoutVersion || stateVersion !== this.stateVersion) return false;
+
+        const newAllBubbles = [];
+        let components = layout;
+        let timeView = null;
+        // Set when clustering at a zoomed scale, to tell whether the user zoomed again meanwhile
+        let viewVersion = null;
+        if (layout) {
+            const { x, y, r, flags, domain } = layout;
+            // One store per layout; merged bubbles move into it, exiting ones keep the old store until they are gone
+            const store = new BubbleStore(placed.length, encoding);
+            for (let i = 0; i < placed.length; i++) {
+                const bubble = createLoanBubble(placed[i], {
+                    x: x[i], y: y[i], r: r[i],
+                    isAprOutlier: (flags[i] & APR_OUTLIER) !== 0,
+                    isUsdOutlier: (flags[i] & USD_OUTLIER) !== 0
+                }, store);
+                // Tag each bubble with the selected wallet it belongs to and the role it plays
+                bubble.wallet = getLoanWallet(placed[i], wallet);
+                bubble.role = getLoanRole(placed[i], wallet);
+                newAllBubbles.push(bubble);
+            }
+
+            // A zoomed time axis stays zoomed, within the new date range, and clusters at its scale
+            const full = { min: domain.paddedMinDue, max: domain.paddedMaxDue };
+            const zoomed = getState().timeView && clampTimeRange(getState().timeView, full, X_ENCODINGS[encoding.x].minZoomSpan);
+            if (zoomed && !isFullTimeRange(zoomed, full)) {
+                timeView = zoomed;
+                rescaleBubblesToTime(newAllBubbles, timeView, false, this.config);
+                viewVersion = this.viewVersion;
+                components = await this.clusterAtRest(newAllBubbles);
+                if (layoutVersion !== this.layoutVersion || stateVersion !== this.stateVersion) return false;
+            }
+        }
+
+        const newClusters = [];
+        const newSingleBubbles = [];
+        const previousClusters = getState().clusters;
+        const previousByKey = previousBubbles
+            ? new Map(previousBubbles.map(b => [getBubbleKey(b), b]))
+            : null;
+        // Where merged bubbles are on screen now; reconciling overwrites x/y/r with the new layout
+        const fromByBubble = animate && previousBubbles
+            ? new Map(previousBubbles.map(b => [b, { x: b.x, y: b.y, r: b.r }]))
+            : null;
+        // The view the user zoomed to while this layout was clustering, to apply once it is on screen
+        const rezoomTo = viewVersion !== null && viewVersion !== this.viewVersion ? getState().timeView : undefined;
+
+        if (layout) {
+            const { domain } = layout;
+            this.config.PADDED_MIN_DATE = domain.paddedMinDue;
+            this.config.PADDED_MAX_DATE = domain.paddedMaxDue;
+            dispatch({ type: 'SET_DATE_RANGE', payload: { min: domain.paddedMinDue, max: domain.paddedMaxDue } });
+            dispatch({
+                type: 'SET_CLIPPING',
+                payload: {
+                    yMin: domain.APR_CLIP_BOTTOM,
+                    yMax: domain.APR_CLIP_TOP,
+                    sizeMin: domain.USD_CLIP_MIN,
+                    sizeMax: domain.USD_CLIP_MAX,
+                    note: [domain.APR_CLIP_NOTE, domain.USD_CLIP_NOTE].filter(Boolean).join(' ')
+                }
+            });
+            if (getState().timeView !== timeView) {
+                dispatch({ type: 'SET_TIME_VIEW', payload: timeView });
+            }
+            if (previousByKey) {
+                reconcileBubbles(newAllBubbles, previousByKey);
+            }
+            buildClusters(newAllBubbles, components, newClusters, newSingleBubbles, this.config.VELOCITY_POWER, this.config.BASE_VELOCITY);
+        } else {
+            dispatch({ type: 'SET_CLIPPING', payload: null });
+            if (this.canvas && this.ctx) {
+                this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+                invalidateChartLayers();
+            }
+        }
+        this.currentLoans = loans;
+        dispatch({ type: 'SET_PROTOCOL_SUMMARY', payload: protocolSummary });
+
+        if (fromByBubble) {
+            // Clusters are computed on the target layout; bubbles then travel there from where they are
+            const stayExpanded = preserveClusterStates(previousClusters, newClusters);
+            for (const b of newAllBubbles) {
+                const from = fromByBubble.get(b);
+                if (!from) {
+                    startEnterTransition(b);
+                } else if (stayExpanded.has(b)) {
+                    // Its cluster re-packs around the new members from where they are
+                    b.inTransition = false;
+                    b.x = from.x;
+                    b.y = from.y;
+                    b.r = from.r;
+                } else {
+                    startMoveTransition(b, from);
+                }
+            }
+            const kept = new Set(newAllBubbles);
+            const exiting = previousBubbles.filter(b => !kept.has(b));
+            exiting.forEach(startExitTransition);
+            if (exiting.length > 0) {
+                dispatch({ type: 'SET_EXITING_BUBBLES', payload: [...getState().exitingBubbles, ...exiting] });
+            }
+        }
+
+        // Batch state updates
+        this.renderedLayoutVersion = layoutVersion;
+        dispatch({
+            type: 'SET_BUBBLES',
+            payload: {
+                allBubbles: [...newAllBubbles],
+                clusters: [...newClusters],
+                singleBubbles: [...newSingleBubbles]
+            }
+        });
+        // Merged bubbles kept their image, so only new ones are queued
+        this.loadImages(newAllBubbles);
+        if (rezoomTo !== undefined) {
+            this.setTimeView(rezoomTo).catch(error => console.error('[ChartController] Could not zoom the new layout:', error));
+        }
+        return true;
+    }
+
+    /**
+     * Options of a layout job: chart geometry and the current scale settings
+     * @param {boolean} isAllLoansMode
+     * @returns {Object}
+     */
+    getLayoutOptions(isAllLoansMode) {
+        const { scales, clipOutliers } = getState();
+        return {
+            MIN_PADDING_PERCENT: this.config.MIN_PADDING_PERCENT,
+            MAX_PADDING_PERCENT: this.config.MAX_PADDING_PERCENT,
+            CHART_PADDING_X: this.config.CHART_PADDING_X,
+            WIDTH: this.config.WIDTH,
+            CHART_PADDING_TOP: this.config.CHART_PADDING_TOP,
+            CHART_HEIGHT: this.config.CHART_HEIGHT,
+            BUBBLE_PADDING_FACTOR: this.config.BUBBLE_PADDING_FACTOR,
+            isAllLoansMode,
+            overlapThreshold: this.config.CLUSTER_OVERLAP_THRESHOLD,
+            yScale: scales.y,
+            sizeScale: scales.size,
+            clipOutliers
+        };
+    }
+
+    /**
+     * Add a later page of a load to the chart without laying out the loans already
+     * shown again. The page is laid out on its own, on the y and size scales of the
+     * layout on screen; its bubbles are appended to that layout's store, and only the
+     * clusters they overlap are rebuilt. Pages come sorted by due time, so the x axis
+     * widens to take each one in, moving the bubbles already shown along it and
+     * clustering them all again. Without a layout to merge into, or when the time axis
+     * is zoomed meanwhile, every loan is laid out again with applyLoans.
+     * @param {Array} pageLoans - The page's loans, before the role filter
+     * @param {Array} loans - All loans received so far, the page's included
+     * @param {string|string[]} wallet - The wallet selection the loans belong to
+     * @returns {Promise<boolean>} False when the merge was superseded before it finished
+     */
+    async mergeLoans(pageLoans, loans, wallet) {
+        const merge = this.getPageMerge();
+        if (!merge) return this.applyLoans(loans, wallet, getState().allBubbles);
+        const layoutVersion = ++this.layoutVersion;
+        const stateVersion = this.stateVersion;
+        const encoding = merge.store.encoding;
+        const filtered = filterLoansByRole(pageLoans, wallet, getState().roleFilter);
+        const placed = filterLoansByProtocol(filtered, getState().hiddenProtocols).filter(loan => isEncodable(loan, encoding));
+        // The x axis spans the page too, so its bubbles are not pinned to the right edge
+        let reference = merge.reference;
+        let [minX, maxX] = reference.xValue;
+        for (const loan of placed) {
+            const { x } = getEncodedValues(loan, encoding);
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+        }
+        if (minX < reference.xValue[0] || maxX > reference.xValue[1]) {
+            reference = { ...reference, xValue: Float64Array.of(minX, maxX) };
+        }
+        const layout = placed.length > 0
+            ? await this.compute.layout(placed, { ...this.getLayoutOptions(wallet === '__ALL__'), reference }, encoding)
+            : null;
+        // Superseded by a newer layout, which includes this page, or by a load of another selection
+        if (layoutVersion !== this.layoutVersion || stateVersion !== this.stateVersion) return false;
+        if (merge.viewVersion !== this.viewVersion) return this.applyLoans(loans, wallet, getState().allBubbles);
+        this.renderedLayoutVersion = layoutVersion;
+        this.currentLoans = loans;
+        dispatch({ type: 'SET_PROTOCOL_SUMMARY', payload: summarizeProtocols(filtered, getState().protocolSummary) });
+        if (!layout) return true;
+
+        const { x, y, r, flags, domain } = layout;
+        const { store } = merge;
+        const { timeView } = getState();
+        // Bubbles already shown move to the widened x axis; zoomed in, they stay on the zoomed range
+        const rescaled = reference !== merge.reference && !timeView;
+        if (reference !== merge.reference) {
+            merge.reference = reference;
+            this.config.PADDED_MIN_DATE = domain.paddedMinDue;
+            this.config.PADDED_MAX_DATE = domain.paddedMaxDue;
+            dispatch({ type: 'SET_DATE_RANGE', payload: { min: domain.paddedMinDue, max: domain.paddedMaxDue } });
+        }
+        if (rescaled) {
+            rescaleBubblesToTime(merge.bubbles, { min: domain.paddedMinDue, max: domain.paddedMaxDue }, true, this.config);
+        }
+        const start = store.size;
+        const newBubbles = [];
+        for (let i = 0; i < placed.length; i++) {
+            const bubble = createLoanBubble(placed[i], {
+                x: x[i], y: y[i], r: r[i],
+                isAprOutlier: (flags[i] & APR_OUTLIER) !== 0,
+                isUsdOutlier: (flags[i] & USD_OUTLIER) !== 0
+            }, store);
+            bubble.wallet = getLoanWallet(placed[i], wallet);
+            bubble.role = getLoanRole(placed[i], wallet);
+            newBubbles.push(bubble);
+        }
+        if (timeView) {
+            rescaleBubblesToTime(newBubbles, timeView, false, this.config);
+        }
+
+        let roots;
+        if (rescaled) {
+            // Moved bubbles overlap others than before, so every bubble is clustered again
+            merge.components = this.getComponentsAtRest(store, store.size);
+            roots = merge.components.roots();
+        } else {
+            roots = merge.components.add(
+                store.initialX.subarray(start, store.size),
+                store.initialY.subarray(start, store.size),
+                store.r.subarray(start, store.size)
+            );
+        }
+        const allBubbles = merge.bubbles.concat(newBubbles);
+        const { clusters, singleBubbles } = mergeClusters(
+            allBubbles, merge.components, roots, getState().clusters, getState().singleBubbles,
+            this.config.VELOCITY_POWER, this.config.BASE_VELOCITY
+        );
+        merge.bubbles = allBubbles;
+        dispatch({ type: 'SET_BUBBLES', payload: { allBubbles, clusters, singleBubbles, axisBubbles: merge.axisBubbles } });
+        this.loadImages(newBubbles);
+        return true;
+    }
+
+    /**
+     * What later pages are merged into: the bubbles on screen, their store, their
+     * overlap components at rest and what the axes on screen were made from: the
+     * extent of the x values, and the y and size values of the bubbles laid out last,
+     * which the y axis keeps being drawn from.
+     * Kept from page to page, and made again from the bubbles once they are replaced
+     * or the time axis moves them.
+     * @returns {{bubbles: Array, store: BubbleStore, components: OverlapComponents, reference: Object, axisBubbles: Array, viewVersion: number}|null}
+     *   Null while a layout is being computed, or when none is on screen
+     */
+    getPageMerge() {
+        if (this.renderedLayoutVersion !== this.layoutVersion) return null;
+        const { allBubbles } = getState();
+        const previous = this.pageMerge;
+        if (previous && previous.bubbles === allBubbles && previous.viewVersion === this.viewVersion) return previous;
+        const store = getBubbleStore(allBubbles);
+        if (!store || store.size !== allBubbles.length) return null;
+
+        const count = allBubbles.length;
+        const components = this.getComponentsAtRest(store, count);
+        // Merged pages are not part of the y and size scales on screen, so a store merged into before keeps its reference
+        let reference;
+        let axisBubbles = allBubbles;
+        if (previous && previous.store === store) {
+            reference = previous.reference;
+            axisBubbles = previous.axisBubbles;
+        } else {
+            let minX = Infinity;
+            let maxX = -Infinity;
+            for (let i = 0; i < count; i++) {
+                minX = Math.min(minX, store.xValue[i]);
+                maxX = Math.max(maxX, store.xValue[i]);
+            }
+            reference = {
+                xValue: Float64Array.of(minX, maxX),
+                yValue: store.yValue.slice(0, count),
+                sizeValue: store.sizeValue.slice(0, count)
+            };
+        }
+        this.pageMerge = { bubbles: allBubbles, store, components, reference, axisBubbles, viewVersion: this.viewVersion };
+        return this.pageMerge;
+    }
+
+    /**
+     * Overlap components of the first slots of a store at their resting positions,
+     * or where they are heading
+     * @param {BubbleStore} store
+     * @param {number} count
+     * @returns {OverlapComponents}
+     */
+    getComponentsAtRest(store, count) {
+        const r = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            r[i] = store.flags[i] & FLAG_BITS.inTransition ? store.toR[i] : store.r[i];
+        }
+        const components = new OverlapComponents(this.config.CLUSTER_OVERLAP_THRESHOLD);
+        components.add(store.initialX.subarray(0, count), store.initialY.subarray(0, count), r);
+        return components;
+    }
+
+    /**
+     * Overlap components of bubbles at their resting positions, or where they are
+     * heading, computed on the compute pipeline
+     * @param {Array} bubbles - The first slots of their layout's store
+     * @returns {Promise<{order: Int32Array, offsets: Int32Array}>}
+     */
+    clusterAtRest(bubbles) {
+        const store = getBubbleStore(bubbles);
+        const count = bubbles.length;
+        const r = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            r[i] = store.flags[i] & FLAG_BITS.inTransition ? store.toR[i] : store.r[i];
+        }
+        return this.compute.cluster(
+            store.initialX.subarray(0, count),
+            store.initialY.subarray(0, count),
+            r,
+            this.config.CLUSTER_OVERLAP_THRESHOLD
+        );
+    }
+
+    /**
+     * Show a time range on the x axis. Bubbles move to the new scale at once and are
+     * clustered again at that scale on the compute pipeline; clusters that were
+     * expanded stay expanded.
+     * @param {{min: number, max: number}|null} range - Clamped to the data range; null shows all of it
+     * @returns {Promise<boolean>} False when nothing is laid out, or a newer view or layout superseded this one
+     */
+    async setTimeView(range) {
+        const state = getState();
+        if (state.paddedMinDate === null || state.allBubbles.length === 0) return false;
+        const viewVersion = ++this.viewVersion;
+        const full = { min: state.paddedMinDate, max: state.paddedMaxDate };
+        const view = range ? clampTimeRange(range, full, this.getMinZoomSpan()) : full;
+        const isFull = isFullTimeRange(view, full);
+        dispatch({ type: 'SET_TIME_VIEW', payload: isFull ? null : view });
+
+        const bubbles = state.allBubbles;
+        rescaleBubblesToTime(bubbles, isFull ? full : view, isFull, this.config);
+        markBubblesMoved(getBubbleStore(bubbles));
+
+        const components = await this.clusterAtRest(bubbles);
+        // Zoomed again, or replaced by a new layout, while clustering
+        if (viewVersion !== this.viewVersion || getState().allBubbles !== bubbles) return false;
+        const clusters = [];
+        const singleBubbles = [];
+        buildClusters(bubbles, components, clusters, singleBubbles, this.config.VELOCITY_POWER, this.config.BASE_VELOCITY);
+        preserveClusterStates(getState().clusters, clusters);
+        dispatch({ type: 'SET_BUBBLES', payload: { allBubbles: bubbles, clusters, singleBubbles } });
+        return true;
+    }
+
+    /**
+     * Narrowest range the x axis zooms to, in the unit of the field on it
+     * @returns {number}
+     */
+    getMinZoomSpan() {
+        return X_ENCODINGS[resolveEncoding(getState().encoding).x].minZoomSpan;
+    }
+
+    /**
+     * The time axis range on screen and the whole data range, or null before a layout
+     * @returns {{view: {min: number, max: number}, full: {min: number, max: number}}|null}
+     */
+    getTimeRanges() {
+        const { paddedMinDate, paddedMaxDate, timeView } = getState();
+        if (paddedMinDate === null || paddedMaxDate === null) return null;
+        const full = { min: paddedMinDate, max: paddedMaxDate };
+        return { view: timeView || full, full };
+    }
+
+    /**
+     * Zoom the time axis around a chart x, e.g. under the mouse wheel
+     * @param {number} x - Chart x in CSS pixels
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     * @returns {Promise<boolean>}
+     */
+    zoomTimeAxis(x, factor) {
+        const ranges = this.getTimeRanges();
+        if (!ranges) return Promise.resolve(false);
+        const anchor = timeAtX(x, ranges.view, this.config.CHART_PADDING_X, this.config.WIDTH);
+        return this.setTimeView(zoomTimeRange(ranges.view, ranges.full, anchor, factor, this.getMinZoomSpan()));
+    }
+
+    /**
+     * Pan the time axis by a drag distance
+     * @param {number} dx - CSS pixels; dragging right shows earlier times
+     * @returns {Promise<boolean>}
+     */
+    panTimeAxis(dx) {
+        const ranges = this.getTimeRanges();
+        if (!ranges || !getState().timeView) return Promise.resolve(false);
+        const { view, full } = ranges;
+        const delta = -dx / ((this.config.WIDTH - 2 * this.config.CHART_PADDING_X) || 1) * (view.max - view.min);
+        const next = panTimeRange(view, full, delta);
+        if (next.min === view.min) return Promise.resolve(false);
+        return this.setTimeView(next);
+    }
+
+    /**
+     * Zoom the time axis back out to the whole data range
+     * @returns {Promise<boolean>}
+     */
+    resetTimeAxis() {
+        if (!getState().timeView) return Promise.resolve(false);
+        return this.setTimeView(null);
+    }
+
+    /**
+     * Where to read a selection's loans from. Datasets are shown unfiltered and
+     * bypass the cache, since they are already in memory.
+     * @param {string|string[]} selection
+     * @returns {{source: import('../data/dataSources.js').DataSource, wallet: string|string[], cache: Object|null}}
+     */
+    resolveSelection(selection) {
+        const dataset = isDatasetSelection(selection) ? this.datasets.get(selection) : null;
+        if (dataset) {
+            return { source: dataset.source, wallet: ALL_WALLETS, cache: null };
+        }
+        return { source: this.dataSource, wallet: selection, cache: this.cache };
+    }
+
+    /**
+     * Parse and validate a CSV or JSON loan file and make it selectable as the
+     * imported dataset, replacing any earlier import. Invalid rows are skipped;
+     * a file that cannot be used is reported through the error indicator.
+     * @param {string} text - File contents
+     * @param {string} filename
+     * @returns {{selection: string, name: string, loanCount: number, warnings: string[]}|null} Null when the file was rejected
+     */
+    importLoans(text, filename) {
+        let parsed;
+        try {
+            parsed = parseLoanFile(text, filename);
+        } catch (error) {
+            dispatch({
+                type: 'SET_LOAD_ERROR',
+                payload: { kind: error.kind || 'unknown', message: `Could not import ${filename}: ${error.message}`, retryable: false }
+            });
+            return null;
+        }
+        const { response, loanCount, warnings } = parsed;
+        warnings.forEach(warning => console.warn(`[import] ${warning}`));
+        this.datasets.set(IMPORTED_DATASET, {
+            name: filename,
+            loanCount,
+            source: new InMemoryDataSource(response, { id: `${IMPORTED_DATASET}:${filename}` })
+        });
+        return { selection: IMPORTED_DATASET, name: filename, loanCount, warnings };
+    }
+
+    /**
+     * Load loans for a wallet selection, replacing what is on screen
+     * @param {string|string[]} wallet - '__ALL__', one wallet address, several, or a dataset selection
+     * @param {number} [period] - Days ahead to include
+     */
     async loadLoans(wallet, period = 30) {
+        // A full load supersedes any background refresh of the previous selection
+        if (this.refreshAbortController) {
+            this.refreshAbortController.abort();
+        }
         if (this.isTransitioning) {
             this.pendingStateUpdate = { wallet, period };
+            // Cancel the in-flight download instead of letting it finish in the background
+            if (this.abortController) {
+                this.abortController.abort();
+            }
             return;
         }
         
         // 1. Start transition
         this.isTransitioning = true;
+        this.lastRequest = { wallet, period };
+        const { source, wallet: sourceWallet, cache: loanCache } = this.resolveSelection(wallet);
         this.stateVersion++;
         const currentVersion = this.stateVersion;
+        const abortController = new AbortController();
+        this.abortController = abortController;
         
         // 2. Stop any ongoing animation
         this.stopAnimation();
@@ -126,83 +734,126 @@ export class ChartController {
         // 3. Clear state and canvas
         dispatch({ type: 'SET_STATUS', payload: 'loading' });
         dispatch({ type: 'SET_ERROR', payload: null });
+        dispatch({ type: 'SET_LOAD_PROGRESS', payload: { loaded: 0, total: null, done: false } });
         dispatch({ type: 'INCREMENT_IMAGE_LOAD_GENERATION' });
+        // Images still downloading belong to the previous selection
+        this.imageLoader.cancel();
         dispatch({ type: 'CLEAR_BUBBLES' });
         dispatch({ type: 'SET_CURRENT_WALLET', payload: wallet });
+        this.currentLoans = [];
+        this.currentMeta = null;
         
         // Defensive: Clear canvas only if available
         if (this.canvas && this.ctx) {
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            invalidateChartLayers();
         }
         
+        let hasRendered = false;
+        let cached = null;
         try {
-            // 4. Fetch new data
-            const data = await fetchLoanData(wallet, period);
-            
-            // 5. Update state atomically if still current version
-            if (this.stateVersion === currentVersion && data && data.data && data.data.length > 0) {
-                // Process data and update state
-                const newAllBubbles = [];
-                const newClusters = [];
-                const newSingleBubbles = [];
-                const isAllLoansMode = wallet === '__ALL__';
-                const showImages = getState().showImages;
-                
-                const bubblesResult = useLoanDataForBubbles(
-                    data.data,
-                    newAllBubbles,
-                    newClusters,
-                    newSingleBubbles,
-                    () => {
-                        if (this.canvas && this.ctx) {
-                            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                        }
-                    },
-                    (bubbles) => this.config.findClusters(bubbles, newClusters, newSingleBubbles, this.config.bubblesOverlap, this.config.VELOCITY_POWER, this.config.BASE_VELOCITY),
-                    (loan, ...bubbleArgs) => this.config.createLoanBubbleFromAPI(loan, ...bubbleArgs, isAllLoansMode, showImages),
-                    (min, max) => {
-                        this.config.PADDED_MIN_DATE = min;
-                        this.config.PADDED_MAX_DATE = max;
-                        dispatch({ type: 'SET_DATE_RANGE', payload: { min, max } });
-                    },
-                    this.config.MIN_PADDING_PERCENT,
-                    this.config.MAX_PADDING_PERCENT,
-                    this.config.CHART_PADDING_X,
-                    this.config.WIDTH,
-                    this.config.CHART_PADDING_TOP,
-                    this.config.CHART_HEIGHT,
-                    this.config.BUBBLE_PADDING_FACTOR,
-                    isAllLoansMode,
-                    showImages
-                );
-                
-                // Batch state updates
-                dispatch({
-                    type: 'SET_BUBBLES',
-                    payload: {
-                        allBubbles: [...newAllBubbles],
-                        clusters: [...newClusters],
-                        singleBubbles: [...newSingleBubbles]
-                    }
-                });
+            // 4. Render a cached copy right away, if there is one, and revalidate it below
+            cached = loanCache ? await loanCache.get(source.id, wallet, period) : null;
+            if (this.stateVersion !== currentVersion || this.pendingStateUpdate) return;
+            if (loanCache) {
+                dispatch({ type: 'CACHE_LOOKUP', payload: { hit: !!cached, storedAt: cached ? cached.storedAt : null } });
+            }
+            if (cached && cached.loans.length > 0) {
+                await this.applyLoans(cached.loans, sourceWallet);
+                this.currentMeta = cached.meta;
+                hasRendered = true;
+                dispatch({ type: 'SET_LOAD_PROGRESS', payload: { done: true } });
                 dispatch({ type: 'SET_STATUS', payload: 'ready' });
-            } else if (this.stateVersion === currentVersion) {
-                // No data or error
-                dispatch({ type: 'SET_STATUS', payload: 'error' });
-                dispatch({ type: 'SET_ERROR', payload: 'No loans found for this wallet.' });
-                // Force a visual update
-                import('../state/state.js').then(({ dispatch }) => {
-                    dispatch({ type: 'SET_CANVAS_DIMENSIONS', payload: {} });
+            }
+
+            // 5. Walk the pages. Without a cached copy the first page renders right away
+            // and later pages are merged in; when revalidating, the result is applied once.
+            const loans = [];
+            let meta = [];
+            let isComplete = false;
+            let hasMergedPages = false;
+            const pages = source.fetchLoanPages(sourceWallet, period, {
+                signal: abortController.signal
+            });
+            for await (const page of pages) {
+                // A newer load is waiting: stop downloading pages for this one
+                if (this.stateVersion !== currentVersion || this.pendingStateUpdate) break;
+
+                for (const loan of page.data) loans.push(loan);
+                meta = page.meta;
+                isComplete = page.done;
+                if (!cached) this.currentMeta = meta;
+                if (cached) continue;
+
+                dispatch({
+                    type: 'SET_LOAD_PROGRESS',
+                    payload: { loaded: page.loaded, total: page.total, done: page.done }
                 });
+                if (loans.length === 0) continue;
+
+                // Update state atomically, merging into what is already on screen
+                if (hasRendered) {
+                    await this.mergeLoans(page.data, loans, sourceWallet);
+                    hasMergedPages = true;
+                } else {
+                    await this.applyLoans(loans, sourceWallet);
+                    hasRendered = true;
+                    dispatch({ type: 'SET_STATUS', payload: 'ready' });
+                }
+            }
+            if (!isComplete) return;
+            // Merged pages sit on the axes of the first; lay every loan out once on axes that fit them all
+            if (hasMergedPages) {
+                await this.applyLoans(loans, sourceWallet, getState().allBubbles, { animate: true });
             }
+
+            if (loanCache) {
+                loanCache.set(source.id, wallet, period, { meta, loans });
+            }
+            if (cached) {
+                // Only touch the chart when the fresh data differs from what is shown
+                const changed = !areLoansEqual(cached.loans, loans);
+                if (changed && loans.length > 0) {
+                    await this.applyLoans(loans, sourceWallet, hasRendered ? getState().allBubbles : null, { animate: hasRendered });
+                    this.currentMeta = meta;
+                    if (!hasRendered) {
+                        hasRendered = true;
+                        dispatch({ type: 'SET_STATUS', payload: 'ready' });
+                    }
+                } else if (changed) {
+                    dispatch({ type: 'CLEAR_BUBBLES' });
+                    hasRendered = false;
+                }
+                dispatch({ type: 'CACHE_REVALIDATED', payload: { changed } });
+            }
+
+            if (!hasRendered) {
+                throw new EmptyResultError();
+            }
+            dispatch({ type: 'SET_LOAD_PROGRESS', payload: { done: true } });
         } catch (error) {
-            if (this.stateVersion === currentVersion) {
-                dispatch({ type: 'SET_STATUS', payload: 'error' });
-                dispatch({ type: 'SET_ERROR', payload: error.message || 'Failed to fetch data' });
+            // Aborted loads were superseded; the pending load takes over below
+            if (this.stateVersion === currentVersion && !isAbortError(error)) {
+                const errorState = toErrorState(error);
+                dispatch({ type: 'SET_LOAD_PROGRESS', payload: { done: true } });
+                // Keep already rendered pages on screen if a later page fails
+                if (!hasRendered) {
+                    dispatch({ type: 'SET_STATUS', payload: errorState.status });
+                }
+                dispatch({
+                    type: 'SET_LOAD_ERROR',
+                    payload: { kind: errorState.kind, message: errorState.message, retryable: errorState.retryable }
+                });
+                if (cached) {
+                    dispatch({ type: 'CACHE_REVALIDATED', payload: { changed: false, failed: true } });
+                }
             }
         } finally {
             // 6. End transition
             this.isTransitioning = false;
+            if (this.abortController === abortController) {
+                this.abortController = null;
+            }
             
             // 7. Handle any pending state updates
             if (this.pendingStateUpdate) {
@@ -213,8 +864,213 @@ export class ChartController {
         }
     }
 
+    /**
+     * Repeat the most recent load, e.g. from the UI's retry action
+     */
+    retry() {
+        if (this.lastRequest) {
+            this.loadLoans(this.lastRequest.wallet, this.lastRequest.period);
+        }
+    }
+
+    /**
+     * Refetch the current selection in the background and animate the chart to the
+     * result. Skipped while a full load is running or nothing is on screen.
+     * Failures leave the chart as it is.
+     * @returns {Promise<void>}
+     */
+    async refreshLoans() {
+        if (this.isTransitioning || this.refreshAbortController || !this.lastRequest) return;
+        if (getState().status !== 'ready') return;
+
+        const { period } = this.lastRequest;
+        const { source, wallet, cache: loanCache } = this.resolveSelection(this.lastRequest.wallet);
+        const currentVersion = this.stateVersion;
+        const abortController = new AbortController();
+        this.refreshAbortController = abortController;
+        dispatch({ type: 'REFRESH_STARTED' });
+
+        try {
+            const loans = [];
+            let meta = [];
+            const pages = source.fetchLoanPages(wallet, period, {
+                signal: abortController.signal
+            });
+            for await (const page of pages) {
+                for (const loan of page.data) loans.push(loan);
+                meta = page.meta;
+            }
+            // A load of another selection started meanwhile; these loans no longer apply
+            if (this.stateVersion !== currentVersion || this.isTransitioning) {
+                dispatch({ type: 'REFRESH_FINISHED', payload: { skipped: true } });
+                return;
+            }
+
+            if (loanCache) {
+                loanCache.set(source.id, this.lastRequest.wallet, period, { meta, loans });
+            }
+            const diff = diffLoans(this.currentLoans, loans);
+            const hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+            // An empty refresh is more likely a glitch than every loan being repaid at once
+            if (hasChanges && loans.length > 0) {
+                await this.applyLoans(loans, wallet, getState().allBubbles, { animate: true });
+                this.currentMeta = meta;
+            }
+            dispatch({
+                type: 'REFRESH_FINISHED',
+                payload: {
+                    at: Date.now(),
+                    diff: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }
+                }
+            });
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.warn('[ChartController] Background refresh failed:', error);
+            }
+            dispatch({ type: 'REFRESH_FINISHED', payload: { failed: true } });
+        } finally {
+            if (this.refreshAbortController === abortController) {
+                this.refreshAbortController = null;
+            }
+        }
+    }
+
+    /**
+     * Show only loans the selected wallets borrowed, lent, or both, animating the change
+     * @param {'borrowing'|'lending'|'both'} roleFilter
+     * @returns {Promise<void>}
+     */
+    async setRoleFilter(roleFilter) {
+        dispatch({ type: 'SET_ROLE_FILTER', payload: roleFilter });
+        await this.relayoutLoans('the filtered loans');
+    }
+
+    /**
+     * Lay the loans on screen out again after a view setting changed, animating
+     * bubbles to their new place. A load in progress picks the setting up when it
+     * applies its pages, so nothing is done then.
+     * @param {string} what - Names the layout in the error logged when it fails
+     * @returns {Promise<void>}
+     */
+    async relayoutLoans(what) {
+        if (this.isTransitioning || !this.lastRequest || getState().status !== 'ready') return;
+        const { wallet } = this.resolveSelection(this.lastRequest.wallet);
+        try {
+            await this.applyLoans(this.currentLoans, wallet, getState().allBubbles, { animate: true });
+        } catch (error) {
+            console.error(`[ChartController] Could not lay out ${what}:`, error);
+        }
+    }
+
+    /**
+     * Change the fields on the x axis, y axis or bubble size. Bubbles animate to
+     * their new positions and sizes; loans without a value for a new field fade out.
+     * @param {Partial<import('../data/encodings.js').Encoding>} change - Channels to change
+     * @returns {Promise<void>}
+     */
+    async setEncoding(change) {
+        const previous = resolveEncoding(getState().encoding);
+        const encoding = resolveEncoding({ ...previous, ...change });
+        dispatch({ type: 'SET_ENCODING', payload: encoding });
+        // A zoomed x axis range is in the previous field's unit
+        if (encoding.x !== previous.x && getState().timeView) {
+            this.viewVersion++;
+            dispatch({ type: 'SET_TIME_VIEW', payload: null });
+        }
+        await this.relayoutLoans('the loans for the new encoding');
+    }
+
+    /**
+     * Change the scale of the y axis or bubble size, animating bubbles to their new
+     * positions and sizes
+     * @param {{y?: 'linear'|'log'|'percentile', size?: 'linear'|'log'|'percentile'}} change - Unknown types are ignored
+     * @returns {Promise<void>}
+     */
+    async setScales(change) {
+        const scales = {};
+        for (const channel of ['y', 'size']) {
+            if (change[channel] in SCALE_TYPES) scales[channel] = change[channel];
+        }
+        dispatch({ type: 'SET_SCALES', payload: scales });
+        await this.relayoutLoans('the loans on the new scale');
+    }
+
+    /**
+     * Show only the loans of protocols not in `hiddenProtocols`. The remaining bubbles
+     * re-cluster and animate to their new layout; hidden ones fade out.
+     * @param {string[]} hiddenProtocols
+     * @returns {Promise<void>}
+     */
+    async setHiddenProtocols(hiddenProtocols) {
+        dispatch({ type: 'SET_HIDDEN_PROTOCOLS', payload: hiddenProtocols });
+        await this.relayoutLoans('the shown protocols');
+    }
+
+    /**
+     * Turn outlier clipping on or off. Off, the y axis and bubble sizes span every
+     * value and bubbles animate to their true positions and sizes.
+     * @param {boolean} enabled
+     * @returns {Promise<void>}
+     */
+    async setClipOutliers(enabled) {
+        dispatch({ type: 'SET_CLIP_OUTLIERS', payload: enabled });
+        await this.relayoutLoans(enabled ? 'the loans with outliers clipped' : 'the loans without clipping');
+    }
+
+    /**
+     * Serialize the loans currently on the chart, after filtering, for download
+     * @param {'csv'|'json'} format
+     * @param {number} [now] - Export timestamp in ms
+     * @returns {{filename: string, mimeType: string, content: string}|null} Null when nothing is loaded
+     */
+    exportLoans(format, now = Date.now()) {
+        const { allBubbles, clusters, status } = getState();
+        if (status !== 'ready' || !this.lastRequest) return null;
+
+        const exported = buildExportRows(this.currentLoans, allBubbles, clusters, this.currentMeta);
+        const { wallet, period } = this.lastRequest;
+        const selection = isDatasetSelection(wallet) ? 'imported' : walletSelectionKey(wallet);
+        const walletLabel = selection === ALL_WALLETS ? 'all'
+            : selection.includes(',') ? `${selection.split(',').length}-wallets`
+            : selection.slice(0, 10);
+        const basename = `loans-${walletLabel}-${period}d-${new Date(now).toISOString().slice(0, 10)}`;
+
+        if (format === 'json') {
+            return { filename: `${basename}.json`, mimeType: 'application/json', content: toJson(exported, now) };
+        }
+        return { filename: `${basename}.csv`, mimeType: 'text/csv;charset=utf-8', content: toCsv(exported) };
+    }
+
+    /**
+     * Refresh the current selection every `interval` ms; 0 turns auto-refresh off
+     * @param {number} interval
+     */
+    setAutoRefresh(interval) {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (interval > 0) {
+            this.refreshTimer = setInterval(() => this.refreshLoans(), interval);
+        }
+        dispatch({ type: 'SET_AUTO_REFRESH', payload: { interval } });
+    }
+
     cleanup() {
         this.stopAnimation();
+        this.imageLoader.cancel();
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (this.refreshAbortController) {
+            this.refreshAbortController.abort();
+            this.refreshAbortController = null;
+        }
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
         if (this.unsubscribe) {
             this.unsubscribe();
         }
@@ -0,0 +1,540 @@
+/**
+ * @fileoverview Bubble layout on plain numbers and typed arrays: axis domains, bubble
+ * positions and sizes, overlap components, including ones that grow a batch at a time, and
+ * cluster packing.
+ *
+ * Module Boundaries:
+ * - Pure computation, safe to run in a Web Worker
+ * - Works on columns (typed arrays) rather than bubble objects, so results can be transferred
+ *
+ * Forbidden:
+ * - DOM access, including the d3 global; packing takes packSiblings as an argument
+ * - State access or mutation
+ * - Data fetching
+ */
+
+import { CLUSTER_OVERLAP_THRESHOLD, OUTLIER_CLIP_PERCENTILE } from '../config/constants.js';
+import { seededRandom } from './bubbleUtils.js';
+import { createScale, createLinearScale } from './scales.js';
+
+/**
+ * Flag bits of a laid out bubble
+ */
+const APR_OUTLIER = 1;
+const USD_OUTLIER = 2;
+
+/**
+ * Gets the value at the specified percentile in the array.
+ * @param {ArrayLike<number>} arr - Array of numbers
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function getPercentile(arr, p) {
+    if (arr.length === 0) return 0;
+    const sorted = Array.from(arr).sort((a, b) => a - b);
+    const idx = Math.floor((p / 100) * (sorted.length - 1));
+    return sorted[idx];
+}
+
+/**
+ * @param {ArrayLike<number>} values
+ * @returns {{min: number, max: number}}
+ */
+function getExtent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] < min) min = values[i];
+        if (values[i] > max) max = values[i];
+    }
+    return { min, max };
+}
+
+/**
+ * Scale of the y axis. Linear and log scales clip to the 2nd–98th percentile.
+ * @param {ArrayLike<number>} values - y values
+ * @param {'linear'|'log'|'percentile'} [type]
+ * @param {boolean} [clipOutliers] - False spans the scale over every value
+ * @returns {import('./scales.js').Scale}
+ */
+function getYScale(values, type = 'linear', clipOutliers = true) {
+    return createScale(type, values, { clipPercentile: clipOutliers ? OUTLIER_CLIP_PERCENTILE : 0 });
+}
+
+/**
+ * Scale of bubble sizes. Linear and log scales clip to the 2nd–98th percentile in
+ * the all-loans view, where a few huge loans would otherwise dwarf the rest.
+ * @param {ArrayLike<number>} values - Size values
+ * @param {'linear'|'log'|'percentile'} [type]
+ * @param {boolean} isAllLoansMode
+ * @param {boolean} [clipOutliers] - False spans the scale over every value in any view
+ * @returns {import('./scales.js').Scale}
+ */
+function getSizeScale(values, type = 'linear', isAllLoansMode = false, clipOutliers = true) {
+    return createScale(type, values, { clipPercentile: isAllLoansMode && clipOutliers ? OUTLIER_CLIP_PERCENTILE : 0 });
+}
+
+/**
+ * Padded axis domains and clip values for a set of loans. Fields are named after the
+ * default encoding (APR on y, principal in USD as size, due time on x) but hold
+ * whichever values the loans are encoded by.
+ * @param {ArrayLike<number>} aprs - y values
+ * @param {ArrayLike<number>} usds - Size values
+ * @param {ArrayLike<number>} dueTimes - x values
+ * @param {Object} options
+ * @param {number} options.MIN_PADDING_PERCENT
+ * @param {number} options.MAX_PADDING_PERCENT
+ * @param {boolean} options.isAllLoansMode - Sizes are clipped to the 2nd–98th percentile
+ * @param {'linear'|'log'|'percentile'} [options.yScale]
+ * @param {'linear'|'log'|'percentile'} [options.sizeScale]
+ * @param {boolean} [options.clipOutliers] - False turns clipping off, so no values are outliers
+ * @param {{yScale: import('./scales.js').Scale, sizeScale: import('./scales.js').Scale}} [scales] - Already built from these values
+ * @returns {{paddedMinAPR: number, paddedMaxAPR: number, paddedMinDue: number, paddedMaxDue: number, APR_CLIP_TOP: number, APR_CLIP_BOTTOM: number, USD_CLIP_MIN: number, USD_CLIP_MAX: number, APR_CLIP_NOTE: string, USD_CLIP_NOTE: string}}
+ *   The clip values are the ends of the y and size scales; the notes explain the clipping to users, and are empty without any
+ */
+function getLayoutDomain(aprs, usds, dueTimes, { MIN_PADDING_PERCENT, MAX_PADDING_PERCENT, isAllLoansMode, yScale: yScaleType, sizeScale: sizeScaleType, clipOutliers = true }, scales = null) {
+    const { yScale, sizeScale } = scales || {
+        yScale: getYScale(aprs, yScaleType, clipOutliers),
+        sizeScale: getSizeScale(usds, sizeScaleType, isAllLoansMode, clipOutliers)
+    };
+    const { min: minAPR, max: maxAPR } = getExtent(aprs);
+    const { min: minDue, max: maxDue } = getExtent(dueTimes);
+
+    // Calculate dynamic padding based on data range
+    const aprRange = maxAPR - minAPR;
+    const dueRange = maxDue - minDue;
+    const aprPadding = Math.min(Math.max(aprRange * MIN_PADDING_PERCENT, aprRange * MAX_PADDING_PERCENT), aprRange * MAX_PADDING_PERCENT);
+    const duePadding = Math.min(Math.max(dueRange * MIN_PADDING_PERCENT, dueRange * MAX_PADDING_PERCENT), dueRange * MAX_PADDING_PERCENT);
+
+    const domain = {
+        paddedMinAPR: minAPR - aprPadding,
+        paddedMaxAPR: maxAPR + aprPadding,
+        paddedMinDue: minDue - duePadding,
+        paddedMaxDue: maxDue + duePadding,
+        APR_CLIP_TOP: yScale.max,
+        APR_CLIP_BOTTOM: yScale.min,
+        USD_CLIP_MIN: sizeScale.min,
+        USD_CLIP_MAX: sizeScale.max,
+        APR_CLIP_NOTE: '',
+        USD_CLIP_NOTE: ''
+    };
+    // Percentile scales rank every value, so nothing is clipped
+    if (clipOutliers && yScale.type !== 'percentile') {
+        domain.APR_CLIP_NOTE = 'Y values outside the 2nd–98th percentile are pinned to the chart edge and marked with an arrow.';
+    }
+    if (clipOutliers && isAllLoansMode && sizeScale.type !== 'percentile') {
+        domain.USD_CLIP_NOTE = "Bubble sizes in 'All loans' view are clipped to the 2nd–98th percentile for readability.";
+    }
+    return domain;
+}
+
+/**
+ * Unclamped x of a loan's bubble on an x axis spanning minDue to maxDue, jitter included
+ * @param {number} dueTime - x value
+ * @param {string} jitterKey - Stable loan key
+ * @param {number} minDue
+ * @param {number} maxDue
+ * @param {number} CHART_PADDING_X
+ * @param {number} WIDTH
+ * @returns {number}
+ */
+function getTimeAxisX(dueTime, jitterKey, minDue, maxDue, CHART_PADDING_X, WIDTH) {
+    const x = CHART_PADDING_X + (WIDTH - 2 * CHART_PADDING_X) * (dueTime - minDue) / ((maxDue - minDue) || 1);
+    return x + (seededRandom(jitterKey, 1) - 0.5) * 10;
+}
+
+/**
+ * Position and size of one loan's bubble
+ * @param {number} apr - y value
+ * @param {number} usd - Size value
+ * @param {number} dueTime - x value
+ * @param {string} jitterKey - Stable loan key; seeds the jitter that separates equal loans
+ * @param {{minDue: number, maxDue: number, minUSD: number, maxUSD: number, aprClipTop: number, aprClipBottom: number, yScale?: import('./scales.js').Scale, sizeScale?: import('./scales.js').Scale}} bounds
+ *   Without scales, y and size are linear between the clip values
+ * @param {{CHART_PADDING_X: number, WIDTH: number, CHART_PADDING_TOP: number, CHART_HEIGHT: number, BUBBLE_PADDING_FACTOR: number, isAllLoansMode: boolean}} layout
+ * @returns {{x: number, y: number, r: number, isAprOutlier: boolean, isUsdOutlier: boolean}}
+ */
+function computeBubbleGeometry(apr, usd, dueTime, jitterKey, bounds, layout) {
+    const { minDue, maxDue } = bounds;
+    const yScale = bounds.yScale || createLinearScale(bounds.aprClipBottom, bounds.aprClipTop);
+    const sizeScale = bounds.sizeScale || createLinearScale(bounds.minUSD, bounds.maxUSD);
+    const { CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode } = layout;
+
+    // Calculate base position with padding
+    let x = getTimeAxisX(dueTime, jitterKey, minDue, maxDue, CHART_PADDING_X, WIDTH);
+
+    // Y position on the y scale; values beyond it are pinned to the edge
+    let y;
+    let isAprOutlier = false;
+    if (apr > yScale.max) {
+        y = CHART_PADDING_TOP;
+        isAprOutlier = true;
+    } else if (apr < yScale.min) {
+        y = CHART_HEIGHT;
+        isAprOutlier = true;
+    } else {
+        y = CHART_PADDING_TOP + (CHART_HEIGHT - CHART_PADDING_TOP) * (1 - yScale.normalize(apr));
+    }
+
+    y += (seededRandom(jitterKey, 2) - 0.5) * 10;
+
+    // Smaller bubbles for the all-loans view, larger ones for a single wallet
+    const minR = isAllLoansMode ? 4 : 10;
+    const maxR = isAllLoansMode ? 16 : 40;
+
+    // Calculate bubble size based on the size value, clip for visual only
+    const minArea = Math.PI * minR * minR;
+    const maxArea = Math.PI * maxR * maxR;
+    const valueNorm = Math.max(0, Math.min(1, sizeScale.normalize(usd)));
+    const area = minArea + valueNorm * (maxArea - minArea);
+    const r = Math.max(minR, Math.min(maxR, Math.sqrt(area / Math.PI)));
+
+    // Ensure bubble stays within chart bounds
+    const minX = CHART_PADDING_X + r * BUBBLE_PADDING_FACTOR;
+    const maxX = WIDTH - CHART_PADDING_X - (r * BUBBLE_PADDING_FACTOR);
+    const minY = CHART_PADDING_TOP + r * BUBBLE_PADDING_FACTOR;
+    const maxY = CHART_HEIGHT - (r * BUBBLE_PADDING_FACTOR);
+    x = Math.max(minX, Math.min(maxX, x));
+    y = Math.max(minY, Math.min(maxY, y));
+
+    return {
+        x, y, r,
+        isAprOutlier,
+        isUsdOutlier: isAllLoansMode && (usd < sizeScale.min || usd > sizeScale.max)
+    };
+}
+
+/**
+ * Group indices by grid cell. Cells are as wide as the furthest two circles can be
+ * apart and still overlap, so overlapping pairs are always in adjacent cells.
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} r
+ * @param {number} overlapThreshold
+ * @returns {{cellSize: number, cells: Map<string, number[]>}}
+ */
+function buildOverlapGrid(x, y, r, overlapThreshold) {
+    const { max: maxR } = getExtent(r);
+    const cellSize = Math.max(1, 2 * Math.max(0, maxR) * overlapThreshold);
+    const cells = new Map();
+    for (let i = 0; i < x.length; i++) {
+        const key = `${Math.floor(x[i] / cellSize)},${Math.floor(y[i] / cellSize)}`;
+        const cell = cells.get(key);
+        if (cell) {
+            cell.push(i);
+        } else {
+            cells.set(key, [i]);
+        }
+    }
+    return { cellSize, cells };
+}
+
+/**
+ * Connected components of overlapping circles. Neighbours come from a uniform grid
+ * and are visited in index order, so components and their member order match an
+ * exhaustive depth-first search over every pair.
+ * Component k holds the indices `order[offsets[k]]` to `order[offsets[k + 1] - 1]`.
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} r
+ * @param {number} [overlapThreshold] - Fraction of the summed radii the centres must be closer than
+ * @param {function(number, number): boolean} [overlaps] - Overlap test by index; must never match circles
+ *   further apart than `(r1 + r2) * overlapThreshold`. Defaults to exactly that rule.
+ * @returns {{order: Int32Array, offsets: Int32Array}}
+ */
+function findOverlapComponents(x, y, r, overlapThreshold = CLUSTER_OVERLAP_THRESHOLD, overlaps = null) {
+    const count = x.length;
+    const test = overlaps || ((i, j) => Math.hypot(x[i] - x[j], y[i] - y[j]) < (r[i] + r[j]) * overlapThreshold);
+    const visited = new Uint8Array(count);
+    const order = new Int32Array(count);
+    const offsets = [0];
+    const { cellSize, cells } = buildOverlapGrid(x, y, r, overlapThreshold);
+    const neighbours = [];
+    let visitedCount = 0;
+
+    for (let start = 0; start < count; start++) {
+        if (visited[start]) continue;
+        const queue = [start];
+        visited[start] = 1;
+        while (queue.length > 0) {
+            const current = queue.pop();
+            order[visitedCount++] = current;
+            const cx = Math.floor(x[current] / cellSize);
+            const cy = Math.floor(y[current] / cellSize);
+            neighbours.length = 0;
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    const cell = cells.get(`${gx},${gy}`);
+                    if (!cell) continue;
+                    for (const i of cell) {
+                        if (!visited[i] && test(current, i)) neighbours.push(i);
+                    }
+                }
+            }
+            neighbours.sort((a, b) => a - b);
+            for (const i of neighbours) {
+                visited[i] = 1;
+                queue.push(i);
+            }
+        }
+        offsets.push(visitedCount);
+    }
+    return { order, offsets: Int32Array.from(offsets) };
+}
+
+/**
+ * Overlap components of circles that arrive in batches, e.g. a page of loans at a time.
+ * Circles are filed in a grid like findOverlapComponents' and joined with union-find,
+ * so a batch is only compared with its neighbours. Circle i is the i-th one added.
+ */
+class OverlapComponents {
+    /**
+     * @param {number} [overlapThreshold] - Fraction of the summed radii the centres must be closer than
+     */
+    constructor(overlapThreshold = CLUSTER_OVERLAP_THRESHOLD) {
+        this.overlapThreshold = overlapThreshold;
+        this.count = 0;
+        this.x = new Float64Array(0);
+        this.y = new Float64Array(0);
+        this.r = new Float64Array(0);
+        this.parent = new Int32Array(0);
+        // Members of each component, kept on its root
+        this.members = [];
+        this.maxR = 0;
+        this.cellSize = 1;
+        this.cells = new Map();
+    }
+
+    /**
+     * Add a batch of circles and join them to the circles they overlap
+     * @param {ArrayLike<number>} x
+     * @param {ArrayLike<number>} y
+     * @param {ArrayLike<number>} r
+     * @returns {Int32Array} Roots of the components the batch ended up in, each once
+     */
+    add(x, y, r) {
+        const start = this.count;
+        const end = start + x.length;
+        this.reserve(end);
+        for (let k = 0; k < x.length; k++) {
+            const i = start + k;
+            this.x[i] = x[k];
+            this.y[i] = y[k];
+            this.r[i] = r[k];
+            this.parent[i] = i;
+            this.members[i] = [i];
+        }
+        this.count = end;
+
+        const { max: maxR } = getExtent(r);
+        if (maxR > this.maxR) {
+            // Wider cells for the larger circles; circles already filed are filed again
+            this.maxR = maxR;
+            this.cellSize = Math.max(1, 2 * maxR * this.overlapThreshold);
+            this.cells.clear();
+            for (let i = 0; i < start; i++) this.file(i);
+        }
+        for (let i = start; i < end; i++) {
+            const cx = Math.floor(this.x[i] / this.cellSize);
+            const cy = Math.floor(this.y[i] / this.cellSize);
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    const cell = this.cells.get(`${gx},${gy}`);
+                    if (!cell) continue;
+                    for (const j of cell) {
+                        if (Math.hypot(this.x[i] - this.x[j], this.y[i] - this.y[j]) < (this.r[i] + this.r[j]) * this.overlapThreshold) {
+                            this.union(i, j);
+                        }
+                    }
+                }
+            }
+            this.file(i);
+        }
+
+        const roots = new Set();
+        for (let i = start; i < end; i++) roots.add(this.find(i));
+        return Int32Array.from(roots);
+    }
+
+    /**
+     * @param {number} count - Circles to make room for
+     */
+    reserve(count) {
+        if (count <= this.parent.length) return;
+        const capacity = Math.max(count, this.parent.length * 2);
+        for (const name of ['x', 'y', 'r']) {
+            const column = new Float64Array(capacity);
+            column.set(this[name]);
+            this[name] = column;
+        }
+        const parent = new Int32Array(capacity);
+        parent.set(this.parent);
+        this.parent = parent;
+    }
+
+    /**
+     * @param {number} i
+     */
+    file(i) {
+        const key = `${Math.floor(this.x[i] / this.cellSize)},${Math.floor(this.y[i] / this.cellSize)}`;
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(i);
+        } else {
+            this.cells.set(key, [i]);
+        }
+    }
+
+    /**
+     * Root of a circle's component
+     * @param {number} i
+     * @returns {number}
+     */
+    find(i) {
+        const { parent } = this;
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    }
+
+    /**
+     * @param {number} i
+     * @param {number} j
+     */
+    union(i, j) {
+        let a = this.find(i);
+        let b = this.find(j);
+        if (a === b) return;
+        // The smaller component's members move to the larger one
+        if (this.members[a].length < this.members[b].length) [a, b] = [b, a];
+        this.parent[b] = a;
+        for (const m of this.members[b]) this.members[a].push(m);
+        this.members[b] = null;
+    }
+
+    /**
+     * Root of every component
+     * @returns {Int32Array}
+     */
+    roots() {
+        const roots = [];
+        for (let i = 0; i < this.count; i++) {
+            if (this.parent[i] === i) roots.push(i);
+        }
+        return Int32Array.from(roots);
+    }
+
+    /**
+     * Circles in the component of a root, in no particular order
+     * @param {number} root
+     * @returns {number[]}
+     */
+    membersOf(root) {
+        return this.members[root];
+    }
+}
+
+/**
+ * Lay out loans given as columns of their encoded values: bubble positions, sizes and
+ * outlier flags, plus their overlap components
+ * @param {{xValue: Float64Array, yValue: Float64Array, sizeValue: Float64Array, keys: string[]}} columns
+ * @param {Object} options - Chart geometry, padding percentages, isAllLoansMode, overlapThreshold, the yScale and sizeScale types, and clipOutliers
+ * @param {{xValue: ArrayLike<number>, yValue: ArrayLike<number>, sizeValue: ArrayLike<number>}} [options.reference] - Values
+ *   to take the domain and scales from instead, so a later page lands on the axes of the loans already shown.
+ *   Only the extent of the x values matters; the caller widens it to cover the page.
+ * @returns {{x: Float64Array, y: Float64Array, r: Float64Array, flags: Uint8Array, order: Int32Array, offsets: Int32Array, domain: Object}}
+ */
+function layoutLoanColumns({ xValue, yValue, sizeValue, keys }, options) {
+    const count = yValue.length;
+    const reference = options.reference || { xValue, yValue, sizeValue };
+    const yScale = getYScale(reference.yValue, options.yScale, options.clipOutliers);
+    const sizeScale = getSizeScale(reference.sizeValue, options.sizeScale, options.isAllLoansMode, options.clipOutliers);
+    const domain = getLayoutDomain(reference.yValue, reference.sizeValue, reference.xValue, options, { yScale, sizeScale });
+    const bounds = {
+        minDue: domain.paddedMinDue,
+        maxDue: domain.paddedMaxDue,
+        yScale,
+        sizeScale
+    };
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    const r = new Float64Array(count);
+    const flags = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        const geometry = computeBubbleGeometry(yValue[i], sizeValue[i], xValue[i], keys[i], bounds, options);
+        x[i] = geometry.x;
+        y[i] = geometry.y;
+        r[i] = geometry.r;
+        flags[i] = (geometry.isAprOutlier ? APR_OUTLIER : 0) | (geometry.isUsdOutlier ? USD_OUTLIER : 0);
+    }
+    const { order, offsets } = findOverlapComponents(x, y, r, options.overlapThreshold);
+    return { x, y, r, flags, order, offsets, domain };
+}
+
+/**
+ * Pack circles around the centroid of their current positions, then shift the
+ * packing back inside the plot area
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} r
+ * @param {{left: number, right: number, top: number, bottom: number}} bounds
+ * @param {function(Array<{x: number, y: number, r: number}>): void} packSiblings - d3.packSiblings
+ * @returns {{packedX: Float64Array, packedY: Float64Array}}
+ */
+function packCircles(x, y, r, bounds, packSiblings) {
+    const count = x.length;
+    const packed = Array.from(r, radius => ({ x: 0, y: 0, r: radius }));
+    packSiblings(packed);
+
+    // Compute centroid of the cluster's current positions
+    let sumX = 0, sumY = 0;
+    for (let i = 0; i < count; i++) {
+        sumX += x[i];
+        sumY += y[i];
+    }
+    const centroidX = sumX / count;
+    const centroidY = sumY / count;
+
+    // Compute bounding box of packed cluster
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const p of packed) {
+        minX = Math.min(minX, p.x - p.r);
+        maxX = Math.max(maxX, p.x + p.r);
+        minY = Math.min(minY, p.y - p.r);
+        maxY = Math.max(maxY, p.y + p.r);
+    }
+    const packedCenterX = (minX + maxX) / 2;
+    const packedCenterY = (minY + maxY) / 2;
+
+    // Offset packed positions to center at the cluster's centroid
+    const packedX = new Float64Array(count);
+    const packedY = new Float64Array(count);
+    let minBubbleX = Infinity, maxBubbleX = -Infinity, minBubbleY = Infinity, maxBubbleY = -Infinity;
+    for (let i = 0; i < count; i++) {
+        packedX[i] = centroidX + (packed[i].x - packedCenterX);
+        packedY[i] = centroidY + (packed[i].y - packedCenterY);
+        minBubbleX = Math.min(minBubbleX, packedX[i] - r[i]);
+        maxBubbleX = Math.max(maxBubbleX, packedX[i] + r[i]);
+        minBubbleY = Math.min(minBubbleY, packedY[i] - r[i]);
+        maxBubbleY = Math.max(maxBubbleY, packedY[i] + r[i]);
+    }
+
+    // Shift, without scaling, to keep all bubbles inside bounds
+    let shiftX = 0, shiftY = 0;
+    if (minBubbleX < bounds.left) shiftX = bounds.left - minBubbleX;
+    if (maxBubbleX > bounds.right) shiftX = bounds.right - maxBubbleX;
+    if (minBubbleY < bounds.top) shiftY = bounds.top - minBubbleY;
+    if (maxBubbleY > bounds.bottom) shiftY = bounds.bottom - maxBubbleY;
+    for (let i = 0; i < count; i++) {
+        packedX[i] += shiftX;
+        packedY[i] += shiftY;
+    }
+    return { packedX, packedY };
+}
+
+export {
+    APR_OUTLIER, USD_OUTLIER, getPercentile, getYScale, getSizeScale, getLayoutDomain, getTimeAxisX, computeBubbleGeometry,
+    findOverlapComponents, OverlapComponents, layoutLoanColumns, packCircles
+};
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Columnar storage for loan bubbles.
+ *
+ * Module Boundaries:
+ * - Positions, velocities and opacities live in Float32Array columns, and loan fields
+ *   in typed or plain arrays, all indexed by the bubble's slot in the store
+ * - Bubbles are small handles whose properties read and write those columns. They are
+ *   for code that deals with a few bubbles at a time; physics, clustering, hit testing
+ *   and animation loop over the columns by slot instead
+ *
+ * Forbidden:
+ * - State access or mutation
+ * - DOM manipulation
+ * - Data fetching
+ */
+
+import { DEFAULT_BUBBLE_OPACITY, DEFAULT_STROKE_OPACITY } from '../config/constants.js';
+import { getImageUrls, getImagePlaceholder } from './imageSources.js';
+import { DEFAULT_ENCODING, getEncodedValues } from './encodings.js';
+
+const DEFAULT_CAPACITY = 64;
+
+// Changed every frame while bubbles move or fade
+const FLOAT_COLUMNS = ['x', 'y', 'r', 'vx', 'vy', 'opacity', 'strokeOpacity', 'initialX', 'initialY', 'packedX', 'packedY'];
+// A refresh transition: where the bubble tweens from and to, how far it is, and its fade
+const TRANSITION_COLUMNS = ['fromX', 'fromY', 'fromR', 'toX', 'toY', 'toR', 'fadeFrom', 'fadeTo', 'fadeAlpha', 'transitionFrame'];
+// Loan amounts and timestamps, which need full precision, and the loan's value on each encoded channel
+const NUMBER_COLUMNS = ['apr', 'loanAmount', 'repayment', 'dueTime', 'xValue', 'yValue', 'sizeValue'];
+const VALUE_COLUMNS = ['name', 'protocol', 'loanId', 'imageUrls', 'img', 'wallet', 'role'];
+// Boolean fields, packed into one byte per bubble
+const FLAG_BITS = { isAprOutlier: 1, isUsdOutlier: 2, imageFailed: 4, showTooltip: 8, visited: 16, inTransition: 32, exiting: 64, standalone: 128 };
+
+class BubbleStore {
+    /**
+     * @param {number} [capacity] - Slots to allocate up front; the store grows past it
+     * @param {import('./encodings.js').Encoding} [encoding] - Fields the layout placed bubbles by
+     */
+    constructor(capacity = DEFAULT_CAPACITY, encoding = DEFAULT_ENCODING) {
+        this.capacity = Math.max(1, capacity);
+        this.encoding = encoding;
+        this.size = 0;
+        for (const name of FLOAT_COLUMNS.concat(TRANSITION_COLUMNS)) this[name] = new Float32Array(this.capacity);
+        for (const name of NUMBER_COLUMNS) this[name] = new Float64Array(this.capacity);
+        for (const name of VALUE_COLUMNS) this[name] = new Array(this.capacity).fill(null);
+        this.flags = new Uint8Array(this.capacity);
+        this.loans = new Array(this.capacity).fill(null);
+        // Placeholders are only needed once every image URL failed, so they are made on first use
+        this.placeholders = new Array(this.capacity).fill(null);
+        this.handles = new Array(this.capacity).fill(null);
+    }
+
+    /**
+     * Double the capacity, keeping every column's contents
+     */
+    grow() {
+        const capacity = this.capacity * 2;
+        for (const name of FLOAT_COLUMNS.concat(TRANSITION_COLUMNS, NUMBER_COLUMNS, ['flags'])) {
+            const column = new this[name].constructor(capacity);
+            column.set(this[name]);
+            this[name] = column;
+        }
+        for (const name of VALUE_COLUMNS.concat(['loans', 'placeholders', 'handles'])) {
+            this[name].length = capacity;
+            this[name].fill(null, this.capacity);
+        }
+        this.capacity = capacity;
+    }
+
+    /**
+     * Store the bubble of a loan whose position and size are already computed
+     * @param {import('./loanDecoder.js').Loan} loan
+     * @param {{x: number, y: number, r: number, isAprOutlier: boolean, isUsdOutlier: boolean}} geometry
+     * @returns {Bubble}
+     */
+    add(loan, { x, y, r, isAprOutlier, isUsdOutlier }) {
+        if (this.size === this.capacity) this.grow();
+        const i = this.size++;
+        this.x[i] = x;
+        this.y[i] = y;
+        this.r[i] = r;
+        this.initialX[i] = x;
+        this.initialY[i] = y;
+        this.vx[i] = (Math.random() - 0.5) * 0.1;
+        this.vy[i] = (Math.random() - 0.5) * 0.1;
+        this.opacity[i] = DEFAULT_BUBBLE_OPACITY;
+        this.strokeOpacity[i] = DEFAULT_STROKE_OPACITY;
+        this.fadeAlpha[i] = 1;
+
+        this.apr[i] = loan.apr;
+        this.loanAmount[i] = loan.principalAmountUSD;
+        this.repayment[i] = loan.maximumRepaymentAmountUSD;
+        this.dueTime[i] = loan.dueTime;
+        const values = getEncodedValues(loan, this.encoding);
+        this.xValue[i] = values.x;
+        this.yValue[i] = values.y;
+        this.sizeValue[i] = values.size;
+        // Handle empty or missing optional fields with fallbacks
+        this.name[i] = loan.nftName && loan.nftName.trim() ? loan.nftName : (loan.nftProjectName && loan.nftProjectName.trim() ? loan.nftProjectName : 'NFT Loan');
+        this.protocol[i] = loan.protocolName || '';
+        this.loanId[i] = loan.loanId || '';
+        // Image URLs in fallback order; the loader moves on to the next when one fails
+        this.imageUrls[i] = getImageUrls(loan);
+        this.loans[i] = loan;
+
+        let flags = FLAG_BITS.showTooltip;
+        if (isAprOutlier) flags |= FLAG_BITS.isAprOutlier;
+        if (isUsdOutlier) flags |= FLAG_BITS.isUsdOutlier;
+        if (this.imageUrls[i].length === 0) flags |= FLAG_BITS.imageFailed;
+        this.flags[i] = flags;
+
+        const bubble = new Bubble(this, i);
+        this.handles[i] = bubble;
+        return bubble;
+    }
+
+    /**
+     * The bubble in a slot
+     * @param {number} index
+     * @returns {Bubble|null}
+     */
+    at(index) {
+        return index < this.size ? this.handles[index] : null;
+    }
+
+    /**
+     * The loan behind the bubble in a slot
+     * @param {number} index
+     * @returns {import('./loanDecoder.js').Loan|null}
+     */
+    getLoan(index) {
+        return index < this.size ? this.loans[index] : null;
+    }
+
+    /**
+     * @param {number} index
+     * @param {string} flag - A key of FLAG_BITS
+     * @returns {boolean}
+     */
+    hasFlag(index, flag) {
+        return (this.flags[index] & FLAG_BITS[flag]) !== 0;
+    }
+
+    /**
+     * @param {number} index
+     * @param {string} flag - A key of FLAG_BITS
+     * @param {boolean} value
+     */
+    setFlag(index, flag, value) {
+        if (value) this.flags[index] |= FLAG_BITS[flag];
+        else this.flags[index] &= ~FLAG_BITS[flag];
+    }
+}
+
+/**
+ * A bubble in a BubbleStore. Carries only its slot; every field reads and writes the
+ * store's columns.
+ */
+class Bubble {
+    /**
+     * @param {BubbleStore} store
+     * @param {number} index
+     */
+    constructor(store, index) {
+        this.store = store;
+        this.index = index;
+    }
+
+    /**
+     * First image URL to try, or '' when the loan has none
+     * @returns {string}
+     */
+    get imageUrl() {
+        return this.store.imageUrls[this.index][0] || '';
+    }
+
+    /**
+     * Drawn instead of the image once every URL has failed
+     * @returns {{seed: string|null, label: string}}
+     */
+    get imagePlaceholder() {
+        const { placeholders, loans } = this.store;
+        if (!placeholders[this.index]) placeholders[this.index] = getImagePlaceholder(loans[this.index]);
+        return placeholders[this.index];
+    }
+
+    /**
+     * Take over another slot, e.g. a fresh layout's slot for the same loan, so code
+     * holding this bubble sees the new values. The old slot is left empty, so loops
+     * over its store skip it.
+     * @param {BubbleStore} store
+     * @param {number} index
+     */
+    moveTo(store, index) {
+        if (this.store.handles[this.index] === this) {
+            this.store.handles[this.index] = null;
+            this.store.flags[this.index] = 0;
+        }
+        this.store = store;
+        this.index = index;
+        store.handles[index] = this;
+    }
+}
+
+for (const name of FLOAT_COLUMNS.concat(TRANSITION_COLUMNS, NUMBER_COLUMNS, VALUE_COLUMNS)) {
+    Object.defineProperty(Bubble.prototype, name, {
+        get() { return this.store[name][this.index]; },
+        set(value) { this.store[name][this.index] = value; }
+    });
+}
+for (const name of Object.keys(FLAG_BITS)) {
+    Object.defineProperty(Bubble.prototype, name, {
+        get() { return this.store.hasFlag(this.index, name); },
+        set(value) { this.store.setFlag(this.index, name, value); }
+    });
+}
+
+/**
+ * The store whose first slots hold exactly these bubbles, in order, so a loop over
+ * them can read its columns by index
+ * @param {Array} bubbles
+ * @returns {BubbleStore|null} Null for plain objects, or bubbles from several stores or out of slot order
+ */
+function getBubbleStore(bubbles) {
+    const store = bubbles.length > 0 ? bubbles[0].store : null;
+    if (!(store instanceof BubbleStore) || store.size < bubbles.length) return null;
+    for (let i = 0; i < bubbles.length; i++) {
+        if (store.handles[i] !== bubbles[i]) return null;
+    }
+    return store;
+}
+
+/**
+ * The store of bubbles that all live in one, and their slots in it
+ * @param {Array} bubbles
+ * @returns {{store: BubbleStore, indices: Int32Array}|null} Null for plain objects or bubbles from several stores
+ */
+function getBubbleSlots(bubbles) {
+    const store = bubbles.length > 0 ? bubbles[0].store : null;
+    if (!(store instanceof BubbleStore)) return null;
+    const indices = new Int32Array(bubbles.length);
+    for (let i = 0; i < bubbles.length; i++) {
+        if (bubbles[i].store !== store) return null;
+        indices[i] = bubbles[i].index;
+    }
+    return { store, indices };
+}
+
+export { BubbleStore, Bubble, FLAG_BITS, getBubbleStore, getBubbleSlots };
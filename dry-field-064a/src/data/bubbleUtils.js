@@ -3,6 +3,8 @@
  * Boundaries: Pure functions only. No state mutation or DOM manipulation.
  */
 
+import { CLUSTER_OVERLAP_THRESHOLD } from '../config/constants.js';
+
 /**
  * Calculates the overlap between two bubbles.
  * @param {Object} b1
@@ -18,16 +20,73 @@ function getBubbleOverlap(b1, b2) {
 }
 
 /**
- * Determines if two bubbles overlap.
+ * Determines if two bubbles overlap enough to cluster.
  * @param {Object} b1
  * @param {Object} b2
+ * @param {number} [threshold] - Fraction of the summed radii the centres must be closer than
  * @returns {boolean}
  */
-function bubblesOverlap(b1, b2) {
+function bubblesOverlap(b1, b2, threshold = CLUSTER_OVERLAP_THRESHOLD) {
     const dx = b1.x - b2.x;
     const dy = b1.y - b2.y;
     const dist = Math.hypot(dx, dy);
-    return dist < (b1.r + b2.r) * 0.98;
+    return dist < (b1.r + b2.r) * threshold;
+}
+
+/**
+ * Stable identity of a loan bubble across fetches.
+ * @param {Object} bubble
+ * @returns {string}
+ */
+function getBubbleKey(bubble) {
+    return `${bubble.protocol}:${bubble.loanId}`;
+}
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for a key, so a loan gets the
+ * same jitter on every layout and refreshes do not shuffle unchanged bubbles.
+ * @param {string} key
+ * @param {number} [salt]
+ * @returns {number}
+ */
+function seededRandom(key, salt = 0) {
+    // FNV-1a
+    let hash = 0x811c9dc5 ^ salt;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Reuse bubbles from a previous layout so merged data keeps images and opacity.
+ * Entries of `bubbles` that match a previous bubble are replaced in place by that
+ * previous bubble, moved into the new bubble's store slot, which holds the new
+ * layout and loan fields. Its image, opacity and fade carry over.
+ * @param {import('./bubbleStore.js').Bubble[]} bubbles - Freshly created bubbles
+ * @param {Map<string, import('./bubbleStore.js').Bubble>} previousByKey - Previous bubbles keyed by getBubbleKey
+ * @returns {Array} The bubbles that had no previous counterpart
+ */
+function reconcileBubbles(bubbles, previousByKey) {
+    const added = [];
+    for (let i = 0; i < bubbles.length; i++) {
+        const next = bubbles[i];
+        const previous = previousByKey.get(getBubbleKey(next));
+        if (!previous) {
+            added.push(next);
+            continue;
+        }
+        const { img, imageFailed, opacity, strokeOpacity, fadeAlpha } = previous;
+        previous.moveTo(next.store, next.index);
+        previous.img = img || previous.img;
+        previous.imageFailed = imageFailed || previous.imageFailed;
+        previous.opacity = opacity;
+        previous.strokeOpacity = strokeOpacity;
+        previous.fadeAlpha = fadeAlpha;
+        bubbles[i] = previous;
+    }
+    return added;
 }
 
-export { getBubbleOverlap, bubblesOverlap }; 
\ No newline at end of file
+export { getBubbleOverlap, bubblesOverlap, getBubbleKey, seededRandom, reconcileBubbles }; 
\ No newline at end of file
@@ -19,7 +19,9 @@
  * - UI updates
  */
 
-import { bubblesOverlap } from './bubbleUtils.js';
+import { CLUSTER_OVERLAP_THRESHOLD } from '../config/constants.js';
+import { BubbleStore, FLAG_BITS, getBubbleStore, getBubbleSlots } from './bubbleStore.js';
+import { getPercentile, getLayoutDomain, computeBubbleGeometry, findOverlapComponents } from './bubbleLayout.js';
 
 /**
  * Purpose: Provides functions for transforming and clustering blockchain loan data for visualization.
@@ -35,21 +37,8 @@ import { bubblesOverlap } from './bubbleUtils.js';
 // (bubblesOverlap is already in bubbleUtils.js, so we will not duplicate it here)
 
 /**
- * Gets the value at the specified percentile in the array.
- * @param {Array} arr - Array of numbers
- * @param {number} p - Percentile (0-100)
- * @returns {number}
- */
-function getPercentile(arr, p) {
-    if (arr.length === 0) return 0;
-    const sorted = [...arr].sort((a, b) => a - b);
-    const idx = Math.floor((p / 100) * (sorted.length - 1));
-    return sorted[idx];
-}
-
-/**
- * Create a loan bubble from API data.
- * @param {Object} loan
+ * Create a loan bubble from a decoded loan record.
+ * @param {import('./loanDecoder.js').Loan} loan
  * @param {number} minAPR
  * @param {number} maxAPR
  * @param {number} minDue
@@ -62,125 +51,36 @@ function getPercentile(arr, p) {
  * @param {number} CHART_HEIGHT
  * @param {number} BUBBLE_PADDING_FACTOR
  * @param {boolean} isAllLoansMode
- * @param {boolean} showImages
+ * @param {boolean} showImages - Unused; images are downloaded by the ImageLoadQueue once bubbles are laid out
  * @param {number} APR_CLIP_TOP
  * @param {number} APR_CLIP_BOTTOM
- * @returns {Object|null}
+ * @param {BubbleStore} store - Store to add the bubble to; a layout shares one, sized to its loans
+ * @returns {import('./bubbleStore.js').Bubble|null}
  */
-function createLoanBubbleFromAPI(loan, minAPR, maxAPR, minDue, maxDue, minUSD, maxUSD, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode, showImages, APR_CLIP_TOP, APR_CLIP_BOTTOM) {
-    // Handle empty or missing optional fields with fallbacks
-    const name = loan.nftName && loan.nftName.trim() ? loan.nftName : (loan.nftProjectName && loan.nftProjectName.trim() ? loan.nftProjectName : 'NFT Loan');
-    
-    // Fix any URL encoding issues in the image URIs
-    let imageUrl = '';
-    if (loan.nftImageSmallUri && loan.nftImageSmallUri.trim()) {
-        imageUrl = loan.nftImageSmallUri.trim();
-    } else if (loan.nftImageLargeUri && loan.nftImageLargeUri.trim()) {
-        imageUrl = loan.nftImageLargeUri.trim();
-    } else if (loan.nftProjectImageUri && loan.nftProjectImageUri.trim()) {
-        imageUrl = loan.nftProjectImageUri.trim();
-    } else {
-        imageUrl = 'https://via.placeholder.com/56x56.png?text=NFT';
-    }
-    
-    // Cleanup URL if needed (remove line breaks, extra spaces)
-    imageUrl = imageUrl.replace(/[\r\n\t]/g, '').trim();
-    
-    // Calculate base position with padding
-    let x = CHART_PADDING_X + (WIDTH - 2 * CHART_PADDING_X) * (new Date(loan.dueTime).getTime() - minDue) / ((maxDue - minDue) || 1);
-    
-    // Y position: robust percentile-based mapping
-    let y;
-    let isAprOutlier = false;
-    if (loan.apr > APR_CLIP_TOP) {
-        y = CHART_PADDING_TOP;
-        isAprOutlier = true;
-    } else if (loan.apr < APR_CLIP_BOTTOM) {
-        y = CHART_HEIGHT;
-        isAprOutlier = true;
-    } else {
-        y = CHART_PADDING_TOP + (CHART_HEIGHT - CHART_PADDING_TOP) * (1 - (loan.apr - APR_CLIP_BOTTOM) / ((APR_CLIP_TOP - APR_CLIP_BOTTOM) || 1));
-    }
-    
-    x += (Math.random() - 0.5) * 10;
-    y += (Math.random() - 0.5) * 10;
-    
-    // Set min and max radius based on whether we're viewing all loans or a single wallet
-    let minR, maxR;
-    if (isAllLoansMode) {
-        minR = 4;  // Smaller bubbles for all loans view
-        maxR = 16;
-    } else {
-        minR = 10; // Larger bubbles for single wallet view
-        maxR = 40;
-    }
-    
-    // Calculate bubble size based on loan amount, clip for visual only
-    const minArea = Math.PI * minR * minR;
-    const maxArea = Math.PI * maxR * maxR;
-    let clippedUSD = loan.principalAmountUSD;
-    if (isAllLoansMode) {
-        clippedUSD = Math.max(minUSD, Math.min(maxUSD, loan.principalAmountUSD));
-    }
-    const valueNorm = ((clippedUSD - minUSD) / ((maxUSD - minUSD) || 1));
-    const area = minArea + valueNorm * (maxArea - minArea);
-    let r = Math.sqrt(area / Math.PI);
-    r = Math.max(minR, Math.min(maxR, r));
-    
-    // Ensure bubble stays within chart bounds
-    const minX = CHART_PADDING_X + r * BUBBLE_PADDING_FACTOR;
-    const maxX = WIDTH - CHART_PADDING_X - (r * BUBBLE_PADDING_FACTOR);
-    const minY = CHART_PADDING_TOP + r * BUBBLE_PADDING_FACTOR;
-    const maxY = CHART_HEIGHT - (r * BUBBLE_PADDING_FACTOR);
-    x = Math.max(minX, Math.min(maxX, x));
-    y = Math.max(minY, Math.min(maxY, y));
-    
-    const bubble = {
-        x, y, r,
-        initialX: x, initialY: y,
-        vx: (Math.random() - 0.5) * 0.1,
-        vy: (Math.random() - 0.5) * 0.1,
-        repayment: loan.maximumRepaymentAmountUSD,
-        apr: loan.apr, // Store actual APR
-        loanAmount: loan.principalAmountUSD, // Store actual loan amount
-        dueTime: loan.dueTime,
-        name: name,
-        imageUrl: imageUrl,
-        showTooltip: true,
-        visited: false,
-        protocol: loan.protocolName || '',
-        loanId: loan.loanId || '',
-        img: null,
-        // Add outlier flags
-        isAprOutlier: isAprOutlier,
-        isUsdOutlier: isAllLoansMode && (loan.principalAmountUSD < minUSD || loan.principalAmountUSD > maxUSD)
-    };
+function createLoanBubbleFromAPI(loan, minAPR, maxAPR, minDue, maxDue, minUSD, maxUSD, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode, showImages, APR_CLIP_TOP, APR_CLIP_BOTTOM, store) {
+    const geometry = computeBubbleGeometry(
+        loan.apr, loan.principalAmountUSD, loan.dueTime, `${loan.protocolName}:${loan.loanId}`,
+        { minDue, maxDue, minUSD, maxUSD, aprClipTop: APR_CLIP_TOP, aprClipBottom: APR_CLIP_BOTTOM },
+        { CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode }
+    );
+    return createLoanBubble(loan, geometry, store);
+}
 
-    // Only create and set image if showImages is true
-    if (showImages) {
-        try {
-            const img = new Image();
-            img.crossOrigin = "Anonymous";
-            img.onload = () => {};
-            img.onerror = (e) => {
-                if (imageUrl.includes('reservoir.tools')) {
-                    const fallbackUrl = `https://nfts.reservoir.tools/token/ethereum/${loan.nftAddress}:${loan.nftId}/image/v1`;
-                    img.src = fallbackUrl;
-                }
-            };
-            img.src = imageUrl;
-            bubble.img = img;
-        } catch (e) {
-            console.error('Error creating image for bubble:', e);
-        }
-    }
-    
-    return bubble;
+/**
+ * Create the bubble of a loan whose position and size are already computed
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {{x: number, y: number, r: number, isAprOutlier: boolean, isUsdOutlier: boolean}} geometry
+ * @param {BubbleStore} store - Store to add the bubble to; a layout shares one, sized to its loans
+ * @returns {import('./bubbleStore.js').Bubble}
+ */
+function createLoanBubble(loan, geometry, store) {
+    return store.add(loan, geometry);
 }
 
 /**
  * Use loan data to populate bubbles and clusters.
- * @param {Array} loans
+ * Loans without a due time cannot be placed on the time axis and are skipped.
+ * @param {import('./loanDecoder.js').Loan[]} loans
  * @param {Array} allBubbles
  * @param {Array} clusters
  * @param {Array} singleBubbles
@@ -201,6 +101,7 @@ function createLoanBubbleFromAPI(loan, minAPR, maxAPR, minDue, maxDue, minUSD, m
  */
 function useLoanDataForBubbles(loans, allBubbles, clusters, singleBubbles, clearChart, findClusters, createLoanBubbleFromAPI, setPaddedDates, MIN_PADDING_PERCENT, MAX_PADDING_PERCENT, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode, showImages) {
     try {
+        loans = loans ? loans.filter(l => l.dueTime !== null) : loans;
         allBubbles.length = 0;
         clusters.length = 0;
         singleBubbles.length = 0;
@@ -208,51 +109,24 @@ function useLoanDataForBubbles(loans, allBubbles, clusters, singleBubbles, clear
 
         if (!loans || loans.length === 0) {
             clearChart();
-            return { APR_CLIP_TOP: null, APR_CLIP_BOTTOM: null, USD_CLIP_NOTE: '', USD_CLIP_MIN: null, USD_CLIP_MAX: null };
+            return { APR_CLIP_TOP: null, APR_CLIP_BOTTOM: null, APR_CLIP_NOTE: '', USD_CLIP_NOTE: '', USD_CLIP_MIN: null, USD_CLIP_MAX: null };
         }
 
-        // Calculate min/max for mapping
-        const aprs = loans.map(l => l.apr);
-        const usds = loans.map(l => l.principalAmountUSD);
-        const minAPR = Math.min(...aprs);
-        const maxAPR = Math.max(...aprs);
-        const minDue = Math.min(...loans.map(l => new Date(l.dueTime).getTime()));
-        const maxDue = Math.max(...loans.map(l => new Date(l.dueTime).getTime()));
-        const minUSD = Math.min(...usds);
-        const maxUSD = Math.max(...usds);
-
-        // Calculate dynamic padding based on data range
-        const aprRange = maxAPR - minAPR;
-        const dueRange = maxDue - minDue;
-        const aprPadding = Math.min(Math.max(aprRange * MIN_PADDING_PERCENT, aprRange * MAX_PADDING_PERCENT), aprRange * MAX_PADDING_PERCENT);
-        const duePadding = Math.min(Math.max(dueRange * MIN_PADDING_PERCENT, dueRange * MAX_PADDING_PERCENT), dueRange * MAX_PADDING_PERCENT);
-        const paddedMinAPR = minAPR - aprPadding;
-        const paddedMaxAPR = maxAPR + aprPadding;
-        const paddedMinDue = minDue - duePadding;
-        const paddedMaxDue = maxDue + duePadding;
+        const domain = getLayoutDomain(
+            loans.map(l => l.apr), loans.map(l => l.principalAmountUSD), loans.map(l => l.dueTime),
+            { MIN_PADDING_PERCENT, MAX_PADDING_PERCENT, isAllLoansMode }
+        );
+        const { paddedMinAPR, paddedMaxAPR, paddedMinDue, paddedMaxDue, APR_CLIP_TOP, APR_CLIP_BOTTOM, APR_CLIP_NOTE } = domain;
+        const { USD_CLIP_MIN: minUSDClip, USD_CLIP_MAX: maxUSDClip, USD_CLIP_NOTE: sizeClipNote } = domain;
         setPaddedDates(paddedMinDue, paddedMaxDue);
 
-        // Calculate clipping values
-        const APR_CLIP_TOP = getPercentile(aprs, 98);
-        const APR_CLIP_BOTTOM = getPercentile(aprs, 2);
-        let minUSDClip, maxUSDClip, sizeClipNote = '';
-        
-        if (isAllLoansMode) {
-            minUSDClip = getPercentile(usds, 2);
-            maxUSDClip = getPercentile(usds, 98);
-            sizeClipNote = "Bubble sizes in 'All loans' view are clipped to the 2nd–98th percentile for readability.";
-        } else {
-            minUSDClip = minUSD;
-            maxUSDClip = maxUSD;
-            sizeClipNote = '';
-        }
-
         // Process all loans
+        const store = new BubbleStore(loans.length);
         for (const loan of loans) {
             const bubble = createLoanBubbleFromAPI(
                 loan, paddedMinAPR, paddedMaxAPR, paddedMinDue, paddedMaxDue, 
                 minUSDClip, maxUSDClip, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, 
-                CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode, showImages, APR_CLIP_TOP, APR_CLIP_BOTTOM
+                CHART_HEIGHT, BUBBLE_PADDING_FACTOR, isAllLoansMode, showImages, APR_CLIP_TOP, APR_CLIP_BOTTOM, store
             );
             if (bubble) {
                 allBubbles.push(bubble);
@@ -263,6 +137,7 @@ function useLoanDataForBubbles(loans, allBubbles, clusters, singleBubbles, clear
         return { 
             APR_CLIP_TOP, 
             APR_CLIP_BOTTOM, 
+            APR_CLIP_NOTE,
             USD_CLIP_NOTE: sizeClipNote, 
             USD_CLIP_MIN: minUSDClip, 
             USD_CLIP_MAX: maxUSDClip 
@@ -270,47 +145,74 @@ function useLoanDataForBubbles(loans, allBubbles, clusters, singleBubbles, clear
     } catch (err) {
         clearChart();
         console.error('[useLoanDataForBubbles] Error processing loan data:', err);
-        return { APR_CLIP_TOP: null, APR_CLIP_BOTTOM: null, USD_CLIP_NOTE: '', USD_CLIP_MIN: null, USD_CLIP_MAX: null };
+        return { APR_CLIP_TOP: null, APR_CLIP_BOTTOM: null, APR_CLIP_NOTE: '', USD_CLIP_NOTE: '', USD_CLIP_MIN: null, USD_CLIP_MAX: null };
     }
 }
 
 /**
- * Find clusters of overlapping bubbles.
+ * Find clusters of overlapping bubbles: the connected components of the overlap rule.
+ * Neighbours come from a uniform grid instead of comparing every pair, and are visited
+ * in array order, so the result matches an exhaustive search exactly. Bubbles that are
+ * the slots of one store are read from its columns.
+ * @param {Array} bubbles
+ * @param {Array} clusters
+ * @param {Array} singleBubbles
+ * @param {function(Object, Object, number): boolean} bubblesOverlap - Unused; the overlap rule is applied to the x/y/r columns
+ * @param {number} VELOCITY_POWER
+ * @param {number} BASE_VELOCITY
+ * @param {number} [overlapThreshold] - Fraction of the summed radii the centres must be closer than
+ */
+function findClusters(bubbles, clusters, singleBubbles, bubblesOverlap, VELOCITY_POWER, BASE_VELOCITY, overlapThreshold = CLUSTER_OVERLAP_THRESHOLD) {
+    const store = getBubbleStore(bubbles);
+    const components = store
+        ? findOverlapComponents(store.x.subarray(0, bubbles.length), store.y.subarray(0, bubbles.length), store.r.subarray(0, bubbles.length), overlapThreshold)
+        : findOverlapComponents(bubbles.map(b => b.x), bubbles.map(b => b.y), bubbles.map(b => b.r), overlapThreshold);
+    buildClusters(bubbles, components, clusters, singleBubbles, VELOCITY_POWER, BASE_VELOCITY);
+}
+
+/**
+ * Turn overlap components into clusters and standalone bubbles, and give every bubble
+ * an initial velocity that grows with the size of its cluster. Bubbles in a store are
+ * flagged standalone or not, and each cluster keeps the store and its members' slots
+ * for the loops that animate it.
  * @param {Array} bubbles
+ * @param {{order: Int32Array, offsets: Int32Array}} components - From findOverlapComponents
  * @param {Array} clusters
  * @param {Array} singleBubbles
- * @param {function} bubblesOverlap
  * @param {number} VELOCITY_POWER
  * @param {number} BASE_VELOCITY
  */
-function findClusters(bubbles, clusters, singleBubbles, bubblesOverlap, VELOCITY_POWER, BASE_VELOCITY) {
-    const visited = new Set();
-    const clusterMap = new Map();
+function buildClusters(bubbles, { order, offsets }, clusters, singleBubbles, VELOCITY_POWER, BASE_VELOCITY) {
+    const slots = getBubbleSlots(bubbles);
     let clusterId = 0;  // Add counter for unique IDs
-    
-    for (const b of bubbles) {
-        if (visited.has(b)) continue;
-        const cluster = [];
-        const queue = [b];
-        visited.add(b);
-        while (queue.length > 0) {
-            const current = queue.pop();
-            cluster.push(current);
-            for (const other of bubbles) {
-                if (!visited.has(other) && bubblesOverlap(current, other)) {
-                    visited.add(other);
-                    queue.push(other);
-                }
+    for (let k = 0; k + 1 < offsets.length; k++) {
+        const start = offsets[k];
+        const clusterSize = offsets[k + 1] - start;
+        const members = order.subarray(start, start + clusterSize);
+        const cluster = Array.from(members, i => bubbles[i]);
+        const indices = slots ? Int32Array.from(members, i => slots.indices[i]) : null;
+        const velocityScale = Math.pow(clusterSize, VELOCITY_POWER);
+        for (let m = 0; m < clusterSize; m++) {
+            const angle = Math.random() * Math.PI * 2;
+            const vx = Math.cos(angle) * BASE_VELOCITY * velocityScale;
+            const vy = Math.sin(angle) * BASE_VELOCITY * velocityScale;
+            if (slots) {
+                const i = indices[m];
+                slots.store.vx[i] = vx;
+                slots.store.vy[i] = vy;
+                if (clusterSize > 1) slots.store.flags[i] &= ~FLAG_BITS.standalone;
+                else slots.store.flags[i] |= FLAG_BITS.standalone;
+            } else {
+                cluster[m].vx = vx;
+                cluster[m].vy = vy;
             }
         }
-        const clusterSize = cluster.length;
-        for (const bubble of cluster) {
-            clusterMap.set(bubble, clusterSize);
-        }
         if (clusterSize > 1) {
             clusters.push({ 
                 id: `cluster-${clusterId++}`,  // Add unique ID
                 bubbles: cluster, 
+                store: slots ? slots.store : null,
+                indices,
                 state: "idle", 
                 hovering: false, 
                 revertTimer: null, 
@@ -321,14 +223,104 @@ function findClusters(bubbles, clusters, singleBubbles, bubblesOverlap, VELOCITY
             singleBubbles.push(cluster[0]);
         }
     }
-    // Second pass: update initial velocities based on cluster size
-    for (const b of bubbles) {
-        const clusterSize = clusterMap.get(b) || 1;
-        const velocityScale = Math.pow(clusterSize, VELOCITY_POWER);
-        const angle = Math.random() * Math.PI * 2;
-        b.vx = Math.cos(angle) * BASE_VELOCITY * velocityScale;
-        b.vy = Math.sin(angle) * BASE_VELOCITY * velocityScale;
+}
+
+/**
+ * Cluster bubbles appended to a store without clustering the others again. Clusters and
+ * standalone bubbles the new bubbles overlap are merged with them into new clusters,
+ * which carry over the expanded state of the clusters they replace; the rest are kept as they are.
+ * @param {Array} bubbles - The first slots of their store, the new bubbles last
+ * @param {import('./bubbleLayout.js').OverlapComponents} components - Holding the bubbles in slot order, new ones included
+ * @param {Int32Array} roots - Components the new bubbles are in, from OverlapComponents.add
+ * @param {Array} previousClusters - Clusters of the bubbles before the new ones
+ * @param {Array} previousSingleBubbles
+ * @param {number} VELOCITY_POWER
+ * @param {number} BASE_VELOCITY
+ * @returns {{clusters: Array, singleBubbles: Array}}
+ */
+function mergeClusters(bubbles, components, roots, previousClusters, previousSingleBubbles, VELOCITY_POWER, BASE_VELOCITY) {
+    const changed = new Set(roots);
+    const clusters = [];
+    const replaced = [];
+    for (const cluster of previousClusters) {
+        (changed.has(components.find(cluster.indices[0])) ? replaced : clusters).push(cluster);
+    }
+    const singleBubbles = previousSingleBubbles.filter(b => !changed.has(components.find(b.index)));
+
+    const order = [];
+    const offsets = [0];
+    for (const root of roots) {
+        for (const i of components.membersOf(root).sort((a, b) => a - b)) order.push(i);
+        offsets.push(order.length);
+    }
+    const merged = [];
+    buildClusters(bubbles, { order: Int32Array.from(order), offsets: Int32Array.from(offsets) }, merged, singleBubbles, VELOCITY_POWER, BASE_VELOCITY);
+    // Kept clusters go first so merged ones are renamed if their ids collide
+    const nextClusters = clusters.concat(merged);
+    preserveClusterStates(replaced, nextClusters);
+    return { clusters: nextClusters, singleBubbles };
+}
+
+/**
+ * Carry expanded clusters over a re-clustering. A new cluster that shares bubbles
+ * with a previously expanded (or expanding) cluster takes over its id and hover
+ * state and is expanded again around its new members. Other clusters are renamed
+ * if their id would collide with an inherited one.
+ * @param {Array} previousClusters
+ * @param {Array} nextClusters - Fresh clusters from findClusters over reused bubble objects
+ * @returns {Set<Object>} Bubbles belonging to a cluster that stays expanded
+ */
+function preserveClusterStates(previousClusters, nextClusters) {
+    const expandedByBubble = new Map();
+    for (const cluster of previousClusters) {
+        if (cluster.state !== 'expanded' && cluster.state !== 'expanding') continue;
+        for (const b of cluster.bubbles) {
+            expandedByBubble.set(b, cluster);
+        }
+    }
+
+    const inheritedIds = new Set();
+    const preservedClusters = new Set();
+    const preservedBubbles = new Set();
+    for (const cluster of nextClusters) {
+        // Match the previous cluster this one shares the most bubbles with
+        const shared = new Map();
+        for (const b of cluster.bubbles) {
+            const previous = expandedByBubble.get(b);
+            if (previous) shared.set(previous, (shared.get(previous) || 0) + 1);
+        }
+        let match = null;
+        let matchCount = 0;
+        for (const [previous, count] of shared) {
+            if (count > matchCount && !inheritedIds.has(previous.id)) {
+                match = previous;
+                matchCount = count;
+            }
+        }
+        if (!match) continue;
+
+        inheritedIds.add(match.id);
+        preservedClusters.add(cluster);
+        cluster.id = match.id;
+        cluster.hovering = match.hovering;
+        cluster.state = 'expanding';
+        cluster.frameCount = 0;
+        cluster.packedInitialized = false;
+        for (const b of cluster.bubbles) {
+            preservedBubbles.add(b);
+        }
+    }
+
+    const usedIds = new Set(inheritedIds);
+    let suffix = 0;
+    for (const cluster of nextClusters) {
+        if (preservedClusters.has(cluster)) continue;
+        while (usedIds.has(cluster.id)) {
+            cluster.id = `${cluster.id.replace(/-r\d+$/, '')}-r${++suffix}`;
+        }
+        usedIds.add(cluster.id);
     }
+    return preservedBubbles;
 }
 
-export { createLoanBubbleFromAPI, useLoanDataForBubbles, findClusters, getPercentile }; 
\ No newline at end of file
+export { createLoanBubbleFromAPI, createLoanBubble, useLoanDataForBubbles, findClusters, buildClusters, mergeClusters, preserveClusterStates, getPercentile };
\ No newline at end of file
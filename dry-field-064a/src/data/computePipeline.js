@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Runs layout, clustering and cluster packing off the main thread.
+ *
+ * Module Boundaries:
+ * - Jobs run in a module Web Worker; where workers are unavailable (e.g. Jest), or a
+ *   job fails in the worker, the same job runs on the calling thread instead
+ * - Loans go in as columns; positions and cluster membership come back as
+ *   transferable typed arrays
+ *
+ * Forbidden:
+ * - State access or mutation
+ * - DOM manipulation
+ * - Data fetching
+ */
+
+import { layoutLoanColumns, findOverlapComponents, packCircles } from './bubbleLayout.js';
+import { DEFAULT_ENCODING, getEncodedValues } from './encodings.js';
+
+/**
+ * Run one compute job on the current thread
+ * @param {'layout'|'cluster'|'pack'} type
+ * @param {Object} payload
+ * @param {{packSiblings?: function(Array): void}} [deps] - d3.packSiblings, for pack jobs
+ * @returns {{result: Object, transfer: ArrayBuffer[]}}
+ */
+function runComputeJob(type, payload, { packSiblings } = {}) {
+    switch (type) {
+        case 'layout': {
+            const result = layoutLoanColumns(payload.columns, payload.options);
+            return {
+                result,
+                transfer: [result.x.buffer, result.y.buffer, result.r.buffer, result.flags.buffer, result.order.buffer, result.offsets.buffer]
+            };
+        }
+        case 'cluster': {
+            const result = findOverlapComponents(payload.x, payload.y, payload.r, payload.overlapThreshold);
+            return { result, transfer: [result.order.buffer, result.offsets.buffer] };
+        }
+        case 'pack': {
+            if (!packSiblings) throw new Error('Cluster packing needs d3.packSiblings');
+            const result = packCircles(payload.x, payload.y, payload.r, payload.bounds, packSiblings);
+            return { result, transfer: [result.packedX.buffer, result.packedY.buffer] };
+        }
+        default:
+            throw new Error(`Unknown compute job: ${type}`);
+    }
+}
+
+/**
+ * The columns of a set of loans that layout needs: their values on each encoded channel
+ * and their jitter keys
+ * @param {import('./loanDecoder.js').Loan[]} loans - Loans with a value on every channel
+ * @param {import('./encodings.js').Encoding} [encoding]
+ * @returns {{xValue: Float64Array, yValue: Float64Array, sizeValue: Float64Array, keys: string[]}}
+ */
+function getLoanColumns(loans, encoding = DEFAULT_ENCODING) {
+    const xValue = new Float64Array(loans.length);
+    const yValue = new Float64Array(loans.length);
+    const sizeValue = new Float64Array(loans.length);
+    const keys = new Array(loans.length);
+    for (let i = 0; i < loans.length; i++) {
+        const loan = loans[i];
+        const values = getEncodedValues(loan, encoding);
+        xValue[i] = values.x;
+        yValue[i] = values.y;
+        sizeValue[i] = values.size;
+        keys[i] = `${loan.protocolName}:${loan.loanId}`;
+    }
+    return { xValue, yValue, sizeValue, keys };
+}
+
+/**
+ * The compute worker, or null where module workers are unavailable
+ * @returns {Worker|null}
+ */
+function createComputeWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('./computeWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('[compute] Worker unavailable, computing on the main thread:', error);
+        return null;
+    }
+}
+
+class ComputePipeline {
+    /**
+     * @param {Object} [options]
+     * @param {function(): (Worker|null)} [options.createWorker]
+     * @param {function(): (function(Array): void|undefined)} [options.getPackSiblings] - d3.packSiblings for same-thread packing
+     */
+    constructor({ createWorker = createComputeWorker, getPackSiblings = () => globalThis.d3 && globalThis.d3.packSiblings } = {}) {
+        this.getPackSiblings = getPackSiblings;
+        this.nextId = 0;
+        // Jobs sent to the worker, by id, so a worker failure can rerun them here
+        this.pending = new Map();
+        this.worker = createWorker();
+        if (this.worker) {
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+        }
+    }
+
+    /**
+     * Whether jobs run in a worker
+     * @returns {boolean}
+     */
+    get isOffThread() {
+        return !!this.worker;
+    }
+
+    /**
+     * Lay out loans and find their overlap components
+     * @param {import('./loanDecoder.js').Loan[]} loans - Loans with a value on every channel of the encoding
+     * @param {Object} options - Chart geometry, padding percentages, isAllLoansMode and overlapThreshold, and the
+     *   reference values of loans already shown when laying out a later page (see layoutLoanColumns)
+     * @param {import('./encodings.js').Encoding} [encoding] - Fields on x, y and size
+     * @returns {Promise<{x: Float64Array, y: Float64Array, r: Float64Array, flags: Uint8Array, order: Int32Array, offsets: Int32Array, domain: Object}>}
+     */
+    layout(loans, options, encoding = DEFAULT_ENCODING) {
+        const columns = getLoanColumns(loans, encoding);
+        return this.run('layout', { columns, options }, [columns.xValue.buffer, columns.yValue.buffer, columns.sizeValue.buffer]);
+    }
+
+    /**
+     * Find the overlap components of circles that already have positions, e.g. after a zoom
+     * @param {ArrayLike<number>} x
+     * @param {ArrayLike<number>} y
+     * @param {ArrayLike<number>} r
+     * @param {number} overlapThreshold
+     * @returns {Promise<{order: Int32Array, offsets: Int32Array}>}
+     */
+    cluster(x, y, r, overlapThreshold) {
+        const payload = { x: Float64Array.from(x), y: Float64Array.from(y), r: Float64Array.from(r), overlapThreshold };
+        return this.run('cluster', payload, [payload.x.buffer, payload.y.buffer, payload.r.buffer]);
+    }
+
+    /**
+     * Pack circles around their centroid, inside the plot area
+     * @param {ArrayLike<number>} x
+     * @param {ArrayLike<number>} y
+     * @param {ArrayLike<number>} r
+     * @param {{left: number, right: number, top: number, bottom: number}} bounds
+     * @returns {Promise<{packedX: Float64Array, packedY: Float64Array}>}
+     */
+    pack(x, y, r, bounds) {
+        const payload = { x: Float64Array.from(x), y: Float64Array.from(y), r: Float64Array.from(r), bounds };
+        return this.run('pack', payload, [payload.x.buffer, payload.y.buffer, payload.r.buffer]);
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} payload
+     * @param {ArrayBuffer[]} transfer - Buffers handed to the worker; unusable here afterwards
+     * @returns {Promise<Object>}
+     */
+    run(type, payload, transfer) {
+        if (!this.worker) {
+            return Promise.resolve().then(() => this.runHere(type, payload));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            // The transferred buffers are gone once posted, so a rerun needs its own copy
+            this.pending.set(id, { type, payload: structuredClone(payload), resolve, reject });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} payload
+     * @returns {Object}
+     */
+    runHere(type, payload) {
+        return runComputeJob(type, payload, { packSiblings: this.getPackSiblings() }).result;
+    }
+
+    /**
+     * @param {{id: number, result?: Object, error?: string}} message
+     */
+    handleMessage({ id, result, error }) {
+        const job = this.pending.get(id);
+        if (!job) return;
+        this.pending.delete(id);
+        if (error === undefined) {
+            job.resolve(result);
+            return;
+        }
+        // e.g. the worker could not load d3 for packing; the main thread has it
+        console.warn(`[compute] ${job.type} failed in the worker, computing on the main thread: ${error}`);
+        this.settleHere(job);
+    }
+
+    /**
+     * The worker failed to start or crashed: finish its jobs here and stop using it
+     * @param {ErrorEvent} event
+     */
+    handleWorkerError(event) {
+        console.warn('[compute] Worker failed, computing on the main thread:', event && event.message);
+        this.terminate();
+    }
+
+    /**
+     * @param {{type: string, payload: Object, resolve: function, reject: function}} job
+     */
+    settleHere(job) {
+        try {
+            job.resolve(this.runHere(job.type, job.payload));
+        } catch (error) {
+            job.reject(error);
+        }
+    }
+
+    /**
+     * Stop the worker; jobs still in it, and later ones, run on this thread
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        const jobs = [...this.pending.values()];
+        this.pending.clear();
+        jobs.forEach(job => this.settleHere(job));
+    }
+}
+
+let sharedPipeline = null;
+
+/**
+ * The pipeline shared by the chart, created on first use
+ * @returns {ComputePipeline}
+ */
+function getComputePipeline() {
+    if (!sharedPipeline) sharedPipeline = new ComputePipeline();
+    return sharedPipeline;
+}
+
+export { ComputePipeline, runComputeJob, getLoanColumns, createComputeWorker, getComputePipeline };
@@ -0,0 +1,34 @@
+/**
+ * Purpose: Web Worker entry for the compute pipeline. Receives `{id, type, payload}`
+ * jobs and answers `{id, result}`, transferring the result's typed arrays, or `{id, error}`.
+ * Boundaries: Runs jobs only. No state, DOM or data fetching; d3-hierarchy is imported for packing.
+ */
+
+import { D3_HIERARCHY_MODULE_URL } from '../config/constants.js';
+import { runComputeJob } from './computePipeline.js';
+
+let packSiblingsPromise = null;
+
+/**
+ * d3.packSiblings; workers do not see the page's d3 global, so it is imported here
+ * @returns {Promise<function(Array): void>}
+ */
+function loadPackSiblings() {
+    if (!packSiblingsPromise) {
+        packSiblingsPromise = import(D3_HIERARCHY_MODULE_URL).then(module => module.packSiblings);
+        packSiblingsPromise.catch(() => {
+            packSiblingsPromise = null;
+        });
+    }
+    return packSiblingsPromise;
+}
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+    try {
+        const packSiblings = type === 'pack' ? await loadPackSiblings() : undefined;
+        const { result, transfer } = runComputeJob(type, payload, { packSiblings });
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: (error && error.message) || String(error) });
+    }
+};
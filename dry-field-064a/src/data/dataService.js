@@ -20,91 +20,217 @@
  * - UI updates
  */
 
+import {
+    LOANS_DUE_ENDPOINT, LOAN_PAGE_SIZE, FETCH_RETRY_COUNT, FETCH_RETRY_BASE_DELAY, FETCH_RETRY_MAX_DELAY
+} from '../config/constants.js';
+import { NetworkError, HttpStatusError, ParseError, SchemaError, EmptyResultError } from './errors.js';
+import { decodeLoanResponse } from './loanDecoder.js';
+import { ALL_WALLETS, walletSelectionKey } from './walletSelection.js';
+
 /**
  * Data Service Module - Handles API calls and data fetching
  */
 
 /**
- * Fetch loan data for a specific wallet address or all loans
- * @param {string} walletAddress - The wallet address to fetch loans for, or '__ALL__' for all loans
+ * Build the loans_due endpoint URL for one page of results
+ * @param {string|string[]} walletAddress - One or more wallet addresses, or '__ALL__' for all loans
  * @param {number} period - The period in days for the filter
- * @returns {Promise<Object>} - The API response data
+ * @param {number} page - Zero-based page index
+ * @param {number} pageSize - Number of rows per page
+ * @param {string} [endpoint] - Base URL of the loans_due pipe
+ * @returns {string}
  */
-async function fetchLoanData(walletAddress, period = 30) {
-    try {
-        let url;
-        if (walletAddress === '__ALL__') {
-            url = `https://sdk-api.nftfi.com/data/v0/pipes/loans_due_endpoint.json?page_size=1000000&page=0&daysFromNow=${period}&sort_by=secondsUntilDue&sort_order=ASC`;
-        } else {
-            url = `https://sdk-api.nftfi.com/data/v0/pipes/loans_due_endpoint.json?wallets=${walletAddress}&page_size=1000000&page=0&daysFromNow=${period}&sort_by=secondsUntilDue&sort_order=ASC`;
+function buildLoansDueUrl(walletAddress, period, page, pageSize, endpoint = LOANS_DUE_ENDPOINT) {
+    // The endpoint takes several wallets as a comma-separated list
+    const wallets = walletSelectionKey(walletAddress);
+    const walletParam = wallets === ALL_WALLETS ? '' : `wallets=${wallets}&`;
+    return `${endpoint}?${walletParam}page_size=${pageSize}&page=${page}&daysFromNow=${period}&sort_by=secondsUntilDue&sort_order=ASC`;
+}
+
+/**
+ * Whether a response status is worth retrying
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter for the given retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {{baseDelay?: number, maxDelay?: number, random?: function(): number}} [retry]
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, { baseDelay = FETCH_RETRY_BASE_DELAY, maxDelay = FETCH_RETRY_MAX_DELAY, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(random() * ceiling);
+}
+
+/**
+ * Delay a Retry-After header asks for, in seconds or as an HTTP date, capped at maxDelay
+ * @param {string|null} value - The header value
+ * @param {{maxDelay?: number}} [retry]
+ * @param {number} [now] - Current time in ms, for the date form
+ * @returns {number|null} Delay in milliseconds, or null when the header is missing or unreadable
+ */
+function getRetryAfterDelay(value, { maxDelay = FETCH_RETRY_MAX_DELAY } = {}, now = Date.now()) {
+    if (value == null || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - now;
+    if (Number.isNaN(ms)) return null;
+    return Math.min(maxDelay, Math.max(0, ms));
+}
+
+/**
+ * Resolve after `ms`, rejecting early with an AbortError if the signal fires
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Whether an error was caused by aborting a request
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * fetch() with retries for 429/5xx responses. A Retry-After header, in seconds or as
+ * an HTTP date and capped at maxDelay, takes precedence over the computed backoff. The last response is returned once
+ * retries run out, so callers still see the failing status. Requests that never get
+ * a response reject with a NetworkError; aborts reject with the AbortError as is.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending backoff
+ * @param {{retries?: number, baseDelay?: number, maxDelay?: number, random?: function(): number}} [options.retry]
+ * @returns {Promise<Response>}
+ * @throws {NetworkError}
+ */
+async function fetchWithRetry(url, { signal, retry = {} } = {}) {
+    const retries = retry.retries ?? FETCH_RETRY_COUNT;
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, { signal });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new NetworkError(error && error.message ? error.message : undefined, { cause: error });
+        }
+        if (response.ok || !isRetryableStatus(response.status) || attempt >= retries) {
+            return response;
         }
-        const response = await fetch(url);
-        const data = await response.json();
-        return data;
+        const retryAfter = getRetryAfterDelay(response.headers && response.headers.get && response.headers.get('Retry-After'), retry);
+        const delay = retryAfter ?? getBackoffDelay(attempt, retry);
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Read and validate the JSON body of one loans_due page
+ * @param {Response} response
+ * @returns {Promise<Object>}
+ * @throws {HttpStatusError|ParseError|SchemaError}
+ */
+async function readLoanPage(response) {
+    if (!response.ok) {
+        throw new HttpStatusError(response.status, response.statusText);
+    }
+    let json;
+    try {
+        json = await response.json();
     } catch (error) {
-        console.error('Error fetching loan data:', error);
-        return null;
+        if (isAbortError(error)) throw error;
+        throw new ParseError(undefined, { cause: error });
+    }
+    if (!json || typeof json !== 'object' || !Array.isArray(json.data)) {
+        throw new SchemaError('Response has no data array');
     }
+    return json;
 }
 
 /**
- * Load images for all bubbles with proper error handling
- * @param {Array} bubbles - Array of bubble objects with image URLs
- * @param {Function} onProgress - Callback function to update load progress
- * @param {Function} onComplete - Callback function when loading is complete
+ * Walk the loans_due endpoint page by page, yielding each page as soon as it arrives.
+ * Rows are decoded into Loan records using the page's `meta` block; decoder warnings
+ * are reported once, for the first page. Stops after the first short page. Errors are
+ * not caught here so callers can decide whether a failed page should abort the whole load.
+ * @param {string|string[]} walletAddress - The wallet address(es) to fetch loans for, or '__ALL__' for all loans
+ * @param {number} period - The period in days for the filter
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Rows per page
+ * @param {function(number, number|null): void} [options.onProgress] - Called with (loaded, total) after each page
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight page and stops the walk
+ * @param {Object} [options.retry] - Retry settings, see fetchWithRetry
+ * @param {function(string): void} [options.onWarning] - Receives schema warnings, defaults to console.warn
+ * @param {string} [options.endpoint] - Base URL of the loans_due pipe
+ * @returns {AsyncGenerator<{meta: Array, data: import('./loanDecoder.js').Loan[], page: number, loaded: number, total: number|null, done: boolean}>}
+ * @throws {NetworkError|HttpStatusError|ParseError|SchemaError}
  */
-function loadBubbleImages(bubbles, onProgress, onComplete) {
-    if (!bubbles || bubbles.length === 0) {
-        if (onComplete) onComplete(0);
-        return;
+async function* fetchLoanPages(walletAddress, period = 30, { pageSize = LOAN_PAGE_SIZE, onProgress, signal, retry, onWarning = console.warn, endpoint } = {}) {
+    let page = 0;
+    let loaded = 0;
+    while (true) {
+        const response = await fetchWithRetry(buildLoansDueUrl(walletAddress, period, page, pageSize, endpoint), { signal, retry });
+        const json = await readLoanPage(response);
+        const { loans: rows, warnings } = decodeLoanResponse(json);
+        if (page === 0) warnings.forEach(warning => onWarning(`[loans_due] ${warning}`));
+        loaded += rows.length;
+        // rows_before_limit_at_least is a lower bound, so never report less than we already have
+        const total = typeof json.rows_before_limit_at_least === 'number'
+            ? Math.max(json.rows_before_limit_at_least, loaded)
+            : null;
+        const done = rows.length < pageSize;
+        if (onProgress) onProgress(loaded, done ? loaded : total);
+        yield { meta: json.meta || [], data: rows, page, loaded, total: done ? loaded : total, done };
+        if (done) return;
+        page++;
     }
+}
 
-    const totalBubbles = bubbles.length;
-    let loadedImages = 0;
-    
-    bubbles.forEach(bubble => {
-        if (!bubble.img && bubble.imageUrl) {
-            bubble.img = new Image();
-            bubble.img.crossOrigin = "Anonymous";
-            
-            bubble.img.onload = () => {
-                loadedImages++;
-                if (onProgress) onProgress(loadedImages, totalBubbles);
-                if (loadedImages >= totalBubbles && onComplete) {
-                    onComplete(loadedImages);
-                }
-            };
-            
-            bubble.img.onerror = (e) => {
-                if (bubble.imageUrl.includes('reservoir.tools') && bubble.nftAddress && bubble.nftId) {
-                    const fallbackUrl = `https://nfts.reservoir.tools/token/ethereum/${bubble.nftAddress}:${bubble.nftId}/image/v1`;
-                    bubble.img.src = fallbackUrl;
-                } else {
-                    loadedImages++;
-                    if (onProgress) onProgress(loadedImages, totalBubbles);
-                    if (loadedImages >= totalBubbles && onComplete) {
-                        onComplete(loadedImages);
-                    }
-                }
-            };
-            
-            bubble.img.src = bubble.imageUrl;
-        } else if (bubble.img) {
-            if (bubble.img.complete && bubble.img.naturalWidth > 0) {
-                loadedImages++;
-                if (onProgress) onProgress(loadedImages, totalBubbles);
-                if (loadedImages >= totalBubbles && onComplete) {
-                    onComplete(loadedImages);
-                }
-            }
-        } else {
-            loadedImages++;
-            if (onProgress) onProgress(loadedImages, totalBubbles);
-            if (loadedImages >= totalBubbles && onComplete) {
-                onComplete(loadedImages);
-            }
-        }
-    });
+/**
+ * Fetch loan data for a specific wallet address or all loans
+ * @param {string|string[]} walletAddress - The wallet address(es) to fetch loans for, or '__ALL__' for all loans
+ * @param {number} period - The period in days for the filter
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @param {Object} [options.retry] - Retry settings, see fetchWithRetry
+ * @param {import('./dataSources.js').DataSource} [options.source] - Where to read loans from; defaults to the live endpoint
+ * @returns {Promise<Object>} - The API response data, with the rows of every page in `data`
+ * @throws {NetworkError|HttpStatusError|ParseError|SchemaError|EmptyResultError}
+ */
+async function fetchLoanData(walletAddress, period = 30, { signal, retry, source } = {}) {
+    const result = { meta: [], data: [] };
+    const pages = source
+        ? source.fetchLoanPages(walletAddress, period, { signal })
+        : fetchLoanPages(walletAddress, period, { signal, retry });
+    for await (const page of pages) {
+        result.meta = page.meta;
+        for (const row of page.data) result.data.push(row);
+    }
+    if (result.data.length === 0) {
+        throw new EmptyResultError();
+    }
+    return result;
 }
 
-export { fetchLoanData, loadBubbleImages };
+export { fetchLoanData, fetchLoanPages, fetchWithRetry, readLoanPage, getBackoffDelay, getRetryAfterDelay, isAbortError, buildLoansDueUrl };
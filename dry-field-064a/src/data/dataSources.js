@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Pluggable loan data sources.
+ *
+ * Module Boundaries:
+ * - Every source exposes the same paged interface as dataService.fetchLoanPages
+ * - Network access goes through dataService; sources here only pick where rows come from
+ * - No state mutations or UI updates
+ *
+ * Forbidden:
+ * - Direct DOM manipulation
+ * - Window assignments
+ * - Global variables
+ */
+
+import { LOAN_PAGE_SIZE } from '../config/constants.js';
+import { fetchLoanPages, fetchWithRetry, readLoanPage } from './dataService.js';
+import { decodeLoanResponse, DEFAULT_LOAN_META } from './loanDecoder.js';
+import { ALL_WALLETS, normalizeWalletSelection } from './walletSelection.js';
+
+/**
+ * One page of decoded loans, as yielded by every data source.
+ * @typedef {Object} LoanPage
+ * @property {Array} meta - The response meta block
+ * @property {import('./loanDecoder.js').Loan[]} data - Decoded loans on this page
+ * @property {number} page - Zero-based page index
+ * @property {number} loaded - Loans yielded so far, including this page
+ * @property {number|null} total - Total loans, when known
+ * @property {boolean} done - Whether this is the last page
+ */
+
+/**
+ * Anything the ChartController can load loans from.
+ * @typedef {Object} DataSource
+ * @property {string} id - Stable identifier, e.g. for cache keys
+ * @property {function(string, number, {signal?: AbortSignal, onProgress?: Function}=): AsyncGenerator<LoanPage>} fetchLoanPages
+ */
+
+/**
+ * Throw the signal's abort reason if it has fired
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason || new DOMException('Aborted', 'AbortError');
+    }
+}
+
+/**
+ * Whether a loan involves the given wallet, as borrower or lender
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {string} walletAddress - Lowercase wallet address
+ * @returns {boolean}
+ */
+function loanMatchesWallet(loan, walletAddress) {
+    return (loan.borrowerAddress || '').toLowerCase() === walletAddress
+        || (loan.lenderAddress || '').toLowerCase() === walletAddress;
+}
+
+/**
+ * Whether a loan involves any of the given wallets
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {string[]} walletAddresses - Lowercase wallet addresses
+ * @returns {boolean}
+ */
+function loanMatchesAnyWallet(loan, walletAddresses) {
+    return walletAddresses.some(wallet => loanMatchesWallet(loan, wallet));
+}
+
+/**
+ * Page through an in-memory response the way the loans_due endpoint would:
+ * filter by wallet and period, sort by due time, then slice into pages.
+ * @param {{meta?: Array, data: Array}} response - Raw rows plus their meta block
+ * @param {string|string[]} walletAddress - One or more wallet addresses, or '__ALL__'
+ * @param {number} period - Days from `referenceTime`; ignored when referenceTime is null
+ * @param {Object} options
+ * @param {number} options.pageSize
+ * @param {number|null} options.referenceTime - "Now" for the period filter, in ms
+ * @param {AbortSignal} [options.signal]
+ * @param {function(number, number|null): void} [options.onProgress]
+ * @param {function(string): void} [options.onWarning]
+ * @returns {AsyncGenerator<LoanPage>}
+ */
+async function* pageLoanResponse(response, walletAddress, period, { pageSize, referenceTime, signal, onProgress, onWarning = console.warn }) {
+    throwIfAborted(signal);
+    const { loans, warnings } = decodeLoanResponse(response);
+    warnings.forEach(warning => onWarning(`[data source] ${warning}`));
+
+    const selection = normalizeWalletSelection(walletAddress);
+    const wallets = selection === ALL_WALLETS ? null : selection;
+    const horizon = referenceTime === null ? null : referenceTime + period * 24 * 60 * 60 * 1000;
+    const matching = loans
+        .filter(loan => !wallets || loanMatchesAnyWallet(loan, wallets))
+        .filter(loan => horizon === null || (loan.dueTime !== null && loan.dueTime >= referenceTime && loan.dueTime <= horizon))
+        .sort((a, b) => (a.dueTime ?? Infinity) - (b.dueTime ?? Infinity));
+
+    const meta = response.meta || DEFAULT_LOAN_META;
+    let page = 0;
+    do {
+        throwIfAborted(signal);
+        const data = matching.slice(page * pageSize, (page + 1) * pageSize);
+        const loaded = Math.min(matching.length, (page + 1) * pageSize);
+        const done = loaded >= matching.length;
+        if (onProgress) onProgress(loaded, matching.length);
+        yield { meta, data, page, loaded, total: matching.length, done };
+        if (done) return;
+        page++;
+    } while (true);
+}
+
+/**
+ * The live NFTfi loans_due endpoint.
+ * @implements {DataSource}
+ */
+class NftfiDataSource {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.endpoint] - Base URL of the loans_due pipe
+     * @param {number} [options.pageSize]
+     * @param {Object} [options.retry] - Retry settings, see dataService.fetchWithRetry
+     */
+    constructor({ endpoint, pageSize = LOAN_PAGE_SIZE, retry } = {}) {
+        this.id = 'nftfi';
+        this.endpoint = endpoint;
+        this.pageSize = pageSize;
+        this.retry = retry;
+    }
+
+    fetchLoanPages(walletAddress, period = 30, { signal, onProgress } = {}) {
+        return fetchLoanPages(walletAddress, period, {
+            pageSize: this.pageSize,
+            endpoint: this.endpoint,
+            retry: this.retry,
+            signal,
+            onProgress
+        });
+    }
+}
+
+/**
+ * A JSON file shaped like sample_api_response.json, loaded once and filtered locally.
+ * @implements {DataSource}
+ */
+class StaticJsonDataSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Where to load the JSON file from
+     * @param {number} [options.pageSize]
+     * @param {number|null} [options.referenceTime] - "Now" for the period filter; null keeps every loan
+     */
+    constructor({ url, pageSize = LOAN_PAGE_SIZE, referenceTime = null }) {
+        this.id = `static:${url}`;
+        this.url = url;
+        this.pageSize = pageSize;
+        this.referenceTime = referenceTime;
+        this.responsePromise = null;
+    }
+
+    /**
+     * Load and cache the file. A failed load is not cached so it can be retried.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>}
+     */
+    loadResponse(signal) {
+        if (!this.responsePromise) {
+            this.responsePromise = fetchWithRetry(this.url, { signal, retry: { retries: 0 } })
+                .then(readLoanPage)
+                .catch((error) => {
+                    this.responsePromise = null;
+                    throw error;
+                });
+        }
+        return this.responsePromise;
+    }
+
+    async *fetchLoanPages(walletAddress, period = 30, { signal, onProgress } = {}) {
+        const response = await this.loadResponse(signal);
+        yield* pageLoanResponse(response, walletAddress, period, {
+            pageSize: this.pageSize,
+            referenceTime: this.referenceTime,
+            signal,
+            onProgress
+        });
+    }
+}
+
+/**
+ * Loans held in memory, for tests and scripted demos.
+ * @implements {DataSource}
+ */
+class InMemoryDataSource {
+    /**
+     * @param {{meta?: Array, data: Array}|Array} response - A loans_due-shaped response, or just its rows
+     * @param {Object} [options]
+     * @param {number} [options.pageSize]
+     * @param {number|null} [options.referenceTime] - "Now" for the period filter; null keeps every loan
+     * @param {string} [options.id] - Distinguishes several in-memory datasets in the loan cache
+     */
+    constructor(response, { pageSize = LOAN_PAGE_SIZE, referenceTime = null, id = 'memory' } = {}) {
+        this.id = id;
+        this.response = Array.isArray(response) ? { meta: DEFAULT_LOAN_META, data: response } : response;
+        this.pageSize = pageSize;
+        this.referenceTime = referenceTime;
+    }
+
+    fetchLoanPages(walletAddress, period = 30, { signal, onProgress } = {}) {
+        return pageLoanResponse(this.response, walletAddress, period, {
+            pageSize: this.pageSize,
+            referenceTime: this.referenceTime,
+            signal,
+            onProgress
+        });
+    }
+}
+
+export { NftfiDataSource, StaticJsonDataSource, InMemoryDataSource, loanMatchesWallet };
@@ -0,0 +1,145 @@
+/**
+ * Purpose: The loan fields a user can put on the chart's x axis, y axis and bubble
+ * size, and how each is read from a loan and labelled on an axis.
+ * Boundaries: Pure functions and static definitions only. No state access or DOM manipulation.
+ */
+
+import { TIME_ZOOM_MIN_SPAN } from '../config/constants.js';
+import { getTickDecimals } from './scales.js';
+
+// Compact USD formats, by the most fraction digits they show
+const usdFormats = new Map();
+
+/**
+ * @param {number} value
+ * @param {number} [step] - Tick step, which sets the digits shown; without it, up to one after K, M or B
+ * @returns {string} e.g. '$12.5K'
+ */
+function formatUsd(value, step = 0) {
+    const abs = Math.abs(value);
+    const unit = abs >= 1e9 ? 1e9 : abs >= 1e6 ? 1e6 : abs >= 1e3 ? 1e3 : 1;
+    const digits = step > 0 ? getTickDecimals(step / unit) : 1;
+    if (!usdFormats.has(digits)) {
+        usdFormats.set(digits, new Intl.NumberFormat('en-US', {
+            style: 'currency', currency: 'USD', notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: digits
+        }));
+    }
+    return usdFormats.get(digits).format(value);
+}
+
+/**
+ * @param {number} value
+ * @param {number} [step] - Tick step, which sets the decimals shown; whole numbers without it
+ * @returns {string}
+ */
+function formatNumber(value, step) {
+    return value.toFixed(getTickDecimals(step));
+}
+
+/**
+ * Label one value of a field to three significant figures, e.g. for a tooltip.
+ * Size fields, which have no axis, are all USD.
+ * @param {EncodingField} field
+ * @param {number} value
+ * @returns {string}
+ */
+function formatFieldValue(field, value) {
+    const format = field.format || formatUsd;
+    const step = value !== 0 && Number.isFinite(value) ? Math.pow(10, Math.floor(Math.log10(Math.abs(value))) - 2) : 0;
+    return format(value, step);
+}
+
+/**
+ * Interest a loan pays at maximum repayment
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @returns {number|null} USD, or null without a repayment amount
+ */
+function getInterestUSD(loan) {
+    if (loan.maximumRepaymentAmountUSD === null) return null;
+    return loan.maximumRepaymentAmountUSD - loan.principalAmountUSD;
+}
+
+/**
+ * @typedef {Object} EncodingField
+ * @property {string} label - Shown in the encoding selects
+ * @property {function(import('./loanDecoder.js').Loan): (number|null)} value
+ * @property {function(number, number=): string} [format] - Axis tick label, from a value and the tick step
+ * @property {boolean} [isTime] - Values are ms timestamps, labelled as dates (x only)
+ * @property {number} [minZoomSpan] - Narrowest zoom of the x axis, in the field's unit (x only)
+ */
+
+/** @type {Object<string, EncodingField>} */
+const X_ENCODINGS = {
+    dueTime: { label: 'Due date', value: loan => loan.dueTime, isTime: true, minZoomSpan: TIME_ZOOM_MIN_SPAN },
+    startTime: { label: 'Start date', value: loan => loan.startTime, isTime: true, minZoomSpan: TIME_ZOOM_MIN_SPAN },
+    hoursUntilDue: { label: 'Hours until due', value: loan => loan.hoursUntilDue, format: (value, step) => `${formatNumber(value, step)}h`, minZoomSpan: 1 }
+};
+
+/** @type {Object<string, EncodingField>} */
+const Y_ENCODINGS = {
+    apr: { label: 'APR', value: loan => loan.apr, format: (value, step) => `${formatNumber(value, step)}%` },
+    principalUSD: { label: 'Principal (USD)', value: loan => loan.principalAmountUSD, format: formatUsd },
+    principalETH: { label: 'Principal (ETH)', value: loan => loan.principalAmountETH, format: (value, step) => `${formatNumber(value, step)} Ξ` },
+    repayment: { label: 'Repayment (USD)', value: loan => loan.maximumRepaymentAmountUSD, format: formatUsd },
+    interest: { label: 'Interest (USD)', value: getInterestUSD, format: formatUsd },
+    durationDays: { label: 'Duration (days)', value: loan => loan.durationDays, format: (value, step) => `${formatNumber(value, step)}d` }
+};
+
+/** @type {Object<string, EncodingField>} */
+const SIZE_ENCODINGS = {
+    principal: { label: 'Principal', value: loan => loan.principalAmountUSD },
+    repayment: { label: 'Repayment', value: loan => loan.maximumRepaymentAmountUSD },
+    interest: { label: 'Interest', value: getInterestUSD }
+};
+
+/**
+ * Which field each channel shows, by key of X_ENCODINGS, Y_ENCODINGS and SIZE_ENCODINGS
+ * @typedef {{x: string, y: string, size: string}} Encoding
+ */
+
+/** @type {Encoding} */
+const DEFAULT_ENCODING = { x: 'dueTime', y: 'apr', size: 'principal' };
+
+/**
+ * Fill in missing channels and replace unknown fields with the default
+ * @param {Partial<Encoding>|null|undefined} encoding
+ * @returns {Encoding}
+ */
+function resolveEncoding(encoding) {
+    const { x, y, size } = { ...DEFAULT_ENCODING, ...encoding };
+    return {
+        x: x in X_ENCODINGS ? x : DEFAULT_ENCODING.x,
+        y: y in Y_ENCODINGS ? y : DEFAULT_ENCODING.y,
+        size: size in SIZE_ENCODINGS ? size : DEFAULT_ENCODING.size
+    };
+}
+
+/**
+ * A loan's value on each channel
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {Encoding} encoding
+ * @returns {{x: number|null, y: number|null, size: number|null}}
+ */
+function getEncodedValues(loan, encoding) {
+    return {
+        x: X_ENCODINGS[encoding.x].value(loan),
+        y: Y_ENCODINGS[encoding.y].value(loan),
+        size: SIZE_ENCODINGS[encoding.size].value(loan)
+    };
+}
+
+/**
+ * Whether a loan has a value on every channel, so it can be placed on the chart
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {Encoding} encoding
+ * @returns {boolean}
+ */
+function isEncodable(loan, encoding) {
+    const { x, y, size } = getEncodedValues(loan, encoding);
+    return Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(size);
+}
+
+export {
+    X_ENCODINGS, Y_ENCODINGS, SIZE_ENCODINGS, DEFAULT_ENCODING,
+    formatUsd, formatFieldValue, getInterestUSD, resolveEncoding, getEncodedValues, isEncodable
+};
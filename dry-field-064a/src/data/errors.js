@@ -0,0 +1,73 @@
+/**
+ * Purpose: Typed errors raised while loading loan data.
+ * Boundaries: Error classes only. No state mutation, DOM manipulation or data fetching.
+ */
+
+/**
+ * Base class for every loan data failure. `kind` lets callers branch without instanceof chains.
+ */
+class LoanDataError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} kind - 'network' | 'http' | 'parse' | 'schema' | 'empty'
+     * @param {Object} [options]
+     * @param {*} [options.cause] - The underlying error, if any
+     */
+    constructor(message, kind, { cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.kind = kind;
+    }
+}
+
+/**
+ * The request never produced a response (offline, DNS, CORS, connection reset).
+ */
+class NetworkError extends LoanDataError {
+    constructor(message = 'Network request failed', options) {
+        super(message, 'network', options);
+    }
+}
+
+/**
+ * The server answered with a non-2xx status.
+ */
+class HttpStatusError extends LoanDataError {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} [statusText]
+     */
+    constructor(status, statusText = '') {
+        super(`Loan request failed with status ${status}${statusText ? ` ${statusText}` : ''}`, 'http');
+        this.status = status;
+    }
+}
+
+/**
+ * The response body was not valid JSON.
+ */
+class ParseError extends LoanDataError {
+    constructor(message = 'Response body is not valid JSON', options) {
+        super(message, 'parse', options);
+    }
+}
+
+/**
+ * The JSON did not have the shape of a loans_due response.
+ */
+class SchemaError extends LoanDataError {
+    constructor(message = 'Response does not match the loans_due schema', options) {
+        super(message, 'schema', options);
+    }
+}
+
+/**
+ * The request succeeded but matched no loans.
+ */
+class EmptyResultError extends LoanDataError {
+    constructor(message = 'No loans found') {
+        super(message, 'empty');
+    }
+}
+
+export { LoanDataError, NetworkError, HttpStatusError, ParseError, SchemaError, EmptyResultError };
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Queue that downloads bubble images a few at a time.
+ *
+ * Module Boundaries:
+ * - Decides which bubble images to download, in what order, and attaches them to bubbles
+ * - Visible and larger bubbles load first; everything queued for an older load generation is dropped
+ * - Progress is reported through a callback so the caller decides where it goes
+ *
+ * Forbidden:
+ * - Direct state mutations
+ * - Direct DOM manipulation beyond creating Image objects
+ * - Loan data fetching
+ */
+
+import { IMAGE_LOAD_CONCURRENCY } from '../config/constants.js';
+
+/**
+ * Image download progress for one load generation.
+ * @typedef {Object} ImageLoadProgress
+ * @property {number} generation
+ * @property {number} loaded - Images attached to their bubble
+ * @property {number} failed - Bubbles none of whose image URLs loaded
+ * @property {number} total - Images queued in this generation
+ * @property {boolean} done
+ */
+
+/**
+ * Whether a bubble overlaps the visible part of the chart
+ * @param {{x: number, y: number, r: number}} bubble
+ * @param {{left: number, top: number, right: number, bottom: number}|null} viewport - Null when everything is visible
+ * @returns {boolean}
+ */
+function isBubbleInViewport(bubble, viewport) {
+    if (!viewport) return true;
+    return bubble.x + bubble.r >= viewport.left && bubble.x - bubble.r <= viewport.right
+        && bubble.y + bubble.r >= viewport.top && bubble.y - bubble.r <= viewport.bottom;
+}
+
+/**
+ * Order in which queued bubbles load: visible before hidden, then larger before smaller
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object|null} viewport
+ * @returns {number} Negative when `a` should load first
+ */
+function compareImagePriority(a, b, viewport) {
+    const visibleA = isBubbleInViewport(a, viewport);
+    const visibleB = isBubbleInViewport(b, viewport);
+    if (visibleA !== visibleB) return visibleA ? -1 : 1;
+    return b.r - a.r;
+}
+
+class ImageLoadQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Downloads allowed in flight at once
+     * @param {function(): HTMLImageElement} [options.createImage] - Image factory, replaced in tests
+     * @param {function(ImageLoadProgress): void} [options.onProgress]
+     */
+    constructor({ concurrency = IMAGE_LOAD_CONCURRENCY, createImage = () => new Image(), onProgress = null } = {}) {
+        this.concurrency = concurrency;
+        this.createImage = createImage;
+        this.onProgress = onProgress;
+        this.generation = null;
+        // Highest priority last, so the next bubble is a pop()
+        this.pending = [];
+        this.queued = new Set();
+        this.inFlight = new Map();
+        this.loaded = 0;
+        this.failed = 0;
+        this.total = 0;
+    }
+
+    /**
+     * Queue images for bubbles that do not have one yet. A new generation cancels
+     * everything still queued or downloading for the previous one.
+     * @param {Array} bubbles
+     * @param {number} generation - The state's imageLoadGeneration
+     * @param {{left: number, top: number, right: number, bottom: number}|null} [viewport] - Visible chart area
+     */
+    load(bubbles, generation, viewport = null) {
+        if (generation !== this.generation) {
+            this.cancel();
+            this.generation = generation;
+        }
+        let added = 0;
+        for (const bubble of bubbles) {
+            if (bubble.img || bubble.imageFailed || !bubble.imageUrls || bubble.imageUrls.length === 0) continue;
+            if (this.queued.has(bubble) || this.inFlight.has(bubble)) continue;
+            this.queued.add(bubble);
+            this.pending.push(bubble);
+            added++;
+        }
+        if (added === 0) return;
+        this.total += added;
+        this.pending.sort((a, b) => compareImagePriority(b, a, viewport));
+        this.reportProgress();
+        this.pump();
+    }
+
+    /**
+     * Drop queued images and abandon downloads in flight. Images already attached stay.
+     */
+    cancel() {
+        for (const img of this.inFlight.values()) {
+            img.onload = null;
+            img.onerror = null;
+            img.src = '';
+        }
+        const hadWork = this.total > 0 && this.loaded + this.failed < this.total;
+        this.pending = [];
+        this.queued.clear();
+        this.inFlight.clear();
+        this.loaded = 0;
+        this.failed = 0;
+        this.total = 0;
+        if (hadWork) this.reportProgress();
+    }
+
+    /**
+     * @returns {ImageLoadProgress}
+     */
+    getProgress() {
+        return {
+            generation: this.generation,
+            loaded: this.loaded,
+            failed: this.failed,
+            total: this.total,
+            done: this.loaded + this.failed >= this.total
+        };
+    }
+
+    reportProgress() {
+        if (this.onProgress) this.onProgress(this.getProgress());
+    }
+
+    /**
+     * Start downloads until the concurrency cap is reached
+     */
+    pump() {
+        while (this.inFlight.size < this.concurrency && this.pending.length > 0) {
+            const bubble = this.pending.pop();
+            this.queued.delete(bubble);
+            this.start(bubble);
+        }
+    }
+
+    /**
+     * Download one bubble's image, moving down its URL list on each error. When the
+     * list runs out the bubble is flagged so the renderer draws its placeholder.
+     * @param {Object} bubble
+     */
+    start(bubble) {
+        const img = this.createImage();
+        img.crossOrigin = 'Anonymous';
+        this.inFlight.set(bubble, img);
+        let urlIndex = 0;
+
+        const finish = (ok) => {
+            // Cancelled: the bubble belongs to an older generation
+            if (this.inFlight.get(bubble) !== img) return;
+            img.onload = null;
+            img.onerror = null;
+            this.inFlight.delete(bubble);
+            if (ok) {
+                bubble.img = img;
+                this.loaded++;
+            } else {
+                bubble.imageFailed = true;
+                this.failed++;
+            }
+            this.reportProgress();
+            this.pump();
+        };
+        img.onload = () => finish(true);
+        img.onerror = () => {
+            urlIndex++;
+            if (urlIndex < bubble.imageUrls.length) {
+                img.src = bubble.imageUrls[urlIndex];
+                return;
+            }
+            finish(false);
+        };
+        img.src = bubble.imageUrls[0];
+    }
+}
+
+export { ImageLoadQueue, isBubbleInViewport, compareImagePriority };
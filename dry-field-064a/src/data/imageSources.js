@@ -0,0 +1,69 @@
+/**
+ * Purpose: Resolve the ordered list of image URLs for a loan, and what its
+ * generated placeholder is seeded with when none of them load.
+ * Boundaries: Pure functions only. No state mutation, DOM manipulation or fetching.
+ */
+
+import { IMAGE_SOURCE_CHAIN } from '../config/constants.js';
+
+/**
+ * Fill `{field}` placeholders in a URL template from loan fields
+ * @param {string} template
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @returns {string|null} Null when a referenced field is empty
+ */
+function fillUrlTemplate(template, loan) {
+    let complete = true;
+    const url = template.replace(/\{(\w+)\}/g, (_, name) => {
+        const value = loan[name];
+        if (value === null || value === undefined || String(value).trim() === '') {
+            complete = false;
+            return '';
+        }
+        return encodeURIComponent(String(value).trim());
+    });
+    return complete ? url : null;
+}
+
+/**
+ * Image URLs to try for a loan, in fallback order, without blanks or repeats
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {Array<{field?: string, template?: string}>} [chain]
+ * @returns {string[]}
+ */
+function getImageUrls(loan, chain = IMAGE_SOURCE_CHAIN) {
+    const urls = [];
+    for (const source of chain) {
+        let url = source.template ? fillUrlTemplate(source.template, loan) : loan[source.field];
+        if (typeof url !== 'string') continue;
+        // Some URIs arrive with stray line breaks or tabs
+        url = url.replace(/[\r\n\t]/g, '').trim();
+        if (url && !urls.includes(url)) urls.push(url);
+    }
+    return urls;
+}
+
+/**
+ * Up to two initials of a collection name, e.g. "Bored Ape Yacht Club" -> "BA"
+ * @param {string|null} name
+ * @returns {string}
+ */
+function getCollectionInitials(name) {
+    const words = (name || '').replace(/[^\p{L}\p{N}\s]/gu, ' ').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    const initials = words.length === 1 ? words[0].slice(0, 2) : words[0][0] + words[1][0];
+    return initials.toUpperCase();
+}
+
+/**
+ * What a loan's placeholder is drawn from: an identicon seed when the token is
+ * known, otherwise the collection initials
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @returns {{seed: string|null, label: string}}
+ */
+function getImagePlaceholder(loan) {
+    const seed = loan.nftAddress && loan.nftId ? `${loan.nftAddress.toLowerCase()}:${loan.nftId}` : null;
+    return { seed, label: getCollectionInitials(loan.nftProjectName || loan.nftName) };
+}
+
+export { fillUrlTemplate, getImageUrls, getCollectionInitials, getImagePlaceholder };
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Client-side cache of decoded loan responses.
+ *
+ * Module Boundaries:
+ * - Stores and retrieves decoded loans keyed by data source, wallet and period
+ * - Backing stores are interchangeable (IndexedDB, localStorage, memory)
+ * - Storage failures are reported as warnings and never break a load
+ *
+ * Forbidden:
+ * - Direct state mutations
+ * - Direct DOM manipulation
+ * - Data fetching
+ */
+
+import { LOAN_CACHE_TTL } from '../config/constants.js';
+import { walletSelectionKey } from './walletSelection.js';
+
+/**
+ * A cached response.
+ * @typedef {Object} CacheEntry
+ * @property {number} storedAt - When the entry was written, in ms
+ * @property {Array} meta - The response meta block
+ * @property {import('./loanDecoder.js').Loan[]} loans
+ */
+
+/**
+ * Non-persistent store, used in tests and when no browser storage is available.
+ */
+class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, value) {
+        this.entries.set(key, value);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * localStorage-backed store. Large responses may exceed the quota; the write then fails
+ * and the caller's warning handler decides what to do.
+ */
+class LocalStorageCacheStore {
+    /**
+     * @param {Storage} storage
+     * @param {string} [prefix]
+     */
+    constructor(storage, prefix = 'loanCache:') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = this.storage.getItem(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, value) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+}
+
+/**
+ * IndexedDB-backed store; the default in browsers since full-market responses are large.
+ */
+class IndexedDbCacheStore {
+    /**
+     * @param {IDBFactory} factory
+     * @param {string} [dbName]
+     * @param {string} [storeName]
+     */
+    constructor(factory, dbName = 'loan-cache', storeName = 'responses') {
+        this.factory = factory;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest
+     * @returns {Promise<*>}
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.request('readonly', store => store.get(key))) || null;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Pick the best available backing store
+ * @returns {MemoryCacheStore|LocalStorageCacheStore|IndexedDbCacheStore}
+ */
+function createCacheStore() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDbCacheStore(indexedDB);
+    }
+    if (typeof localStorage !== 'undefined') {
+        return new LocalStorageCacheStore(localStorage);
+    }
+    return new MemoryCacheStore();
+}
+
+/**
+ * TTL cache of decoded loans in front of a data source.
+ */
+class LoanCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Backing store with async get/set/delete
+     * @param {number} [options.ttl] - Entries older than this (ms) are discarded
+     * @param {function(): number} [options.now]
+     * @param {function(string): void} [options.onWarning]
+     */
+    constructor({ store = new MemoryCacheStore(), ttl = LOAN_CACHE_TTL, now = Date.now, onWarning = console.warn } = {}) {
+        this.store = store;
+        this.ttl = ttl;
+        this.now = now;
+        this.onWarning = onWarning;
+    }
+
+    /**
+     * @param {string} sourceId
+     * @param {string|string[]} wallet - One or more wallets, or '__ALL__'
+     * @param {number} period
+     * @returns {string}
+     */
+    static key(sourceId, wallet, period) {
+        return `${sourceId}|${walletSelectionKey(wallet)}|${period}`;
+    }
+
+    /**
+     * Look up a non-expired entry
+     * @param {string} sourceId
+     * @param {string|string[]} wallet
+     * @param {number} period
+     * @returns {Promise<CacheEntry|null>}
+     */
+    async get(sourceId, wallet, period) {
+        const key = LoanCache.key(sourceId, wallet, period);
+        try {
+            const entry = await this.store.get(key);
+            if (!entry) return null;
+            if (this.now() - entry.storedAt > this.ttl) {
+                await this.store.delete(key);
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            this.onWarning(`[loan cache] read failed for ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a complete response
+     * @param {string} sourceId
+     * @param {string|string[]} wallet
+     * @param {number} period
+     * @param {{meta: Array, loans: Array}} response
+     * @returns {Promise<void>}
+     */
+    async set(sourceId, wallet, period, { meta, loans }) {
+        const key = LoanCache.key(sourceId, wallet, period);
+        try {
+            await this.store.set(key, { storedAt: this.now(), meta, loans });
+        } catch (error) {
+            this.onWarning(`[loan cache] write failed for ${key}: ${error.message}`);
+        }
+    }
+}
+
+export { LoanCache, MemoryCacheStore, LocalStorageCacheStore, IndexedDbCacheStore, createCacheStore };
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Schema-driven decoding of loans_due responses.
+ *
+ * Module Boundaries:
+ * - Reads the ClickHouse-style `meta` block and coerces each row into a typed Loan
+ * - Pure functions only; warnings are returned to the caller, never logged here
+ *
+ * Forbidden:
+ * - Direct state mutations
+ * - Direct DOM manipulation
+ * - Data fetching
+ */
+
+import { SchemaError } from './errors.js';
+
+/**
+ * A decoded loan row. Absent values are always `null`, never `undefined` or ''.
+ * @typedef {Object} Loan
+ * @property {string} protocolName
+ * @property {string} loanId
+ * @property {string|null} loanContractAddress
+ * @property {string|null} nftProjectName
+ * @property {string|null} nftProjectImageUri
+ * @property {string|null} nftAddress
+ * @property {string|null} nftId
+ * @property {string|null} nftName
+ * @property {string|null} nftImageSmallUri
+ * @property {string|null} nftImageLargeUri
+ * @property {string|null} status
+ * @property {string|null} currencyName
+ * @property {number|null} principalAmount
+ * @property {number|null} principalAmountETH
+ * @property {number} principalAmountUSD
+ * @property {number|null} maximumRepaymentAmount
+ * @property {number|null} maximumRepaymentAmountETH
+ * @property {number|null} maximumRepaymentAmountUSD
+ * @property {number} apr
+ * @property {number|null} durationDays
+ * @property {string|null} borrowerAddress
+ * @property {string|null} lenderAddress
+ * @property {number|null} dueTime - UTC timestamp in milliseconds
+ * @property {number|null} startTime - UTC timestamp in milliseconds
+ * @property {number|null} hoursUntilDue
+ */
+
+/**
+ * Column layout of the loans_due endpoint, as reported in its `meta` block.
+ * Used when a response arrives without `meta`.
+ */
+const DEFAULT_LOAN_META = [
+    { name: 'protocolName', type: 'String' },
+    { name: 'loanId', type: 'String' },
+    { name: 'loanContractAddress', type: 'String' },
+    { name: 'nftProjectName', type: 'Nullable(String)' },
+    { name: 'nftProjectImageUri', type: 'String' },
+    { name: 'nftAddress', type: 'String' },
+    { name: 'nftId', type: 'String' },
+    { name: 'nftName', type: 'String' },
+    { name: 'nftImageSmallUri', type: 'String' },
+    { name: 'nftImageLargeUri', type: 'String' },
+    { name: 'status', type: 'String' },
+    { name: 'currencyName', type: 'Nullable(String)' },
+    { name: 'principalAmount', type: 'Float32' },
+    { name: 'principalAmountETH', type: 'Float64' },
+    { name: 'principalAmountUSD', type: 'Float64' },
+    { name: 'maximumRepaymentAmount', type: 'Float32' },
+    { name: 'maximumRepaymentAmountETH', type: 'Float64' },
+    { name: 'maximumRepaymentAmountUSD', type: 'Float64' },
+    { name: 'apr', type: 'Float64' },
+    { name: 'durationDays', type: 'Nullable(Int64)' },
+    { name: 'borrowerAddress', type: 'String' },
+    { name: 'lenderAddress', type: 'String' },
+    { name: 'dueTime', type: 'Nullable(DateTime)' },
+    { name: 'startTime', type: 'DateTime' },
+    { name: 'hoursUntilDue', type: 'Nullable(Float64)' }
+];
+
+/** Columns the chart cannot be drawn without */
+const REQUIRED_LOAN_COLUMNS = ['protocolName', 'loanId', 'apr', 'principalAmountUSD', 'dueTime'];
+
+const KNOWN_LOAN_COLUMNS = new Set(DEFAULT_LOAN_META.map(column => column.name));
+
+/**
+ * Split a ClickHouse type into its base type and nullability.
+ * Wrappers such as LowCardinality(...) are unwrapped.
+ * @param {string} type - e.g. 'Nullable(DateTime)'
+ * @returns {{base: string, nullable: boolean}}
+ */
+function parseColumnType(type) {
+    let base = String(type || '').trim();
+    let nullable = false;
+    let match;
+    while ((match = base.match(/^(Nullable|LowCardinality)\((.*)\)$/))) {
+        if (match[1] === 'Nullable') nullable = true;
+        base = match[2].trim();
+    }
+    return { base, nullable };
+}
+
+/**
+ * Parse a ClickHouse DateTime/Date string as UTC.
+ * @param {string|number} value - 'YYYY-MM-DD HH:MM:SS[.fff]', 'YYYY-MM-DD' or epoch seconds
+ * @returns {number|null} UTC timestamp in milliseconds
+ */
+function parseUtcDateTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value * 1000 : null;
+    }
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?Z?$/);
+    if (!match) return null;
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '0'] = match;
+    const ms = Number(fraction.padEnd(3, '0').slice(0, 3));
+    return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds), ms);
+}
+
+/**
+ * Build a coercion function for one column type.
+ * @param {string} base - Base ClickHouse type without Nullable(...)
+ * @returns {{coerce: function(*): *, known: boolean}}
+ */
+function getCoercer(base) {
+    if (base === 'String' || base.startsWith('FixedString') || base.startsWith('Enum')) {
+        return { coerce: value => String(value), known: true };
+    }
+    if (/^(U?Int\d+|Float\d+|Decimal)/.test(base)) {
+        return {
+            coerce: value => {
+                const number = typeof value === 'number' ? value : Number(value);
+                return Number.isFinite(number) ? number : null;
+            },
+            known: true
+        };
+    }
+    if (base.startsWith('DateTime') || base.startsWith('Date')) {
+        return { coerce: parseUtcDateTime, known: true };
+    }
+    if (base === 'Bool' || base === 'Boolean') {
+        return { coerce: value => value === true || value === 1 || value === 'true', known: true };
+    }
+    return { coerce: value => value, known: false };
+}
+
+/**
+ * Compile a decoder for the given meta block.
+ * @param {Array<{name: string, type: string}>|undefined} meta
+ * @returns {{decodeRow: function(Object): Loan, warnings: string[]}}
+ * @throws {SchemaError} When a required column is missing
+ */
+function createLoanDecoder(meta) {
+    const warnings = [];
+    let columns = meta;
+    if (!Array.isArray(columns) || columns.length === 0) {
+        warnings.push('Response has no meta block; decoding with the default loan schema.');
+        columns = DEFAULT_LOAN_META;
+    }
+
+    const presentColumns = new Set(columns.map(column => column.name));
+    const missingRequired = REQUIRED_LOAN_COLUMNS.filter(name => !presentColumns.has(name));
+    if (missingRequired.length > 0) {
+        throw new SchemaError(`Response is missing required columns: ${missingRequired.join(', ')}`);
+    }
+    for (const name of KNOWN_LOAN_COLUMNS) {
+        if (!presentColumns.has(name)) warnings.push(`Missing column "${name}"; it will be null.`);
+    }
+
+    const fields = columns.map(({ name, type }) => {
+        const { base } = parseColumnType(type);
+        const { coerce, known } = getCoercer(base);
+        if (!KNOWN_LOAN_COLUMNS.has(name)) warnings.push(`Unknown column "${name}" (${type}).`);
+        if (!known) warnings.push(`Unsupported type ${type} for column "${name}"; value passed through.`);
+        return { name, coerce };
+    });
+
+    const decodeRow = (row) => {
+        const loan = {};
+        for (const name of KNOWN_LOAN_COLUMNS) loan[name] = null;
+        for (const { name, coerce } of fields) {
+            const raw = row[name];
+            // Empty strings are how the endpoint reports absent values in non-Nullable columns
+            if (raw === null || raw === undefined || raw === '') {
+                loan[name] = null;
+            } else {
+                loan[name] = coerce(raw);
+            }
+        }
+        return loan;
+    };
+
+    return { decodeRow, warnings };
+}
+
+/**
+ * Decode every row of a loans_due response into Loan records.
+ * @param {{meta?: Array, data: Array}} response
+ * @returns {{loans: Loan[], warnings: string[]}}
+ * @throws {SchemaError}
+ */
+function decodeLoanResponse(response) {
+    if (!response || !Array.isArray(response.data)) {
+        throw new SchemaError('Response has no data array');
+    }
+    const { decodeRow, warnings } = createLoanDecoder(response.meta);
+    const loans = [];
+    for (const row of response.data) {
+        if (!row || typeof row !== 'object') {
+            throw new SchemaError('Response contains a row that is not an object');
+        }
+        loans.push(decodeRow(row));
+    }
+    return { loans, warnings };
+}
+
+export {
+    DEFAULT_LOAN_META,
+    REQUIRED_LOAN_COLUMNS,
+    parseColumnType,
+    parseUtcDateTime,
+    createLoanDecoder,
+    decodeLoanResponse
+};
@@ -0,0 +1,56 @@
+/**
+ * Purpose: Compare two loan lists by loan identity.
+ * Boundaries: Pure functions only. No state mutation or DOM manipulation.
+ */
+
+/**
+ * Stable identity of a loan across fetches, matching getBubbleKey for its bubble.
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @returns {string}
+ */
+function getLoanKey(loan) {
+    return `${loan.protocolName}:${loan.loanId}`;
+}
+
+/**
+ * Diff two loan lists by loan key.
+ * @param {Array} previousLoans
+ * @param {Array} nextLoans
+ * @returns {{added: Array, removed: Array, changed: Array, unchanged: Array}}
+ */
+function diffLoans(previousLoans, nextLoans) {
+    const previousByKey = new Map();
+    for (const loan of previousLoans) {
+        previousByKey.set(getLoanKey(loan), loan);
+    }
+    const added = [];
+    const changed = [];
+    const unchanged = [];
+    for (const loan of nextLoans) {
+        const key = getLoanKey(loan);
+        const previous = previousByKey.get(key);
+        if (!previous) {
+            added.push(loan);
+        } else if (JSON.stringify(previous) !== JSON.stringify(loan)) {
+            changed.push(loan);
+        } else {
+            unchanged.push(loan);
+        }
+        previousByKey.delete(key);
+    }
+    return { added, removed: [...previousByKey.values()], changed, unchanged };
+}
+
+/**
+ * Whether two loan lists carry the same data, regardless of order
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+function areLoansEqual(a, b) {
+    if (a.length !== b.length) return false;
+    const diff = diffLoans(a, b);
+    return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+export { getLoanKey, diffLoans, areLoansEqual };
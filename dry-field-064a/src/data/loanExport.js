@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Serialize the loans behind the chart to CSV and JSON.
+ *
+ * Module Boundaries:
+ * - Pure functions from loans, bubbles and clusters to file contents
+ * - Columns follow the response `meta`, followed by values derived by the chart
+ * - Dates are written as ISO-8601 UTC
+ *
+ * Forbidden:
+ * - Direct state mutations
+ * - Direct DOM manipulation
+ * - Data fetching
+ */
+
+import { DEFAULT_LOAN_META, parseColumnType } from './loanDecoder.js';
+import { getLoanKey } from './loanDiff.js';
+import { getBubbleKey } from './bubbleUtils.js';
+
+/** Columns the chart adds to every exported loan, in meta form */
+const DERIVED_EXPORT_META = [
+    { name: 'clusterId', type: 'Nullable(String)' },
+    { name: 'aprClipped', type: 'Bool' },
+    { name: 'usdClipped', type: 'Bool' },
+    { name: 'wallet', type: 'Nullable(String)' },
+    { name: 'role', type: 'Nullable(String)' }
+];
+
+/**
+ * Format one value for export according to its column type
+ * @param {*} value
+ * @param {string} type - ClickHouse type from the meta block
+ * @returns {*} Dates become ISO-8601 UTC strings; everything else is returned as is
+ */
+function formatExportValue(value, type) {
+    if (value === null || value === undefined) return null;
+    const { base } = parseColumnType(type);
+    if (base.startsWith('Date') && typeof value === 'number') {
+        return new Date(value).toISOString();
+    }
+    return value;
+}
+
+/**
+ * Build export rows for the bubbles currently on the chart.
+ * @param {import('./loanDecoder.js').Loan[]} loans - Loaded loans; bubbles are matched to them by key
+ * @param {Array} bubbles - Visible bubbles, i.e. after filtering
+ * @param {Array} clusters - Current clusters, for each bubble's cluster id
+ * @param {Array<{name: string, type: string}>} [meta] - Response meta; decides column order
+ * @returns {{meta: Array<{name: string, type: string}>, rows: Object[]}}
+ */
+function buildExportRows(loans, bubbles, clusters, meta) {
+    const columns = Array.isArray(meta) && meta.length > 0 ? meta : DEFAULT_LOAN_META;
+    const exportMeta = [...columns, ...DERIVED_EXPORT_META];
+
+    const loansByKey = new Map(loans.map(loan => [getLoanKey(loan), loan]));
+    const clusterIdByBubble = new Map();
+    for (const cluster of clusters) {
+        for (const b of cluster.bubbles) clusterIdByBubble.set(b, cluster.id);
+    }
+
+    const rows = [];
+    for (const bubble of bubbles) {
+        const loan = loansByKey.get(getBubbleKey(bubble));
+        if (!loan) continue;
+        const row = {};
+        for (const { name, type } of columns) {
+            row[name] = formatExportValue(loan[name], type);
+        }
+        row.clusterId = clusterIdByBubble.get(bubble) || null;
+        row.aprClipped = !!bubble.isAprOutlier;
+        row.usdClipped = !!bubble.isUsdOutlier;
+        row.wallet = bubble.wallet || null;
+        row.role = bubble.role || null;
+        rows.push(row);
+    }
+    return { meta: exportMeta, rows };
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would run as a formula
+ * is prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize export rows as CSV with a header line
+ * @param {{meta: Array<{name: string}>, rows: Object[]}} exported
+ * @returns {string}
+ */
+function toCsv({ meta, rows }) {
+    const names = meta.map(column => column.name);
+    const lines = [names.map(toCsvField).join(',')];
+    for (const row of rows) {
+        lines.push(names.map(name => toCsvField(row[name])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize export rows as JSON shaped like a loans_due response, so the file can be loaded back
+ * @param {{meta: Array, rows: Object[]}} exported
+ * @param {number} [exportedAt] - Timestamp in ms
+ * @returns {string}
+ */
+function toJson({ meta, rows }, exportedAt = Date.now()) {
+    return JSON.stringify({
+        meta,
+        data: rows,
+        rows: rows.length,
+        exportedAt: new Date(exportedAt).toISOString()
+    }, null, 2);
+}
+
+export { DERIVED_EXPORT_META, formatExportValue, buildExportRows, toCsv, toJson };
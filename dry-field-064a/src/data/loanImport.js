@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Parse and validate loan files (CSV or JSON) exported by this app or other tools.
+ *
+ * Module Boundaries:
+ * - Turns file text into a loans_due-shaped response ({meta, data}) holding only valid rows
+ * - Validation reuses the loan decoder, so imported rows are typed exactly like API rows
+ * - Warnings are returned to the caller, never logged here
+ *
+ * Forbidden:
+ * - Direct state mutations
+ * - Direct DOM manipulation
+ * - Data fetching
+ */
+
+import { DEFAULT_LOAN_META, REQUIRED_LOAN_COLUMNS, createLoanDecoder } from './loanDecoder.js';
+import { getLoanKey } from './loanDiff.js';
+import { DERIVED_EXPORT_META } from './loanExport.js';
+import { ParseError, SchemaError } from './errors.js';
+
+const DEFAULT_COLUMN_TYPES = new Map(DEFAULT_LOAN_META.map(column => [column.name, column.type]));
+// Columns our own exports append; the chart recomputes them, so they are dropped on import
+const DERIVED_COLUMNS = new Set(DERIVED_EXPORT_META.map(column => column.name));
+
+/** Invalid rows listed individually in warnings before the rest are summarised */
+const MAX_ROW_WARNINGS = 5;
+
+/**
+ * Parse RFC 4180 CSV into rows of fields. Handles quoted fields containing
+ * commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {ParseError} When a quoted field is never closed
+ */
+function parseCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new ParseError('CSV file ends inside a quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    // Blank lines carry no row
+    return records.filter(r => !(r.length === 1 && r[0] === ''));
+}
+
+/**
+ * Read CSV text into a loans_due-shaped response. Column types come from the
+ * known loan schema; unknown columns are kept as strings.
+ * @param {string} text
+ * @returns {{meta: Array<{name: string, type: string}>, data: Object[]}}
+ * @throws {ParseError}
+ */
+function parseLoanCsv(text) {
+    const [header, ...records] = parseCsvRecords(text.replace(/^﻿/, ''));
+    if (!header) {
+        throw new ParseError('CSV file is empty');
+    }
+    const names = header.map(name => name.trim());
+    const meta = names.map(name => ({ name, type: DEFAULT_COLUMN_TYPES.get(name) || 'Nullable(String)' }));
+    const data = records.map(record => {
+        const row = {};
+        names.forEach((name, i) => {
+            let value = record[i] ?? '';
+            // Undo the apostrophe the exporter puts in front of formula-like text
+            if (/^'[=+\-@\t\r]/.test(value)) value = value.slice(1);
+            row[name] = value;
+        });
+        return row;
+    });
+    return { meta, data };
+}
+
+/**
+ * Read JSON text into a loans_due-shaped response. Accepts a full response
+ * (`{meta, data}`) or a bare array of rows.
+ * @param {string} text
+ * @returns {{meta?: Array, data: Object[]}}
+ * @throws {ParseError|SchemaError}
+ */
+function parseLoanJson(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new ParseError('File is not valid JSON', { cause: error });
+    }
+    if (Array.isArray(json)) return { data: json };
+    if (!json || typeof json !== 'object' || !Array.isArray(json.data)) {
+        throw new SchemaError('JSON file has no data array');
+    }
+    return { meta: json.meta, data: json.data };
+}
+
+/**
+ * Parse a loan file and keep only rows that decode into chartable loans.
+ * Rows missing a required value, and repeated loans, are dropped with a warning.
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used to pick the format; content sniffing is the fallback
+ * @returns {{response: {meta: Array, data: Object[]}, loanCount: number, warnings: string[]}}
+ * @throws {ParseError|SchemaError} When the file cannot be read or holds no valid loans
+ */
+function parseLoanFile(text, filename = '') {
+    const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(text));
+    const parsed = isJson ? parseLoanJson(text) : parseLoanCsv(text);
+    const meta = Array.isArray(parsed.meta) && parsed.meta.length > 0
+        ? parsed.meta.filter(column => !DERIVED_COLUMNS.has(column.name))
+        : DEFAULT_LOAN_META;
+
+    const { decodeRow, warnings } = createLoanDecoder(meta);
+    const data = [];
+    const seen = new Set();
+    const invalidRows = [];
+    parsed.data.forEach((row, index) => {
+        const rowNumber = index + 1;
+        if (!row || typeof row !== 'object') {
+            invalidRows.push(`row ${rowNumber} is not an object`);
+            return;
+        }
+        const loan = decodeRow(row);
+        const missing = REQUIRED_LOAN_COLUMNS.filter(name => loan[name] === null);
+        if (missing.length > 0) {
+            invalidRows.push(`row ${rowNumber} has no ${missing.join(', ')}`);
+            return;
+        }
+        const key = getLoanKey(loan);
+        if (seen.has(key)) {
+            invalidRows.push(`row ${rowNumber} repeats loan ${key}`);
+            return;
+        }
+        seen.add(key);
+        data.push(row);
+    });
+
+    if (invalidRows.length > 0) {
+        const listed = invalidRows.slice(0, MAX_ROW_WARNINGS).join('; ');
+        const more = invalidRows.length > MAX_ROW_WARNINGS ? ` and ${invalidRows.length - MAX_ROW_WARNINGS} more` : '';
+        warnings.push(`Skipped ${invalidRows.length} invalid row(s): ${listed}${more}.`);
+    }
+    if (data.length === 0) {
+        throw new SchemaError('File contains no valid loans');
+    }
+    return { response: { meta, data }, loanCount: data.length, warnings };
+}
+
+export { parseCsvRecords, parseLoanCsv, parseLoanJson, parseLoanFile };
@@ -0,0 +1,73 @@
+/**
+ * Purpose: Per-protocol totals of the loans in a selection, for the protocol legend,
+ * and the protocol visibility filter applied before layout.
+ * Boundaries: Pure functions only. No state access or DOM manipulation.
+ */
+
+/**
+ * @typedef {Object} ProtocolSummary
+ * @property {string} protocol - Protocol name, '' for loans without one
+ * @property {number} count - Loans of the protocol
+ * @property {number} principalUSD - Their total principal
+ */
+
+/**
+ * Count and total the loans of each protocol
+ * @param {import('./loanDecoder.js').Loan[]} loans
+ * @param {ProtocolSummary[]} [previous] - Totals of other loans to add these to, e.g. earlier pages; left unchanged
+ * @returns {ProtocolSummary[]} Largest total principal first, ties by name
+ */
+function summarizeProtocols(loans, previous = []) {
+    const byProtocol = new Map(previous.map(summary => [summary.protocol, { ...summary }]));
+    for (const loan of loans) {
+        const protocol = loan.protocolName || '';
+        let summary = byProtocol.get(protocol);
+        if (!summary) {
+            summary = { protocol, count: 0, principalUSD: 0 };
+            byProtocol.set(protocol, summary);
+        }
+        summary.count++;
+        summary.principalUSD += Number.isFinite(loan.principalAmountUSD) ? loan.principalAmountUSD : 0;
+    }
+    return [...byProtocol.values()].sort((a, b) =>
+        b.principalUSD - a.principalUSD || a.protocol.localeCompare(b.protocol));
+}
+
+/**
+ * Leave out loans of hidden protocols
+ * @param {import('./loanDecoder.js').Loan[]} loans
+ * @param {string[]} hiddenProtocols
+ * @returns {import('./loanDecoder.js').Loan[]} The same array when nothing is hidden
+ */
+function filterLoansByProtocol(loans, hiddenProtocols) {
+    if (hiddenProtocols.length === 0) return loans;
+    const hidden = new Set(hiddenProtocols);
+    return loans.filter(loan => !hidden.has(loan.protocolName || ''));
+}
+
+/**
+ * Hidden protocols after a legend click. A click shows or hides one protocol; an
+ * isolating click shows only that protocol, or everything again when it already
+ * was the only one shown. A click never hides the last protocol still shown.
+ * @param {string[]} hiddenProtocols - Hidden now; may name protocols missing from the legend
+ * @param {string} protocol - The clicked protocol
+ * @param {string[]} protocols - Protocols in the legend
+ * @param {boolean} [isolate]
+ * @returns {string[]}
+ */
+function toggleProtocolVisibility(hiddenProtocols, protocol, protocols, isolate = false) {
+    const hidden = new Set(hiddenProtocols);
+    const others = protocols.filter(p => p !== protocol);
+    if (isolate) {
+        const isIsolated = !hidden.has(protocol) && others.every(p => hidden.has(p));
+        return isIsolated ? [] : others;
+    }
+    if (hidden.has(protocol)) {
+        hidden.delete(protocol);
+    } else if (others.some(p => !hidden.has(p))) {
+        hidden.add(protocol);
+    }
+    return [...hidden];
+}
+
+export { summarizeProtocols, filterLoansByProtocol, toggleProtocolVisibility };
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Linear, logarithmic and percentile scales for the y axis and bubble
+ * size, with tick generators for each.
+ *
+ * Module Boundaries:
+ * - Pure computation on plain numbers, safe to run in a Web Worker
+ * - Layout and axis drawing build their scales with the same function from the same
+ *   values, so ticks sit exactly where bubbles of that value are drawn
+ *
+ * Forbidden:
+ * - DOM access
+ * - State access or mutation
+ * - Data fetching
+ */
+
+/** Scale types, with the names shown in the scale selects */
+const SCALE_TYPES = {
+    linear: 'Linear',
+    log: 'Log',
+    percentile: 'Percentile'
+};
+
+/**
+ * A tick on a scale
+ * @typedef {Object} ScaleTick
+ * @property {number} value - Value the tick marks
+ * @property {number} t - Position on the scale, 0 at its min and 1 at its max
+ * @property {boolean} major - Labelled ticks; minor ticks get only a mark
+ * @property {number} step - Precision the label needs, e.g. 0.1 for one decimal
+ */
+
+/**
+ * Maps values to positions between 0 and 1. Values outside min–max map outside
+ * that range; callers pin or clamp them.
+ * @typedef {Object} Scale
+ * @property {'linear'|'log'|'percentile'} type
+ * @property {number} min - Lowest value on the scale
+ * @property {number} max - Highest value on the scale
+ * @property {function(number): number} normalize
+ * @property {function(number): ScaleTick[]} ticks - Ticks between min and max, for about this many labels
+ */
+
+/**
+ * Digits after the decimal point that labels need at a tick step
+ * @param {number} [step]
+ * @returns {number}
+ */
+function getTickDecimals(step) {
+    if (!(step > 0) || step >= 1) return 0;
+    return Math.min(6, Math.ceil(-Math.log10(step) - 1e-9));
+}
+
+/**
+ * Nice tick step for a span, as in d3: 1, 2 or 5 times a power of ten
+ * @param {number} span
+ * @param {number} maxCount
+ * @returns {number}
+ */
+function niceTickStep(span, maxCount) {
+    const step = Math.pow(10, Math.floor(Math.log10(span / maxCount)));
+    const err = maxCount / (span / step);
+    if (err <= 0.15) return step * 10;
+    if (err <= 0.35) return step * 5;
+    if (err <= 0.75) return step * 2;
+    return step;
+}
+
+/**
+ * D3-inspired linear tick generator. Ticks cover min to max and may reach past them
+ * by up to a step.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} maxCount
+ * @returns {number[]}
+ */
+function niceLinearTicks(min, max, maxCount) {
+    // D3-like nice ticks for linear scale
+    const span = max - min;
+    if (span === 0) return [min];
+    const niceStep = niceTickStep(span, maxCount);
+    const niceMin = Math.floor(min / niceStep) * niceStep;
+    const niceMax = Math.ceil(max / niceStep) * niceStep;
+    const ticks = [];
+    for (let v = niceMin; v <= niceMax + 0.5 * niceStep; v += niceStep) {
+        ticks.push(Number(v.toFixed(6)));
+    }
+    return ticks;
+}
+
+/**
+ * Value at a percentile of sorted values, picked as getPercentile in bubbleLayout.js does
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentileOfSorted(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.floor((p / 100) * (sorted.length - 1))];
+}
+
+/**
+ * Linear scale from min to max. A scale with no span maps min to 0 and
+ * higher values one unit per value.
+ * @param {number} min
+ * @param {number} max
+ * @returns {Scale}
+ */
+function createLinearScale(min, max) {
+    const span = (max - min) || 1;
+    const normalize = value => (value - min) / span;
+    return {
+        type: 'linear',
+        min,
+        max,
+        normalize,
+        ticks(count) {
+            const step = max > min ? niceTickStep(max - min, count) : 0;
+            return niceLinearTicks(min, max, count)
+                .filter(value => value >= min - 1e-9 && value <= max + 1e-9)
+                .map(value => ({ value, t: normalize(value), major: true, step }));
+        }
+    };
+}
+
+/**
+ * Base-10 log scale from min to max, both positive. Values at or below zero map below it.
+ * Ticks are decades with minor ticks at 2–9 times each; ranges spanning less than
+ * two decades also label the 2s and 5s, and ranges too narrow for those get linear ticks.
+ * @param {number} min
+ * @param {number} max
+ * @returns {Scale}
+ */
+function createLogScale(min, max) {
+    const logMin = Math.log10(min);
+    const span = (Math.log10(max) - logMin) || 1;
+    const normalize = value => (value > 0 ? (Math.log10(value) - logMin) / span : -Infinity);
+    return {
+        type: 'log',
+        min,
+        max,
+        normalize,
+        ticks(count) {
+            const ticks = [];
+            for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent++) {
+                const decade = Math.pow(10, exponent);
+                for (let multiple = 1; multiple <= 9; multiple++) {
+                    const value = Number((multiple * decade).toPrecision(12));
+                    if (value < min || value > max) continue;
+                    ticks.push({ value, t: normalize(value), major: multiple === 1, step: decade });
+                }
+            }
+            if (ticks.filter(tick => tick.major).length < 2) {
+                for (const tick of ticks) {
+                    const multiple = Math.round(tick.value / tick.step);
+                    if (multiple === 2 || multiple === 5) tick.major = true;
+                }
+            }
+            if (ticks.filter(tick => tick.major).length < 2) {
+                return createLinearScale(min, max).ticks(count).map(tick => ({ ...tick, t: normalize(tick.value) }));
+            }
+            return ticks;
+        }
+    };
+}
+
+/**
+ * Rank scale: a value's position is the share of values below it, with ties placed
+ * at the middle of their run. Ticks are at even percentiles and labelled with the
+ * value found there.
+ * @param {number[]} sorted - Ascending, not empty
+ * @returns {Scale}
+ */
+function createPercentileScale(sorted) {
+    const count = sorted.length;
+    const lastIndex = (count - 1) || 1;
+    const normalize = (value) => {
+        // First index at or above the value, and first index above it
+        let lo = 0, hi = count;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+        }
+        const first = lo;
+        hi = count;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] <= value) lo = mid + 1; else hi = mid;
+        }
+        if (lo === first) return (first - 0.5) / lastIndex;
+        return ((first + lo - 1) / 2) / lastIndex;
+    };
+    return {
+        type: 'percentile',
+        min: sorted[0],
+        max: sorted[count - 1],
+        normalize: count > 1 ? normalize : () => 0.5,
+        ticks(maxCount) {
+            const ticks = [];
+            for (const p of niceLinearTicks(0, 100, maxCount)) {
+                if (p < 0 || p > 100) continue;
+                const value = sorted[Math.round((p / 100) * (count - 1))];
+                // Tied values give one tick, not one per percentile
+                if (ticks.length > 0 && ticks[ticks.length - 1].value === value) continue;
+                ticks.push({ value, t: count > 1 ? normalize(value) : 0.5, major: true, step: 0 });
+            }
+            // Label precision that tells neighbouring ticks apart
+            let gap = Infinity;
+            for (let i = 1; i < ticks.length; i++) gap = Math.min(gap, ticks[i].value - ticks[i - 1].value);
+            const step = Number.isFinite(gap) ? Math.pow(10, Math.floor(Math.log10(gap))) : 0;
+            for (const tick of ticks) tick.step = step;
+            return ticks;
+        }
+    };
+}
+
+/**
+ * Build a scale over a set of values
+ * @param {'linear'|'log'|'percentile'} type - Unknown types are linear
+ * @param {ArrayLike<number>} values
+ * @param {Object} [options]
+ * @param {number} [options.clipPercentile] - Linear and log scales span this percentile to its
+ *   complement, e.g. 2 for the 2nd–98th; values beyond are outliers. Percentile scales span every value.
+ * @returns {Scale}
+ */
+function createScale(type, values, { clipPercentile = 0 } = {}) {
+    const sorted = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return createLinearScale(0, 0);
+    if (type === 'percentile') return createPercentileScale(sorted);
+
+    const min = clipPercentile > 0 ? percentileOfSorted(sorted, clipPercentile) : sorted[0];
+    const max = clipPercentile > 0 ? percentileOfSorted(sorted, 100 - clipPercentile) : sorted[sorted.length - 1];
+    if (type === 'log') {
+        // Log scales start at the smallest positive value; without one there is nothing to take the log of
+        const firstPositive = sorted.find(value => value > 0);
+        if (firstPositive !== undefined) {
+            const logMin = Math.max(min, firstPositive);
+            return createLogScale(logMin, Math.max(max, logMin));
+        }
+    }
+    return createLinearScale(min, max);
+}
+
+export {
+    SCALE_TYPES, getTickDecimals, niceTickStep, niceLinearTicks, percentileOfSorted,
+    createLinearScale, createLogScale, createPercentileScale, createScale
+};
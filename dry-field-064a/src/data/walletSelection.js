@@ -0,0 +1,103 @@
+/**
+ * Purpose: Normalize wallet selections (all loans, one wallet or several) and
+ * attribute loans to the selected wallet they belong to, and the role it plays.
+ * Boundaries: Pure functions only. No state mutation or DOM manipulation.
+ */
+
+/** Selection value meaning "every loan, no wallet filter" */
+const ALL_WALLETS = '__ALL__';
+
+/** Selection value of the loans imported from a file, shown without a wallet filter */
+const IMPORTED_DATASET = 'dataset:imported';
+
+/**
+ * Whether a selection names a local dataset rather than wallets
+ * @param {*} selection
+ * @returns {boolean}
+ */
+function isDatasetSelection(selection) {
+    return typeof selection === 'string' && selection.startsWith('dataset:');
+}
+
+/**
+ * What the chart is showing: '__ALL__', one wallet address, or a list of addresses.
+ * @typedef {string|string[]} WalletSelection
+ */
+
+/**
+ * Normalize a selection so equal selections compare and cache identically.
+ * @param {WalletSelection} selection
+ * @returns {string|string[]} '__ALL__', or lowercase, de-duplicated, sorted addresses
+ */
+function normalizeWalletSelection(selection) {
+    if (selection === ALL_WALLETS) return ALL_WALLETS;
+    const wallets = [].concat(selection)
+        .filter(wallet => typeof wallet === 'string' && wallet.trim() !== '')
+        .map(wallet => wallet.trim().toLowerCase());
+    return [...new Set(wallets)].sort();
+}
+
+/**
+ * Stable string form of a selection, e.g. for cache keys and query parameters
+ * @param {WalletSelection} selection
+ * @returns {string}
+ */
+function walletSelectionKey(selection) {
+    const normalized = normalizeWalletSelection(selection);
+    return normalized === ALL_WALLETS ? ALL_WALLETS : normalized.join(',');
+}
+
+/**
+ * The selected wallet a loan belongs to. When both sides of a loan are selected
+ * the borrower wins.
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {WalletSelection} selection
+ * @returns {string|null} Lowercase wallet address, or null in all-loans mode
+ */
+function getLoanWallet(loan, selection) {
+    const normalized = normalizeWalletSelection(selection);
+    if (normalized === ALL_WALLETS) return null;
+    const borrower = (loan.borrowerAddress || '').toLowerCase();
+    const lender = (loan.lenderAddress || '').toLowerCase();
+    if (normalized.includes(borrower)) return borrower;
+    if (normalized.includes(lender)) return lender;
+    // Rows filtered server-side always match; fall back to the only wallet if there is one
+    return normalized.length === 1 ? normalized[0] : null;
+}
+
+/**
+ * The part the selected wallets play in a loan. Addresses are compared
+ * case-insensitively since the API returns checksum case.
+ * @param {import('./loanDecoder.js').Loan} loan
+ * @param {WalletSelection} selection
+ * @returns {'borrower'|'lender'|'both'|null} 'both' when the selection holds both sides; null in all-loans mode
+ */
+function getLoanRole(loan, selection) {
+    const normalized = normalizeWalletSelection(selection);
+    if (normalized === ALL_WALLETS) return null;
+    const isBorrower = normalized.includes((loan.borrowerAddress || '').toLowerCase());
+    const isLender = normalized.includes((loan.lenderAddress || '').toLowerCase());
+    if (isBorrower && isLender) return 'both';
+    if (isBorrower) return 'borrower';
+    if (isLender) return 'lender';
+    return null;
+}
+
+/**
+ * Keep the loans where the selection plays the requested role.
+ * Nothing is filtered in all-loans mode or for the 'both' filter.
+ * @param {import('./loanDecoder.js').Loan[]} loans
+ * @param {WalletSelection} selection
+ * @param {'borrowing'|'lending'|'both'} roleFilter
+ * @returns {import('./loanDecoder.js').Loan[]}
+ */
+function filterLoansByRole(loans, selection, roleFilter) {
+    if (roleFilter === 'both' || normalizeWalletSelection(selection) === ALL_WALLETS) return loans;
+    const wanted = roleFilter === 'borrowing' ? 'borrower' : 'lender';
+    return loans.filter(loan => {
+        const role = getLoanRole(loan, selection);
+        return role === wanted || role === 'both';
+    });
+}
+
+export { ALL_WALLETS, IMPORTED_DATASET, isDatasetSelection, normalizeWalletSelection, walletSelectionKey, getLoanWallet, getLoanRole, filterLoansByRole };
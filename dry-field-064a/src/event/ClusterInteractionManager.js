@@ -1,6 +1,7 @@
 import { REVERT_DELAY } from '../config/constants.js';
 import { dispatch, getState } from '../state/state.js';
 import { applyOutwardForce } from '../utils/physics.js';
+import { getHitClusterId } from '../utils/hitTest.js';
 
 /**
  * Purpose: Manages cluster interactions and state transitions
@@ -21,15 +22,7 @@ class ClusterInteractionManager {
      * @returns {boolean} Whether the cluster is being hovered
      */
     checkHover(cluster, mousePos) {
-        for (const bubble of cluster.bubbles) {
-            const dx = mousePos.x - bubble.x;
-            const dy = mousePos.y - bubble.y;
-            const dist = Math.hypot(dx, dy);
-            if (dist < bubble.r) {
-                return true;
-            }
-        }
-        return false;
+        return getHitClusterId(mousePos.x, mousePos.y) === cluster.id;
     }
 
     startRevertTimer(clusterId) {
@@ -117,9 +110,10 @@ class ClusterInteractionManager {
         let needsUpdate = false;
         let anyClusterHovered = false;
 
-        // First pass: check if any cluster is being hovered
+        // First pass: check if any cluster is being hovered, with a single hit test
+        const hoveredClusterId = getHitClusterId(mousePos.x, mousePos.y);
         const updatedClusters = state.clusters.map(cluster => {
-            const isHovering = this.checkHover(cluster, mousePos);
+            const isHovering = cluster.id === hoveredClusterId;
             if (isHovering) {
                 anyClusterHovered = true;
             }
@@ -6,8 +6,8 @@ class EventManager {
     this.listeners = [];
   }
 
-  on(event, handler) {
-    this.target.addEventListener(event, handler);
+  on(event, handler, options) {
+    this.target.addEventListener(event, handler, options);
     this.listeners.push({ event, handler });
     return () => this.off(event, handler);
   }
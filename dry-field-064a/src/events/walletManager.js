@@ -1,7 +1,6 @@
 import { fetchLoanData } from '../data/dataService.js';
 import { useLoanDataForBubbles } from '../data/clusterUtils.js';
 import { findClusters, createLoanBubbleFromAPI } from '../data/clusterUtils.js';
-import { loadBubbleImages } from '../data/dataService.js';
 import { draw } from '../utils/renderUtils.js';
 import { state, clearChart, dispatch, getState, subscribe } from '../state/state.js';
 import EventManager from '../event/EventManager.js';
@@ -70,52 +69,10 @@ export function loadInitialData(initialWallet, allBubbles, clusters, singleBubbl
     chartController.loadLoans(initialWallet, 30);
 }
 
-// Helper to log image loading triggers
-function logImageLoadTrigger(context) {
-    const s = getState();
-    console.log(`[IMAGE LOAD TRIGGER] ${context} | wallet: ${s.currentWallet}, generation: ${s.imageLoadGeneration}, showImages: ${s.showImages}, status: ${s.status}`);
-}
-
-function maybeLoadImagesForCurrentState() {
-    const currentState = getState();
-    if (!currentState.showImages || currentState.status !== 'ready') return;
-    const bubbles = currentState.allBubbles;
-    const generation = currentState.imageLoadGeneration;
-    console.trace('[IMAGE LOAD TRIGGER] maybeLoadImagesForCurrentState', {
-        wallet: currentState.currentWallet,
-        generation,
-        showImages: currentState.showImages,
-        status: currentState.status
-    });
-    loadBubbleImages(bubbles,
-        (loaded, total) => {
-            // Only update if generation matches
-            if (getState().imageLoadGeneration !== generation) return;
-            // Optionally, update progress in state/UI here
-        },
-        (totalLoaded) => {
-            if (getState().imageLoadGeneration !== generation) return;
-            // Optionally, update state/UI to indicate images are loaded
-            // No-op for now
-        }
-    );
-}
-
-// Subscribe to showImages and status changes to trigger image loading only on correct transition
-let prevShowImages = getState().showImages;
+// Bubble images are queued by ChartController's ImageLoadQueue when images are toggled on
 subscribe((newState) => {
-    if (!prevShowImages && newState.showImages && newState.status === 'ready') {
-        console.trace('[IMAGE LOAD TRIGGER] showImages toggled ON', {
-            wallet: newState.currentWallet,
-            generation: newState.imageLoadGeneration,
-            showImages: newState.showImages,
-            status: newState.status
-        });
-        maybeLoadImagesForCurrentState();
-    }
     // Log when chart is hidden
     if (newState.status !== 'ready') {
         console.trace('[UI] Chart hidden due to status', newState.status, newState);
     }
-    prevShowImages = newState.showImages;
-}); 
\ No newline at end of file
+});
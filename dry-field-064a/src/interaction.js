@@ -1,8 +1,9 @@
-import { REVERT_DELAY } from './config/constants.js';
+import { REVERT_DELAY, TIME_ZOOM_WHEEL_SENSITIVITY } from './config/constants.js';
 import { applyOutwardForce } from './utils/physics.js';
 import { dispatch, getState } from './state/state.js';
 import EventManager from './event/EventManager.js';
 import ClusterInteractionManager from './event/ClusterInteractionManager.js';
+import { getHitClusterId } from './utils/hitTest.js';
 
 /**
  * Purpose: Handles mouse and user interactions with the chart canvas.
@@ -35,17 +36,9 @@ function calculateMousePosition(event, canvas) {
  */
 function handleClusterInteractions(clusters, mousePos, width, height) {
     let clusterStatesChanged = false;
+    const hoveredClusterId = getHitClusterId(mousePos.x, mousePos.y);
     const updatedClusters = clusters.map(cluster => {
-        let hovering = false;
-        for (const b of cluster.bubbles) {
-            const dx = mousePos.x - b.x;
-            const dy = mousePos.y - b.y;
-            const dist = Math.hypot(dx, dy);
-            if (dist < b.r) {
-                hovering = true;
-                break;
-            }
-        }
+        const hovering = cluster.id === hoveredClusterId;
 
         const updatedCluster = { ...cluster };
         if (hovering) {
@@ -136,4 +129,50 @@ function setupMouseInteraction(canvas, clusters, tooltip, width, height) {
     return eventManager;
 }
 
-export { setupMouseInteraction, calculateMousePosition, handleClusterInteractions }; 
\ No newline at end of file
+/**
+ * Wheel zoom, drag panning and double-click reset on the chart's time axis
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {Object} handlers
+ * @param {function(number, number): void} handlers.onZoom - Chart x to zoom around, and the factor; below 1 zooms in
+ * @param {function(number): void} handlers.onPan - Horizontal drag distance since the last call
+ * @param {function(): void} handlers.onReset
+ * @returns {EventManager} The event manager instance
+ */
+function setupTimeAxisZoom(canvas, { onZoom, onPan, onReset }) {
+    const eventManager = new EventManager(canvas);
+    // Where the drag was last seen, or null when not dragging
+    let dragX = null;
+
+    eventManager.on('wheel', (e) => {
+        // Keep the page from scrolling while zooming the chart
+        e.preventDefault();
+        const { x } = calculateMousePosition(e, canvas);
+        onZoom(x, Math.exp(e.deltaY * TIME_ZOOM_WHEEL_SENSITIVITY));
+    }, { passive: false });
+
+    eventManager.on('mousedown', (e) => {
+        if (e.button !== 0) return;
+        dragX = calculateMousePosition(e, canvas).x;
+        canvas.style.cursor = 'grabbing';
+    });
+
+    eventManager.on('mousemove', (e) => {
+        if (dragX === null) return;
+        const { x } = calculateMousePosition(e, canvas);
+        onPan(x - dragX);
+        dragX = x;
+    });
+
+    const endDrag = () => {
+        dragX = null;
+        canvas.style.cursor = '';
+    };
+    eventManager.on('mouseup', endDrag);
+    eventManager.on('mouseleave', endDrag);
+
+    eventManager.on('dblclick', () => onReset());
+
+    return eventManager;
+}
+
+export { setupMouseInteraction, setupTimeAxisZoom, calculateMousePosition, handleClusterInteractions }; 
\ No newline at end of file
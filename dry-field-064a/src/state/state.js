@@ -26,11 +26,14 @@
  * @property {Array} allBubbles
  * @property {Array} clusters
  * @property {Array} singleBubbles
+ * @property {Array} exitingBubbles - Bubbles removed by a refresh, drawn until they have faded out
+ * @property {Array} axisBubbles - Bubbles whose values the y axis was made from: allBubbles, except while later pages of a load are merged in
  * @property {number} mouseX
  * @property {number} mouseY
  * @property {{x: number, y: number}} mousePosition
  * @property {Date|null} paddedMinDate
  * @property {Date|null} paddedMaxDate
+ * @property {{min: number, max: number}|null} timeView - Zoomed time axis range, or null for the whole padded date range
  * @property {boolean} showImages
  * @property {number} width
  * @property {number} height
@@ -38,11 +41,27 @@
  * @property {number} chartPaddingX
  * @property {number} chartPaddingTop
  * @property {number} chartPaddingBottom
- * @property {string} currentWallet
+ * @property {string|string[]} currentWallet - '__ALL__', one wallet, or several
+ * @property {'borrowing'|'lending'|'both'} roleFilter - Which side of the selected wallets' loans to show
+ * @property {{x: string, y: string, size: string}} encoding - Loan fields on the x axis, y axis and bubble size; see data/encodings.js
+ * @property {{y: 'linear'|'log'|'percentile', size: 'linear'|'log'|'percentile'}} scales - Scale types of the y axis and bubble size
+ * @property {boolean} clipOutliers - Pin values beyond the 2nd–98th percentile to the chart edge and a size limit; off spans the axes and sizes over every value
+ * @property {{yMin: number, yMax: number, sizeMin: number, sizeMax: number, note: string}|null} clipping - Where the laid out loans are clipped, and the footnote that explains it
+ * @property {string[]} hiddenProtocols - Protocols whose loans are left off the chart
+ * @property {import('../data/protocolSummary.js').ProtocolSummary[]} protocolSummary - Protocols of the selection's loans after the role filter, for the legend
+ * @property {string} themeName - Color theme the user picked, or 'auto' to follow the system; see config/themes.js
+ * @property {'dark'|'light'|'highContrast'} systemThemeName - Theme the system's color scheme and contrast preferences ask for
+ * @property {boolean} walletStrokes - Outline bubbles in their wallet's stroke style
  * @property {boolean} loading
  * @property {string} status
  * @property {string|null} error
+ * @property {string|null} errorKind - 'network' | 'http' | 'parse' | 'schema' | 'empty' | 'unknown'
+ * @property {boolean} errorRetryable
+ * @property {{loaded: number, total: number|null, done: boolean}} loadProgress
+ * @property {{status: string|null, origin: string|null, storedAt: number|null, revalidating: boolean, hits: number, misses: number}} cache
+ * @property {{interval: number, refreshing: boolean, lastRefreshAt: number|null, lastDiff: {added: number, removed: number, changed: number}|null}} autoRefresh
  * @property {number} imageLoadGeneration
+ * @property {import('../data/imageLoader.js').ImageLoadProgress} imageProgress - Bubble image downloads of the current generation
  * @property {number} lastUpdateTime
  * @property {Set<string>} pendingVisualUpdates
  * @property {boolean} isUpdating
@@ -52,11 +71,14 @@ const initialState = {
     allBubbles: [],
     clusters: [],
     singleBubbles: [],
+    exitingBubbles: [],
+    axisBubbles: [],
     mouseX: 0,
     mouseY: 0,
     mousePosition: { x: 0, y: 0 },
     paddedMinDate: null,
     paddedMaxDate: null,
+    timeView: null,
     showImages: false,
     width: 0,
     height: 0,
@@ -65,10 +87,26 @@ const initialState = {
     chartPaddingTop: 0,
     chartPaddingBottom: 0,
     currentWallet: '',
+    roleFilter: 'both',
+    encoding: { x: 'dueTime', y: 'apr', size: 'principal' },
+    scales: { y: 'linear', size: 'linear' },
+    clipOutliers: true,
+    clipping: null,
+    hiddenProtocols: [],
+    protocolSummary: [],
+    themeName: 'auto',
+    systemThemeName: 'dark',
+    walletStrokes: false,
     loading: false,
     status: 'idle',
     error: null,
+    errorKind: null,
+    errorRetryable: false,
+    loadProgress: { loaded: 0, total: null, done: true },
+    cache: { status: null, origin: null, storedAt: null, revalidating: false, hits: 0, misses: 0 },
+    autoRefresh: { interval: 0, refreshing: false, lastRefreshAt: null, lastDiff: null },
     imageLoadGeneration: 0,
+    imageProgress: { generation: null, loaded: 0, failed: 0, total: 0, done: true },
     lastUpdateTime: 0,
     pendingVisualUpdates: new Set(),
     isUpdating: false
@@ -144,6 +182,9 @@ const visualUpdates = new Map([
     ['bubbleUpdate', () => {
         // Handle bubble-specific updates
     }],
+    ['loadProgress', () => {
+        // Handle paginated load progress updates
+    }],
     ['initialRender', () => {
         // Handle initial render when data is ready
         if (state.status === 'ready') {
@@ -177,6 +218,10 @@ function applyUpdate(action) {
             state.paddedMaxDate = action.payload.max;
             scheduleVisualUpdate('initialRender');
             break;
+        case 'SET_TIME_VIEW':
+            state.timeView = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
         case 'TOGGLE_IMAGES':
             state.showImages = action.payload;
             scheduleVisualUpdate('initialRender');
@@ -185,6 +230,12 @@ function applyUpdate(action) {
             state.allBubbles = [];
             state.clusters = [];
             state.singleBubbles = [];
+            state.exitingBubbles = [];
+            state.axisBubbles = [];
+            state.clipping = null;
+            state.protocolSummary = [];
+            // A new selection starts zoomed out
+            state.timeView = null;
             scheduleVisualUpdate('initialRender');
             break;
         case 'UPDATE_CLUSTERS':
@@ -202,11 +253,70 @@ function applyUpdate(action) {
             state.allBubbles = action.payload.allBubbles;
             state.clusters = action.payload.clusters;
             state.singleBubbles = action.payload.singleBubbles;
+            state.axisBubbles = action.payload.axisBubbles || action.payload.allBubbles;
+            scheduleVisualUpdate('bubbleUpdate');
+            break;
+        case 'SET_EXITING_BUBBLES':
+            state.exitingBubbles = action.payload;
             scheduleVisualUpdate('bubbleUpdate');
             break;
+        case 'SET_AUTO_REFRESH':
+            state.autoRefresh = { ...state.autoRefresh, interval: action.payload.interval };
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'REFRESH_STARTED':
+            state.autoRefresh = { ...state.autoRefresh, refreshing: true };
+            break;
+        case 'REFRESH_FINISHED':
+            // A failed or skipped refresh keeps the previous timestamp and diff
+            state.autoRefresh = action.payload.failed || action.payload.skipped
+                ? { ...state.autoRefresh, refreshing: false }
+                : { ...state.autoRefresh, refreshing: false, lastRefreshAt: action.payload.at, lastDiff: action.payload.diff };
+            scheduleVisualUpdate('initialRender');
+            break;
         case 'SET_CURRENT_WALLET':
             state.currentWallet = action.payload;
             break;
+        case 'SET_ROLE_FILTER':
+            state.roleFilter = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_ENCODING':
+            state.encoding = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_SCALES':
+            state.scales = { ...state.scales, ...action.payload };
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_CLIP_OUTLIERS':
+            state.clipOutliers = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_CLIPPING':
+            state.clipping = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_HIDDEN_PROTOCOLS':
+            state.hiddenProtocols = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_PROTOCOL_SUMMARY':
+            state.protocolSummary = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_THEME':
+            state.themeName = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_SYSTEM_THEME':
+            state.systemThemeName = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'TOGGLE_WALLET_STROKES':
+            state.walletStrokes = action.payload;
+            scheduleVisualUpdate('initialRender');
+            break;
         case 'SET_LOADING':
             state.loading = action.payload;
             break;
@@ -218,11 +328,50 @@ function applyUpdate(action) {
             break;
         case 'SET_ERROR':
             state.error = action.payload;
+            if (action.payload === null) {
+                state.errorKind = null;
+                state.errorRetryable = false;
+            }
+            break;
+        case 'SET_LOAD_ERROR':
+            state.error = action.payload.message;
+            state.errorKind = action.payload.kind;
+            state.errorRetryable = !!action.payload.retryable;
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'SET_LOAD_PROGRESS':
+            state.loadProgress = { ...state.loadProgress, ...action.payload };
+            scheduleVisualUpdate('loadProgress');
+            break;
+        case 'CACHE_LOOKUP':
+            state.cache = {
+                ...state.cache,
+                status: action.payload.hit ? 'hit' : 'miss',
+                origin: action.payload.hit ? 'cached' : 'live',
+                storedAt: action.payload.storedAt,
+                revalidating: action.payload.hit,
+                hits: state.cache.hits + (action.payload.hit ? 1 : 0),
+                misses: state.cache.misses + (action.payload.hit ? 0 : 1)
+            };
+            scheduleVisualUpdate('initialRender');
+            break;
+        case 'CACHE_REVALIDATED':
+            // A failed revalidation leaves the cached copy on screen
+            state.cache = action.payload.failed
+                ? { ...state.cache, revalidating: false }
+                : { ...state.cache, origin: 'live', storedAt: null, revalidating: false };
+            scheduleVisualUpdate('initialRender');
             break;
         case 'INCREMENT_IMAGE_LOAD_GENERATION':
             state.imageLoadGeneration += 1;
             scheduleVisualUpdate('initialRender');
             break;
+        case 'SET_IMAGE_PROGRESS':
+            // Late reports from a cancelled generation are ignored
+            if (action.payload.generation !== null && action.payload.generation !== state.imageLoadGeneration) break;
+            state.imageProgress = action.payload;
+            scheduleVisualUpdate('imageProgress');
+            break;
         default:
             console.warn(`Unknown action type: ${action.type}`);
             break;
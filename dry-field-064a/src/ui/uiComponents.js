@@ -24,6 +24,30 @@
  * Boundaries: Only handles DOM manipulation and UI rendering. No direct state mutation or data fetching.
  */
 
+import { getState } from '../state/state.js';
+import { hitTest } from '../utils/hitTest.js';
+import { getBubbleStore } from '../data/bubbleStore.js';
+import { Y_ENCODINGS, SIZE_ENCODINGS, resolveEncoding, formatFieldValue, formatUsd } from '../data/encodings.js';
+import { getProtocolColor } from '../config/themes.js';
+
+/**
+ * Shorten a wallet address for display, e.g. 0xd79b…bdfd
+ * @param {string} wallet
+ * @returns {string}
+ */
+function formatWalletAddress(wallet) {
+    return wallet && wallet.length > 12 ? `${wallet.slice(0, 6)}…${wallet.slice(-4)}` : (wallet || '');
+}
+
+/**
+ * Escape text for use in HTML markup, including attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 /**
  * Update the tooltip display when hovering over bubbles
  * @param {HTMLElement} tooltip - The tooltip HTML element
@@ -35,19 +59,7 @@
  * @param {Array} allBubbles - All bubble objects
  */
 function updateTooltip(tooltip, mouseX, mouseY, singleBubbles, clusters, canvas, allBubbles) {
-    let closest = null;
-    let minDist = Infinity;
-
-    // Check ALL bubbles for the closest one under the mouse
-    for (const bubble of allBubbles) {
-        const dx = bubble.x - mouseX;
-        const dy = bubble.y - mouseY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < bubble.r && dist < minDist) {
-            minDist = dist;
-            closest = bubble;
-        }
-    }
+    const closest = hitTest(mouseX, mouseY);
 
     if (closest) {
         // Format expiry (date and time)
@@ -62,30 +74,61 @@ function updateTooltip(tooltip, mouseX, mouseY, singleBubbles, clusters, canvas,
         // Format repayment
         const repayment = closest.repayment ? closest.repayment.toLocaleString() : '';
 
-        // Calculate total due
+        // Calculate total due, over the columns of the store the bubbles live in
         let totalDue = 0;
-        for (const bubble of allBubbles) {
-            if (bubble.dueTime && new Date(bubble.dueTime) <= new Date(closest.dueTime)) {
-                totalDue += bubble.repayment || 0;
+        const store = getBubbleStore(allBubbles);
+        if (store) {
+            const { dueTime, repayment } = store;
+            for (let i = 0; i < allBubbles.length; i++) {
+                if (dueTime[i] && dueTime[i] <= closest.dueTime) {
+                    totalDue += repayment[i] || 0;
+                }
             }
         }
 
-        // Build HTML
+        // Word the repayment from the selected wallet's side of the loan
+        const repaymentLabel = closest.role === 'borrower' ? 'You owe'
+            : closest.role === 'lender' ? 'You are owed'
+            : 'Repayment';
+
+        // Name the wallet when several are shown together
+        const currentWallet = getState().currentWallet;
+        const walletRow = closest.wallet && Array.isArray(currentWallet) && currentWallet.length > 1 ? `
+            <div class="tooltip-row">
+                <span class="tooltip-label">Wallet</span>
+                <span class="tooltip-value">${escapeHtml(formatWalletAddress(closest.wallet))}</span>
+            </div>` : '';
+
+        // Clipped loans are drawn at the chart edge or a size limit, so give their true values
+        const encoding = resolveEncoding(getState().encoding);
+        const clippedRows = [
+            closest.isAprOutlier && [Y_ENCODINGS[encoding.y], closest.yValue],
+            closest.isUsdOutlier && [SIZE_ENCODINGS[encoding.size], closest.sizeValue]
+        ].filter(Boolean).map(([field, value]) => `
+            <div class="tooltip-row tooltip-clipped">
+                <span class="tooltip-label">${field.label} (clipped)</span>
+                <span class="tooltip-value">${formatFieldValue(field, value)}</span>
+            </div>`).join('');
+
+        // The URL that actually loaded, which may be a fallback
+        const tooltipImageUrl = (closest.img && closest.img.src) || (closest.imageFailed ? '' : closest.imageUrl);
+
+        // Build HTML; names, protocols and URLs come from the data, which may be an imported file
         tooltip.innerHTML = `
             <div class="tooltip-header">
-                <img class="tooltip-img" src="${closest.imageUrl}" alt="NFT" />
-                <div class="tooltip-title">${closest.name || 'NFT Loan'}</div>
+                ${tooltipImageUrl ? `<img class="tooltip-img" src="${escapeHtml(tooltipImageUrl)}" alt="NFT" />` : ''}
+                <div class="tooltip-title">${escapeHtml(closest.name || 'NFT Loan')}</div>
             </div>
             <div class="tooltip-row">
                 <span class="tooltip-label">Protocol</span>
-                <span class="tooltip-value">${closest.protocol || 'Unknown'}</span>
-            </div>
+                <span class="tooltip-value">${escapeHtml(closest.protocol || 'Unknown')}</span>
+            </div>${walletRow}
             <div class="tooltip-row">
                 <span class="tooltip-label">APR</span>
                 <span class="tooltip-value">${closest.apr ? closest.apr.toFixed(2) : '--'}%</span>
-            </div>
+            </div>${clippedRows}
             <div class="tooltip-row">
-                <span class="tooltip-label">Repayment</span>
+                <span class="tooltip-label">${repaymentLabel}</span>
                 <span class="tooltip-value">${repayment} <span class="tooltip-value usdc">USDC</span></span>
             </div>
             <div class="tooltip-row">
@@ -105,6 +148,153 @@ function updateTooltip(tooltip, mouseX, mouseY, singleBubbles, clusters, canvas,
     }
 }
 
+/**
+ * Label the chart data as cached or live
+ * @param {HTMLElement} label - The label element
+ * @param {{origin: string|null, storedAt: number|null, revalidating: boolean}} cache - The cache slice of state
+ * @param {number} [now] - Current time in ms
+ */
+function updateDataOriginLabel(label, cache, now = Date.now()) {
+    if (!cache || !cache.origin) {
+        label.style.display = 'none';
+        return;
+    }
+    let text = 'Live data';
+    if (cache.origin === 'cached') {
+        const minutes = cache.storedAt ? Math.max(0, Math.round((now - cache.storedAt) / 60000)) : null;
+        text = minutes === null ? 'Cached data' : `Cached data from ${minutes === 0 ? 'just now' : `${minutes} min ago`}`;
+        if (cache.revalidating) text += ' · refreshing…';
+    }
+    label.textContent = text;
+    label.dataset.origin = cache.origin;
+    label.style.display = 'block';
+}
+
+/**
+ * Show the footnote that explains how the chart clips outliers, next to the toggle that turns clipping off
+ * @param {HTMLElement} footnote - Holds a text span and the clipping toggle
+ * @param {{note: string}|null} clipping - The clipping slice of state, or null to hide the footnote
+ * @param {boolean} clipOutliers
+ */
+function updateClipFootnote(footnote, clipping, clipOutliers) {
+    if (!clipping) {
+        footnote.style.display = 'none';
+        return;
+    }
+    footnote.querySelector('span').textContent = clipOutliers
+        ? clipping.note
+        : 'Clipping is off: the y axis and bubble sizes span every value.';
+    footnote.style.display = 'flex';
+}
+
+/**
+ * Show the protocol legend: an entry per protocol in the data with its color, loan
+ * count and total principal. Entries of hidden protocols are dimmed.
+ * @param {HTMLElement} legend - The legend container
+ * @param {import('../data/protocolSummary.js').ProtocolSummary[]} summary - Empty hides the legend
+ * @param {string[]} hiddenProtocols
+ * @param {import('../config/themes.js').Theme} theme - Colors of the swatches
+ */
+function updateProtocolLegend(legend, summary, hiddenProtocols, theme) {
+    if (summary.length === 0) {
+        legend.style.display = 'none';
+        return;
+    }
+    legend.style.display = 'flex';
+    // Rebuilt only when what it shows changed, not on every state update
+    const key = JSON.stringify([summary, hiddenProtocols, theme.label]);
+    if (legend.dataset.key === key) return;
+    legend.dataset.key = key;
+
+    const hidden = new Set(hiddenProtocols);
+    legend.innerHTML = '';
+    for (const { protocol, count, principalUSD } of summary) {
+        const entry = document.createElement('button');
+        entry.type = 'button';
+        entry.className = 'legend-entry';
+        entry.classList.toggle('legend-hidden', hidden.has(protocol));
+        entry.dataset.protocol = protocol;
+        entry.setAttribute('aria-pressed', String(!hidden.has(protocol)));
+        entry.title = 'Click to show or hide, Shift-click to show only this protocol';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = getProtocolColor(theme, protocol);
+        const name = document.createElement('span');
+        name.className = 'legend-name';
+        name.textContent = protocol || 'Unknown';
+        const stats = document.createElement('span');
+        stats.className = 'legend-stats';
+        stats.textContent = `${count.toLocaleString()} · ${formatUsd(principalUSD)}`;
+
+        entry.append(swatch, name, stats);
+        legend.appendChild(entry);
+    }
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show when the chart was last refreshed in the background and what changed
+ * @param {HTMLElement} label
+ * @param {{interval: number, refreshing: boolean, lastRefreshAt: number|null, lastDiff: Object|null}|null} autoRefresh
+ */
+function updateRefreshStatus(label, autoRefresh) {
+    if (!autoRefresh || (!autoRefresh.refreshing && !autoRefresh.lastRefreshAt)) {
+        label.style.display = 'none';
+        return;
+    }
+    let text = '';
+    if (autoRefresh.lastRefreshAt) {
+        const time = new Date(autoRefresh.lastRefreshAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        const { added, removed, changed } = autoRefresh.lastDiff;
+        const parts = [];
+        if (added) parts.push(`${added} new`);
+        if (removed) parts.push(`${removed} gone`);
+        if (changed) parts.push(`${changed} updated`);
+        text = `Updated ${time}${parts.length ? ` · ${parts.join(', ')}` : ' · no changes'}`;
+    }
+    if (autoRefresh.refreshing) text = text ? `${text} · refreshing…` : 'Refreshing…';
+    label.textContent = text;
+    label.style.display = 'block';
+}
+
+/**
+ * Show a progress bar while bubble images download
+ * @param {HTMLElement} container - Holds a <progress> element and a text label
+ * @param {import('../data/imageLoader.js').ImageLoadProgress|null} progress - Null hides the bar
+ */
+function updateImageProgress(container, progress) {
+    if (!progress || progress.done || progress.total === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    const settled = progress.loaded + progress.failed;
+    const bar = container.querySelector('progress');
+    const label = container.querySelector('span');
+    bar.max = progress.total;
+    bar.value = settled;
+    label.textContent = `Images ${settled.toLocaleString()} / ${progress.total.toLocaleString()}`;
+    container.style.display = 'block';
+}
+
 /**
  * Setup the tooltip element and add necessary styles
  * @param {HTMLElement} tooltipElement - The tooltip HTML element
@@ -114,8 +304,8 @@ function initializeTooltip(tooltipElement) {
     tooltipElement.style.position = "absolute";
     tooltipElement.style.minWidth = "320px";
     tooltipElement.style.maxWidth = "340px";
-    tooltipElement.style.background = "#332C4B";
-    tooltipElement.style.color = "#fff";
+    tooltipElement.style.background = "var(--theme-tooltip-background)";
+    tooltipElement.style.color = "var(--theme-tooltip-text)";
     tooltipElement.style.borderRadius = "20px";
     tooltipElement.style.boxShadow = "0 4px 24px rgba(0,0,0,0.18)";
     tooltipElement.style.padding = "24px 24px 20px 24px";
@@ -131,6 +321,34 @@ function initializeTooltip(tooltipElement) {
     tooltipElement.style.transition = "opacity 0.2s";
 }
 
+// CSS custom properties set from the active theme, which the page and tooltip styles read
+const THEME_CSS_PROPERTIES = {
+    '--theme-background': theme => theme.background,
+    '--theme-text': theme => theme.text,
+    '--theme-accent': theme => theme.accent,
+    '--theme-control-background': theme => theme.control.background,
+    '--theme-control-border': theme => theme.control.border,
+    '--theme-control-active-background': theme => theme.control.activeBackground,
+    '--theme-control-active-text': theme => theme.control.activeText,
+    '--theme-tooltip-background': theme => theme.tooltip.background,
+    '--theme-tooltip-text': theme => theme.tooltip.text,
+    '--theme-tooltip-label': theme => theme.tooltip.label,
+    '--theme-tooltip-highlight': theme => theme.tooltip.highlight,
+    '--theme-tooltip-image-border': theme => theme.tooltip.imageBorder
+};
+
+/**
+ * Give the page a theme's colors. The canvas reads the theme itself when it draws.
+ * @param {import('../config/themes.js').Theme} theme
+ */
+function applyTheme(theme) {
+    const root = document.documentElement;
+    for (const [property, getValue] of Object.entries(THEME_CSS_PROPERTIES)) {
+        root.style.setProperty(property, getValue(theme));
+    }
+    root.style.colorScheme = theme.colorScheme;
+}
+
 /**
  * Setup CSS styles for tooltips by adding a style tag to the document head
  */
@@ -149,8 +367,8 @@ function setupTooltipStyles() {
             position: absolute;
             min-width: 320px;
             max-width: 340px;
-            background: #332C4B;
-            color: #fff;
+            background: var(--theme-tooltip-background);
+            color: var(--theme-tooltip-text);
             border-radius: 20px;
             box-shadow: 0 4px 24px rgba(0,0,0,0.18);
             padding: 24px 24px 20px 24px;
@@ -177,12 +395,12 @@ function setupTooltipStyles() {
             border-radius: 50%;
             background: #3ED6B7;
             object-fit: cover;
-            border: 4px solid #221E37;
+            border: 4px solid var(--theme-tooltip-image-border);
         }
         #tooltip .tooltip-title {
             font-size: 22px;
             font-weight: 600;
-            color: #fff;
+            color: var(--theme-tooltip-text);
             margin: 0;
             line-height: 1.2;
         }
@@ -193,23 +411,26 @@ function setupTooltipStyles() {
             margin: 0 0 2px 0;
         }
         #tooltip .tooltip-label {
-            color: hsl(0, 0%, 68%);
+            color: var(--theme-tooltip-label);
             font-size: 14px;
             font-weight: 500;
         }
         #tooltip .tooltip-value {
-            color: #fff;
+            color: var(--theme-tooltip-text);
             font-size: 14px;
             font-weight: 700;
             letter-spacing: 0.04em;
         }
+        #tooltip .tooltip-clipped .tooltip-value {
+            color: var(--theme-tooltip-highlight);
+        }
         #tooltip .tooltip-value.usdc {
             font-size: 18px;
             font-weight: 700;
-            color: #fff;
+            color: var(--theme-tooltip-text);
             margin-left: 4px;
         }
     `;
 }
 
-export { updateTooltip, initializeTooltip, setupTooltipStyles };
+export { updateTooltip, formatWalletAddress, downloadFile, updateDataOriginLabel, updateRefreshStatus, updateClipFootnote, updateProtocolLegend, updateImageProgress, initializeTooltip, setupTooltipStyles, applyTheme };
@@ -5,6 +5,15 @@
 
 import EventManager from '../event/EventManager.js';
 import { dispatch, getState } from '../state/state.js';
+import { formatWalletAddress, downloadFile } from './uiComponents.js';
+import { getWalletStrokeStyle } from '../utils/renderUtils.js';
+import { X_ENCODINGS, Y_ENCODINGS, SIZE_ENCODINGS } from '../data/encodings.js';
+import { SCALE_TYPES } from '../data/scales.js';
+import { THEME_OPTIONS, getSystemThemeName } from '../config/themes.js';
+import { toggleProtocolVisibility } from '../data/protocolSummary.js';
+
+/** Wallet dropdown value that switches to picking several wallets */
+const MULTI_WALLET_OPTION = '__MULTI__';
 
 /**
  * Creates a no data message element
@@ -16,8 +25,8 @@ function createNoDataMessage() {
         const msg = document.createElement('div');
         msg.id = 'no-data-message';
         msg.style.display = 'none';
-        msg.style.color = '#B6B1D5';
-        msg.style.background = '#332C4B';
+        msg.style.color = 'var(--theme-text)';
+        msg.style.background = 'var(--theme-control-background)';
         msg.style.borderRadius = '12px';
         msg.style.padding = '16px 24px';
         msg.style.fontFamily = "'Inter', Arial, sans-serif";
@@ -55,12 +64,320 @@ function setupWalletDropdown(walletSelect, wallets) {
         option.textContent = `Wallet ${index + 1}`;
         walletSelect.appendChild(option);
     });
+
+    // Add 'Several wallets' option, which reveals the wallet picker
+    const multiOption = document.createElement('option');
+    multiOption.value = MULTI_WALLET_OPTION;
+    multiOption.textContent = 'Several wallets…';
+    walletSelect.appendChild(multiOption);
     
     // Set default wallet (first in the list)
     walletSelect.value = wallets[0];
     dispatch({ type: 'SET_CURRENT_WALLET', payload: wallets[0] });
 }
 
+/**
+ * Build a checkbox per wallet for the multi-wallet view. Each entry shows the
+ * outline style its bubbles get when wallet outlines are on.
+ * 
+ * @param {HTMLElement} container - Element to fill with the checkboxes
+ * @param {string[]} wallets - Array of wallet addresses
+ * @param {Function} onChange - Callback with the checked wallet addresses
+ * @returns {EventManager} - The event manager instance
+ */
+function setupWalletPicker(container, wallets, onChange) {
+    container.innerHTML = '';
+    wallets.forEach((wallet, index) => {
+        const style = getWalletStrokeStyle(wallet);
+        const label = document.createElement('label');
+        label.style.display = 'inline-flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '6px';
+        label.style.marginRight = '12px';
+        label.style.color = 'var(--theme-text)';
+        label.style.fontSize = '13px';
+        label.title = wallet;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = wallet;
+
+        const swatch = document.createElement('span');
+        swatch.style.display = 'inline-block';
+        swatch.style.width = '12px';
+        swatch.style.height = '12px';
+        swatch.style.borderRadius = '50%';
+        swatch.style.border = `${Math.ceil(style.width)}px ${style.dash.length ? 'dashed' : 'solid'} ${style.color}`;
+
+        label.append(checkbox, swatch, `Wallet ${index + 1} (${formatWalletAddress(wallet)})`);
+        container.appendChild(label);
+    });
+
+    const eventManager = new EventManager(container);
+    eventManager.on('change', () => {
+        const checked = [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+        if (onChange) onChange(checked);
+    });
+    return eventManager;
+}
+
+/**
+ * Setup the toggle that outlines bubbles in their wallet's stroke style
+ * 
+ * @param {HTMLElement} strokeToggle - The toggle button
+ * @returns {EventManager} - The event manager instance
+ */
+function setupWalletStrokeToggle(strokeToggle) {
+    const eventManager = new EventManager(strokeToggle);
+    eventManager.on('click', () => {
+        const enabled = !strokeToggle.classList.contains('active');
+        dispatch({ type: 'TOGGLE_WALLET_STROKES', payload: enabled });
+        strokeToggle.classList.toggle('active', enabled);
+    });
+    return eventManager;
+}
+
+/**
+ * Setup the toggle that turns outlier clipping on and off
+ * 
+ * @param {HTMLButtonElement} clipToggle - The toggle button, active while clipping is on
+ * @param {Function} onChange - Callback with whether clipping is now on
+ * @returns {EventManager} - The event manager instance
+ */
+function setupClipToggle(clipToggle, onChange) {
+    clipToggle.classList.toggle('active', getState().clipOutliers);
+    const eventManager = new EventManager(clipToggle);
+    eventManager.on('click', () => {
+        const enabled = !getState().clipOutliers;
+        clipToggle.classList.toggle('active', enabled);
+        if (onChange) onChange(enabled);
+    });
+    return eventManager;
+}
+
+/**
+ * Setup clicks on the protocol legend: a click shows or hides a protocol, a
+ * Shift-click shows only that protocol, or everything again
+ * 
+ * @param {HTMLElement} legend - The legend container; entries carry their protocol in data-protocol
+ * @param {Function} onChange - Callback with the protocols to hide
+ * @returns {EventManager} - The event manager instance
+ */
+function setupProtocolLegend(legend, onChange) {
+    const eventManager = new EventManager(legend);
+    eventManager.on('click', (event) => {
+        const entry = event.target.closest('.legend-entry');
+        if (!entry || !legend.contains(entry)) return;
+        const { hiddenProtocols, protocolSummary } = getState();
+        const protocols = protocolSummary.map(summary => summary.protocol);
+        const hidden = toggleProtocolVisibility(hiddenProtocols, entry.dataset.protocol, protocols, event.shiftKey);
+        if (onChange) onChange(hidden);
+    });
+    return eventManager;
+}
+
+/**
+ * Setup the theme select. Changing it recolors the chart and page without reloading anything.
+ * 
+ * @param {HTMLSelectElement} themeSelect - The theme select element
+ * @returns {EventManager} - The event manager instance
+ */
+function setupThemeSelect(themeSelect) {
+    themeSelect.innerHTML = '';
+    for (const [value, text] of Object.entries(THEME_OPTIONS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        themeSelect.appendChild(option);
+    }
+    themeSelect.value = getState().themeName;
+
+    const eventManager = new EventManager(themeSelect);
+    eventManager.on('change', () => {
+        dispatch({ type: 'SET_THEME', payload: themeSelect.value });
+    });
+    return eventManager;
+}
+
+/**
+ * Keep state.systemThemeName in step with the system's color scheme and contrast preferences
+ * 
+ * @returns {EventManager[]} - The event managers of the watched media queries, empty without matchMedia
+ */
+function setupSystemThemeWatcher() {
+    if (typeof window.matchMedia !== 'function') return [];
+    const prefersLight = window.matchMedia('(prefers-color-scheme: light)');
+    const prefersMoreContrast = window.matchMedia('(prefers-contrast: more)');
+    const update = () => {
+        dispatch({ type: 'SET_SYSTEM_THEME', payload: getSystemThemeName(prefersLight.matches, prefersMoreContrast.matches) });
+    };
+    update();
+    return [prefersLight, prefersMoreContrast].map((query) => {
+        const eventManager = new EventManager(query);
+        eventManager.on('change', update);
+        return eventManager;
+    });
+}
+
+/**
+ * Setup the borrowing / lending / both role filter
+ * 
+ * @param {HTMLSelectElement} roleSelect - The role filter select element
+ * @param {Function} onChange - Callback with 'borrowing', 'lending' or 'both'
+ * @returns {EventManager} - The event manager instance
+ */
+function setupRoleFilter(roleSelect, onChange) {
+    roleSelect.innerHTML = '';
+    [['both', 'Borrowing & lending'], ['borrowing', 'Borrowing'], ['lending', 'Lending']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        roleSelect.appendChild(option);
+    });
+    roleSelect.value = getState().roleFilter;
+
+    const eventManager = new EventManager(roleSelect);
+    eventManager.on('change', () => {
+        if (onChange) onChange(roleSelect.value);
+    });
+    return eventManager;
+}
+
+/**
+ * Setup the selects that pick the loan fields on the x axis, y axis and bubble size
+ * 
+ * @param {{x: HTMLSelectElement, y: HTMLSelectElement, size: HTMLSelectElement}} selects - One select per channel
+ * @param {Function} onChange - Callback with the changed channels, e.g. {y: 'durationDays'}
+ * @returns {EventManager[]} - The event manager instances
+ */
+function setupEncodingSelects(selects, onChange) {
+    const fields = { x: X_ENCODINGS, y: Y_ENCODINGS, size: SIZE_ENCODINGS };
+    const encoding = getState().encoding;
+    return Object.keys(fields).map(channel => {
+        const select = selects[channel];
+        select.innerHTML = '';
+        Object.entries(fields[channel]).forEach(([value, field]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = field.label;
+            select.appendChild(option);
+        });
+        select.value = encoding[channel];
+
+        const eventManager = new EventManager(select);
+        eventManager.on('change', () => {
+            if (onChange) onChange({ [channel]: select.value });
+        });
+        return eventManager;
+    });
+}
+
+/**
+ * Setup the selects that pick linear, log or percentile scales for the y axis and bubble size
+ * 
+ * @param {{y: HTMLSelectElement, size: HTMLSelectElement}} selects - One select per channel
+ * @param {Function} onChange - Callback with the changed channel, e.g. {y: 'log'}
+ * @returns {EventManager[]} - The event manager instances
+ */
+function setupScaleSelects(selects, onChange) {
+    const scales = getState().scales;
+    return ['y', 'size'].map(channel => {
+        const select = selects[channel];
+        select.innerHTML = '';
+        Object.entries(SCALE_TYPES).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = scales[channel];
+
+        const eventManager = new EventManager(select);
+        eventManager.on('change', () => {
+            if (onChange) onChange({ [channel]: select.value });
+        });
+        return eventManager;
+    });
+}
+
+/**
+ * Setup the CSV and JSON export buttons
+ * 
+ * @param {HTMLElement} csvButton - The 'Export CSV' button
+ * @param {HTMLElement} jsonButton - The 'Export JSON' button
+ * @param {Function} getExport - Returns {filename, mimeType, content} for a format, or null
+ * @returns {EventManager[]} - The event manager instances
+ */
+function setupExportButtons(csvButton, jsonButton, getExport) {
+    return [[csvButton, 'csv'], [jsonButton, 'json']].map(([button, format]) => {
+        const eventManager = new EventManager(button);
+        eventManager.on('click', () => {
+            const file = getExport(format);
+            if (file) downloadFile(file.filename, file.content, file.mimeType);
+        });
+        return eventManager;
+    });
+}
+
+/**
+ * Add the option for a local dataset to the wallet dropdown, or relabel it if it
+ * is already there. Datasets sit after the wallets, before 'Several wallets'.
+ * 
+ * @param {HTMLSelectElement} walletSelect - The wallet dropdown
+ * @param {string} value - The dataset's selection value
+ * @param {string} label - Text shown in the dropdown
+ */
+function setDatasetOption(walletSelect, value, label) {
+    let option = Array.from(walletSelect.options).find(o => o.value === value);
+    if (!option) {
+        option = document.createElement('option');
+        option.value = value;
+        const multiOption = Array.from(walletSelect.options).find(o => o.value === MULTI_WALLET_OPTION);
+        walletSelect.insertBefore(option, multiOption || null);
+    }
+    option.textContent = label;
+}
+
+/**
+ * Setup loan file import from a file picker and from files dropped on the chart
+ * 
+ * @param {HTMLButtonElement} importButton - Opens the file picker
+ * @param {HTMLInputElement} fileInput - Hidden file input
+ * @param {HTMLElement} dropTarget - Element that accepts dropped files, usually the canvas
+ * @param {Function} onFile - Called with (text, filename) for the chosen file
+ * @returns {EventManager[]} - The event manager instances
+ */
+function setupLoanFileImport(importButton, fileInput, dropTarget, onFile) {
+    const readFile = async (file) => {
+        if (!file) return;
+        onFile(await file.text(), file.name);
+    };
+
+    const buttonEvents = new EventManager(importButton);
+    buttonEvents.on('click', () => fileInput.click());
+
+    const inputEvents = new EventManager(fileInput);
+    inputEvents.on('change', async () => {
+        await readFile(fileInput.files[0]);
+        // Allow importing the same file again after editing it
+        fileInput.value = '';
+    });
+
+    const dropEvents = new EventManager(dropTarget);
+    dropEvents.on('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        dropTarget.classList.add('drop-active');
+    });
+    dropEvents.on('dragleave', () => dropTarget.classList.remove('drop-active'));
+    dropEvents.on('drop', (e) => {
+        e.preventDefault();
+        dropTarget.classList.remove('drop-active');
+        readFile(e.dataTransfer.files[0]);
+    });
+    return [buttonEvents, inputEvents, dropEvents];
+}
+
 /**
  * Setup the image toggle button's event listener
  * 
@@ -76,6 +393,53 @@ function setupImageToggle(imageToggle) {
     });
 }
 
+/**
+ * Setup the retry button shown after a retryable load error
+ * 
+ * @param {HTMLElement} retryButton - The retry button
+ * @param {Function} onRetry - Callback that repeats the last load
+ * @returns {EventManager} - The event manager instance
+ */
+function setupRetryButton(retryButton, onRetry) {
+    const eventManager = new EventManager(retryButton);
+    eventManager.on('click', () => {
+        retryButton.style.display = 'none';
+        if (onRetry) onRetry();
+    });
+    return eventManager;
+}
+
+/**
+ * Fill the auto-refresh selector and report interval changes
+ * 
+ * @param {HTMLSelectElement} refreshSelect - The auto-refresh select element
+ * @param {number[]} intervals - Refresh intervals in ms; 0 means off
+ * @param {Function} onChange - Callback with the chosen interval in ms
+ * @returns {EventManager} - The event manager instance
+ */
+function setupAutoRefreshSelect(refreshSelect, intervals, onChange) {
+    refreshSelect.innerHTML = '';
+    intervals.forEach(interval => {
+        const option = document.createElement('option');
+        option.value = String(interval);
+        if (interval === 0) {
+            option.textContent = 'Auto-refresh off';
+        } else if (interval < 60000) {
+            option.textContent = `Every ${interval / 1000}s`;
+        } else {
+            option.textContent = `Every ${interval / 60000} min`;
+        }
+        refreshSelect.appendChild(option);
+    });
+    refreshSelect.value = String(getState().autoRefresh.interval);
+
+    const eventManager = new EventManager(refreshSelect);
+    eventManager.on('change', () => {
+        if (onChange) onChange(parseInt(refreshSelect.value, 10));
+    });
+    return eventManager;
+}
+
 /**
  * Setup the canvas resizing functionality
  * 
@@ -146,9 +510,24 @@ function setupWalletChangeHandler(walletSelect, onWalletChange) {
 }
 
 export { 
+    MULTI_WALLET_OPTION,
     createNoDataMessage,
     setupWalletDropdown,
+    setupWalletPicker,
+    setupWalletStrokeToggle,
+    setupClipToggle,
+    setupThemeSelect,
+    setupProtocolLegend,
+    setupSystemThemeWatcher,
+    setupRoleFilter,
+    setupEncodingSelects,
+    setupScaleSelects,
+    setupExportButtons,
+    setDatasetOption,
+    setupLoanFileImport,
     setupImageToggle,
+    setupRetryButton,
+    setupAutoRefreshSelect,
     setupResponsiveCanvas,
     setupWalletChangeHandler
 };
@@ -0,0 +1,311 @@
+/**
+ * Purpose: Layered rendering for the chart. The background and axes, and the bubbles
+ * at rest, are rendered to offscreen layers that are only rebuilt when their inputs
+ * change. Each frame composites them back, and repaints the moving bubbles, inside
+ * the regions that changed.
+ * Boundaries: Owns offscreen canvases only. No state mutation or data fetching.
+ */
+
+import { DIRTY_REGION_MAX_RECTS, DIRTY_REGION_FULL_FRACTION, DIRTY_REGION_MARGIN } from '../config/constants.js';
+
+/**
+ * Offscreen canvas of the given size in device pixels, or null where none can be made
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement|null}
+ */
+function createLayerCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document === 'undefined' || typeof document.createElement !== 'function') {
+        return null;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Whether two input lists hold the same values, compared by identity
+ * @param {Array|null} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+function sameInputs(a, b) {
+    if (!a || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Bounds of a bubble, including its outline, in CSS pixels
+ * @param {{x: number, y: number, r: number}} b
+ * @param {number} [margin]
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function getBubbleBounds(b, margin = DIRTY_REGION_MARGIN) {
+    const extent = Math.max(0, b.r) + margin;
+    return { x: b.x - extent, y: b.y - extent, w: extent * 2, h: extent * 2 };
+}
+
+/**
+ * @param {{x: number, y: number, w: number, h: number}} a
+ * @param {{x: number, y: number, w: number, h: number}} b
+ * @returns {boolean}
+ */
+function rectsIntersect(a, b) {
+    return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+/**
+ * @param {{x: number, y: number, w: number, h: number}} a
+ * @param {{x: number, y: number, w: number, h: number}} b
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function unionRect(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+/**
+ * The parts of the canvas that must be repainted this frame, kept as a short list of
+ * non-overlapping rectangles. Overlapping rectangles are merged as they are added.
+ */
+class DirtyRegion {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRects] - Above this, the rectangles collapse into their bounding box
+     */
+    constructor({ maxRects = DIRTY_REGION_MAX_RECTS } = {}) {
+        this.maxRects = maxRects;
+        this.rects = [];
+        this.full = false;
+    }
+
+    clear() {
+        this.rects = [];
+        this.full = false;
+    }
+
+    markFull() {
+        this.full = true;
+        this.rects = [];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return !this.full && this.rects.length === 0;
+    }
+
+    /**
+     * Add a rectangle, in CSS pixels
+     * @param {{x: number, y: number, w: number, h: number}} rect
+     */
+    add(rect) {
+        if (this.full || rect.w <= 0 || rect.h <= 0) return;
+        let merged = rect;
+        // A merge can make the rectangle reach others, so keep going until nothing overlaps
+        for (let i = 0; i < this.rects.length; i++) {
+            if (rectsIntersect(merged, this.rects[i])) {
+                merged = unionRect(merged, this.rects[i]);
+                this.rects.splice(i, 1);
+                i = -1;
+            }
+        }
+        this.rects.push(merged);
+        if (this.rects.length > this.maxRects) {
+            this.rects = [this.rects.reduce(unionRect)];
+        }
+    }
+
+    /**
+     * Clamp the rectangles to the canvas and snap them to whole device pixels, so layers
+     * copy back without seams. Becomes full when they cover most of the canvas.
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     * @param {number} pixelRatio
+     * @param {number} [fullFraction]
+     */
+    finalize(width, height, pixelRatio, fullFraction = DIRTY_REGION_FULL_FRACTION) {
+        if (this.full) return;
+        let area = 0;
+        const rects = [];
+        for (const rect of this.rects) {
+            const x0 = Math.max(0, Math.floor(rect.x * pixelRatio) / pixelRatio);
+            const y0 = Math.max(0, Math.floor(rect.y * pixelRatio) / pixelRatio);
+            const x1 = Math.min(width, Math.ceil((rect.x + rect.w) * pixelRatio) / pixelRatio);
+            const y1 = Math.min(height, Math.ceil((rect.y + rect.h) * pixelRatio) / pixelRatio);
+            if (x1 <= x0 || y1 <= y0) continue;
+            rects.push({ x: x0, y: y0, w: x1 - x0, h: y1 - y0 });
+            area += (x1 - x0) * (y1 - y0);
+        }
+        this.rects = rects;
+        if (area >= width * height * fullFraction) this.markFull();
+    }
+}
+
+/**
+ * The chart's render layers: a background layer (plot area, grid and axes), a layer of
+ * bubbles at rest, and the animated bubbles, which are drawn straight onto the chart
+ * canvas each frame. The visible canvas is only repainted inside the dirty region.
+ */
+class ChartLayers {
+    /**
+     * @param {Object} [options]
+     * @param {function(number, number): (OffscreenCanvas|HTMLCanvasElement|null)} [options.createCanvas]
+     */
+    constructor({ createCanvas = createLayerCanvas } = {}) {
+        this.createCanvas = createCanvas;
+        this.background = null;
+        this.staticBubbles = null;
+        this.backgroundInputs = null;
+        this.staticInputs = null;
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.target = null;
+        this.dirty = new DirtyRegion();
+        // Bounds each animated bubble was last painted at, so its old position is repainted too
+        this.paintedBounds = new Map();
+        this.animated = new Set();
+    }
+
+    /**
+     * Size the layers for the chart, recreating them when the size changes
+     * @param {CanvasRenderingContext2D} target - Context of the visible canvas
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     * @param {number} pixelRatio
+     * @returns {boolean} False when offscreen canvases are unavailable and the chart must be drawn directly
+     */
+    resize(target, width, height, pixelRatio) {
+        if (target === this.target && width === this.width && height === this.height && pixelRatio === this.pixelRatio && this.background) {
+            return true;
+        }
+        const deviceWidth = Math.max(1, Math.round(width * pixelRatio));
+        const deviceHeight = Math.max(1, Math.round(height * pixelRatio));
+        this.background = this.createCanvas(deviceWidth, deviceHeight);
+        this.staticBubbles = this.background && this.createCanvas(deviceWidth, deviceHeight);
+        this.target = target;
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.invalidate();
+        return !!this.staticBubbles;
+    }
+
+    /**
+     * Forget what the layers and the visible canvas hold, so the next frame repaints everything.
+     * Call after anything else draws on, clears or resizes the chart canvas.
+     */
+    invalidate() {
+        this.backgroundInputs = null;
+        this.staticInputs = null;
+        this.paintedBounds.clear();
+        this.animated = new Set();
+        this.dirty.markFull();
+    }
+
+    /**
+     * Re-render a layer if its inputs changed since it was last rendered
+     * @param {OffscreenCanvas|HTMLCanvasElement} layer
+     * @param {Array|null} previousInputs
+     * @param {Array} inputs
+     * @param {function(CanvasRenderingContext2D): void} render - Draws in CSS pixels
+     * @returns {boolean} Whether the layer was re-rendered
+     */
+    renderLayer(layer, previousInputs, inputs, render) {
+        if (sameInputs(previousInputs, inputs)) return false;
+        const ctx = layer.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, layer.width, layer.height);
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        render(ctx);
+        this.dirty.markFull();
+        return true;
+    }
+
+    /**
+     * Render the background layer when the chart size or domain changed
+     * @param {Array} inputs - Everything the background depends on
+     * @param {function(CanvasRenderingContext2D): void} render
+     */
+    updateBackground(inputs, render) {
+        if (this.renderLayer(this.background, this.backgroundInputs, inputs, render)) {
+            this.backgroundInputs = inputs;
+        }
+    }
+
+    /**
+     * Render the bubbles at rest when they, or the set of animated bubbles, changed
+     * @param {Array} inputs - Everything the resting bubbles depend on
+     * @param {Set<Object>} animated - Bubbles left out of the layer and drawn every frame
+     * @param {function(CanvasRenderingContext2D): void} render
+     */
+    updateStaticBubbles(inputs, animated, render) {
+        const sameAnimated = animated.size === this.animated.size && [...animated].every(b => this.animated.has(b));
+        if (!sameAnimated) this.staticInputs = null;
+        if (this.renderLayer(this.staticBubbles, this.staticInputs, inputs, render)) {
+            this.staticInputs = inputs;
+        }
+        this.animated = animated;
+    }
+
+    /**
+     * Mark where the animated bubbles were last painted and where they are now
+     */
+    trackAnimated() {
+        const painted = new Map();
+        for (const b of this.animated) {
+            const previous = this.paintedBounds.get(b);
+            if (previous) this.dirty.add(previous);
+            const bounds = getBubbleBounds(b);
+            this.dirty.add(bounds);
+            painted.set(b, bounds);
+        }
+        // Bubbles that stopped animating are in the static layer now, which already marked everything dirty
+        this.paintedBounds = painted;
+    }
+
+    /**
+     * Repaint the dirty region of the visible canvas from the layers, then draw the
+     * animated bubbles that fall inside it
+     * @param {Array<Object>} animatedInOrder - The animated bubbles, in drawing order
+     * @param {function(CanvasRenderingContext2D, Object): void} drawAnimated
+     */
+    composite(animatedInOrder, drawAnimated) {
+        const ctx = this.target;
+        this.trackAnimated();
+        this.dirty.finalize(this.width, this.height, this.pixelRatio);
+        if (this.dirty.isEmpty()) return;
+        const rects = this.dirty.full ? [{ x: 0, y: 0, w: this.width, h: this.height }] : this.dirty.rects;
+        const pr = this.pixelRatio;
+
+        ctx.save();
+        ctx.beginPath();
+        for (const { x, y, w, h } of rects) {
+            ctx.clearRect(x, y, w, h);
+            ctx.drawImage(this.background, x * pr, y * pr, w * pr, h * pr, x, y, w, h);
+            ctx.drawImage(this.staticBubbles, x * pr, y * pr, w * pr, h * pr, x, y, w, h);
+            ctx.rect(x, y, w, h);
+        }
+        ctx.clip();
+        for (const b of animatedInOrder) {
+            const bounds = this.paintedBounds.get(b) || getBubbleBounds(b);
+            if (this.dirty.full || rects.some(rect => rectsIntersect(rect, bounds))) {
+                drawAnimated(ctx, b);
+            }
+        }
+        ctx.restore();
+        this.dirty.clear();
+    }
+}
+
+export { ChartLayers, DirtyRegion, getBubbleBounds, createLayerCanvas };
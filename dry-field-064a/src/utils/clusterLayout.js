@@ -1,13 +1,15 @@
 /**
  * Purpose: Utilities for calculating and animating cluster layouts in the chart.
  * Boundaries: Pure functions only. No state mutation or DOM manipulation.
+ * A cluster's bubbles are read and written in its store's columns, at its `indices`.
  */
 
 /**
  * ClusterLayout Module - Handles D3-based circle packing for expanding clusters
  */
 
-import { DEFAULT_BUBBLE_OPACITY, EXPANDED_BUBBLE_OPACITY, DEFAULT_STROKE_OPACITY, EXPANDED_STROKE_OPACITY } from '../config/constants.js';
+import { EXPANDED_BUBBLE_OPACITY, EXPANDED_STROKE_OPACITY } from '../config/constants.js';
+import { packCircles } from '../data/bubbleLayout.js';
 
 /**
  * Pack a cluster's bubbles using d3.packSiblings algorithm
@@ -19,61 +21,95 @@ import { DEFAULT_BUBBLE_OPACITY, EXPANDED_BUBBLE_OPACITY, DEFAULT_STROKE_OPACITY
  * @param {number} CHART_HEIGHT - Chart height
  */
 function packClusterBubbles(cluster, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT) {
-    // d3.packSiblings expects an array of objects with x, y, r
-    // We'll use the current radii, and pack around (0,0)
-    const packed = cluster.bubbles.map(b => ({...b, x: 0, y: 0, r: b.r}));
-    d3.packSiblings(packed);
-    
-    // Compute centroid of the cluster's current positions
-    let sumX = 0, sumY = 0;
-    for (const b of cluster.bubbles) {
-        sumX += b.x;
-        sumY += b.y;
-    }
-    const centroidX = sumX / cluster.bubbles.length;
-    const centroidY = sumY / cluster.bubbles.length;
-    
-    // Compute bounding box of packed cluster
-    const minX = Math.min(...packed.map(b => b.x - b.r));
-    const maxX = Math.max(...packed.map(b => b.x + b.r));
-    const minY = Math.min(...packed.map(b => b.y - b.r));
-    const maxY = Math.max(...packed.map(b => b.y + b.r));
-    const packedCenterX = (minX + maxX) / 2;
-    const packedCenterY = (minY + maxY) / 2;
-    
-    // Offset packed positions to center at the cluster's centroid
-    for (let i = 0; i < cluster.bubbles.length; i++) {
-        cluster.bubbles[i].packedX = centroidX + (packed[i].x - packedCenterX);
-        cluster.bubbles[i].packedY = centroidY + (packed[i].y - packedCenterY);
+    const { x, y, r } = gatherClusterColumns(cluster);
+    const { packedX, packedY } = packCircles(
+        x, y, r,
+        getPackingBounds(CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT),
+        d3.packSiblings
+    );
+    scatterPackedPositions(cluster.store, cluster.indices, packedX, packedY);
+}
+
+/**
+ * Copy the positions and radii of a cluster's bubbles out of its store, in member order
+ * @param {{store: Object, indices: Int32Array}} cluster
+ * @returns {{x: Float64Array, y: Float64Array, r: Float64Array}}
+ */
+function gatherClusterColumns({ store, indices }) {
+    const x = new Float64Array(indices.length);
+    const y = new Float64Array(indices.length);
+    const r = new Float64Array(indices.length);
+    for (let m = 0; m < indices.length; m++) {
+        x[m] = store.x[indices[m]];
+        y[m] = store.y[indices[m]];
+        r[m] = store.r[indices[m]];
     }
-    
-    // --- Post-packing boundary correction (no scaling) ---
-    // Calculate min/max after centering
-    let shiftX = 0, shiftY = 0;
-    const leftBound = CHART_PADDING_X;
-    const rightBound = WIDTH - CHART_PADDING_X;
-    const topBound = CHART_PADDING_TOP;
-    const bottomBound = CHART_HEIGHT;
-    
-    // Find how much we need to shift to keep all bubbles inside bounds
-    let minBubbleX = Infinity, maxBubbleX = -Infinity, minBubbleY = Infinity, maxBubbleY = -Infinity;
-    for (const b of cluster.bubbles) {
-        minBubbleX = Math.min(minBubbleX, b.packedX - b.r);
-        maxBubbleX = Math.max(maxBubbleX, b.packedX + b.r);
-        minBubbleY = Math.min(minBubbleY, b.packedY - b.r);
-        maxBubbleY = Math.max(maxBubbleY, b.packedY + b.r);
+    return { x, y, r };
+}
+
+/**
+ * @param {Object} store
+ * @param {Int32Array} indices
+ * @param {ArrayLike<number>} packedX - In member order
+ * @param {ArrayLike<number>} packedY
+ */
+function scatterPackedPositions(store, indices, packedX, packedY) {
+    for (let m = 0; m < indices.length; m++) {
+        store.packedX[indices[m]] = packedX[m];
+        store.packedY[indices[m]] = packedY[m];
     }
-    
-    if (minBubbleX < leftBound) shiftX = leftBound - minBubbleX;
-    if (maxBubbleX > rightBound) shiftX = rightBound - maxBubbleX;
-    if (minBubbleY < topBound) shiftY = topBound - minBubbleY;
-    if (maxBubbleY > bottomBound) shiftY = bottomBound - maxBubbleY;
-    
-    // Apply the shift to all packed bubbles
-    for (const b of cluster.bubbles) {
-        b.packedX += shiftX;
-        b.packedY += shiftY;
+}
+
+/**
+ * @param {number} CHART_PADDING_X
+ * @param {number} WIDTH
+ * @param {number} CHART_PADDING_TOP
+ * @param {number} CHART_HEIGHT
+ * @returns {{left: number, right: number, top: number, bottom: number}}
+ */
+function getPackingBounds(CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT) {
+    return { left: CHART_PADDING_X, right: WIDTH - CHART_PADDING_X, top: CHART_PADDING_TOP, bottom: CHART_HEIGHT };
+}
+
+/**
+ * Pack a cluster on the compute pipeline, off the main thread. Call on every frame of
+ * an expanding cluster; it starts the job once and reports when packed positions are
+ * in. The job is tracked in an object shared by the copies interaction handlers make
+ * of the cluster, so whichever copy is current picks up the result.
+ * @param {Object} cluster
+ * @param {import('../data/computePipeline.js').ComputePipeline} pipeline
+ * @param {number} CHART_PADDING_X
+ * @param {number} WIDTH
+ * @param {number} CHART_PADDING_TOP
+ * @param {number} CHART_HEIGHT
+ * @returns {boolean} Whether the bubbles have packed positions to animate to
+ */
+function requestClusterPacking(cluster, pipeline, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT) {
+    if (cluster.packedInitialized) return true;
+    const packing = cluster.packing;
+    if (packing && packing.bubbles === cluster.bubbles) {
+        if (!packing.done) return false;
+        cluster.packing = null;
+        cluster.packedInitialized = true;
+        return true;
     }
+
+    const job = { bubbles: cluster.bubbles, done: false };
+    const { store, indices } = cluster;
+    cluster.packing = job;
+    const { x, y, r } = gatherClusterColumns(cluster);
+    pipeline.pack(x, y, r, getPackingBounds(CHART_PADDING_X, WIDTH, CHART_PADDING_TOP, CHART_HEIGHT)).then(({ packedX, packedY }) => {
+        scatterPackedPositions(store, indices, packedX, packedY);
+        job.done = true;
+    }, (error) => {
+        console.warn('[clusterLayout] Packing failed, expanding the cluster in place:', error);
+        for (const i of indices) {
+            store.packedX[i] = store.x[i];
+            store.packedY[i] = store.y[i];
+        }
+        job.done = true;
+    });
+    return false;
 }
 
 /**
@@ -83,22 +119,15 @@ function packClusterBubbles(cluster, CHART_PADDING_X, WIDTH, CHART_PADDING_TOP,
  * @param {number} t - Animation speed factor (0-1)
  */
 function animateClusterToPacked(cluster, t) {
-    for (const b of cluster.bubbles) {
+    const { x, y, packedX, packedY, opacity, strokeOpacity } = cluster.store;
+    for (const i of cluster.indices) {
         // Animate position with smooth easing
-        b.x += (b.packedX - b.x) * t;
-        b.y += (b.packedY - b.y) * t;
-        
-        // Animate fill opacity with the same smooth easing
-        if (b.opacity === undefined) {
-            b.opacity = DEFAULT_BUBBLE_OPACITY;
-        }
-        b.opacity += (EXPANDED_BUBBLE_OPACITY - b.opacity) * t;
+        x[i] += (packedX[i] - x[i]) * t;
+        y[i] += (packedY[i] - y[i]) * t;
 
-        // Animate stroke opacity with the same smooth easing
-        if (b.strokeOpacity === undefined) {
-            b.strokeOpacity = DEFAULT_STROKE_OPACITY;
-        }
-        b.strokeOpacity += (EXPANDED_STROKE_OPACITY - b.strokeOpacity) * t;
+        // Animate fill and stroke opacity with the same smooth easing
+        opacity[i] += (EXPANDED_BUBBLE_OPACITY - opacity[i]) * t;
+        strokeOpacity[i] += (EXPANDED_STROKE_OPACITY - strokeOpacity[i]) * t;
     }
 }
 
@@ -145,4 +174,4 @@ function updateClusterAnimation(cluster, CHART_PADDING_X, WIDTH, CHART_PADDING_T
     return updated;
 }
 
-export { packClusterBubbles, animateClusterToPacked, updateClusterAnimation };
+export { packClusterBubbles, requestClusterPacking, animateClusterToPacked, updateClusterAnimation };
@@ -0,0 +1,76 @@
+/**
+ * Purpose: The one hit test for the chart. Tooltips, hover states and cluster
+ * expansion all ask here which bubble, or cluster, is under a point.
+ * Boundaries: Reads state and keeps a private spatial index. No state mutation or DOM manipulation.
+ */
+
+import { getState } from '../state/state.js';
+import { getBubbleStore } from '../data/bubbleStore.js';
+import { BubbleGrid } from './spatialIndex.js';
+
+const grid = new BubbleGrid();
+// The allBubbles array the grid was built from, and the store it indexes; a new array means new bubbles
+let indexedBubbles = null;
+let indexedStore = null;
+let indexedClusters = null;
+// Position in state.clusters of the cluster each indexed slot belongs to, or -1
+let clusterOfSlot = new Int32Array(0);
+
+function syncIndex() {
+    const { allBubbles } = getState();
+    if (allBubbles !== indexedBubbles) {
+        // allBubbles are the first slots of their layout's store
+        indexedStore = getBubbleStore(allBubbles);
+        grid.rebuild(indexedStore || { x: [], y: [], r: [] }, indexedStore ? allBubbles.length : 0);
+        indexedBubbles = allBubbles;
+        indexedClusters = null;
+    }
+}
+
+/**
+ * The bubble under a point, or null
+ * @param {number} x - Chart x in CSS pixels
+ * @param {number} y - Chart y in CSS pixels
+ * @returns {Object|null}
+ */
+function hitTest(x, y) {
+    syncIndex();
+    const index = grid.query(x, y);
+    return index === -1 ? null : indexedBubbles[index];
+}
+
+/**
+ * Id of the cluster whose bubble is under a point, or null over a standalone bubble or empty space
+ * @param {number} x
+ * @param {number} y
+ * @returns {string|null}
+ */
+function getHitClusterId(x, y) {
+    syncIndex();
+    const index = grid.query(x, y);
+    if (index === -1) return null;
+    const { clusters } = getState();
+    if (clusters !== indexedClusters) {
+        clusterOfSlot = new Int32Array(indexedBubbles.length).fill(-1);
+        clusters.forEach((cluster, k) => {
+            if (cluster.store !== indexedStore) return;
+            for (const i of cluster.indices) clusterOfSlot[i] = k;
+        });
+        indexedClusters = clusters;
+    }
+    const k = clusterOfSlot[index];
+    return k === -1 ? null : clusters[k].id;
+}
+
+/**
+ * Tell the index that bubbles moved, e.g. after a physics or transition step
+ * @param {import('../data/bubbleStore.js').BubbleStore} store - Store the bubbles live in
+ * @param {Iterable<number>} [indices] - Their slots; all of the store's indexed slots when left out
+ */
+function markBubblesMoved(store, indices) {
+    if (!store || store !== indexedStore) return;
+    if (indices) grid.update(indices);
+    else grid.updateAll();
+}
+
+export { hitTest, getHitClusterId, markBubblesMoved };
@@ -0,0 +1,171 @@
+/**
+ * Purpose: Cache of circular-clipped bubble images, rendered once per image and size
+ * and reused by every frame instead of clipping full-size images each time.
+ * Boundaries: Creates offscreen canvases only. No state mutation or data fetching.
+ */
+
+import { IMAGE_SPRITE_SIZE_STEP, IMAGE_SPRITE_CACHE_LIMIT, IMAGE_SPRITES_PER_FRAME } from '../config/constants.js';
+import { drawPlaceholder, getPlaceholderKey } from './placeholders.js';
+
+/**
+ * Offscreen canvas of the given size, for rendering sprites
+ * @param {number} size
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function createSpriteCanvas(size) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(size, size);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+}
+
+/**
+ * Sprite diameter, in device pixels, used for a bubble of radius `r`. Rounding up to a
+ * step lets bubbles of similar size, and a bubble as it animates, share one sprite.
+ * @param {number} r - Radius in CSS pixels
+ * @param {number} pixelRatio
+ * @returns {number}
+ */
+function getSpriteSize(r, pixelRatio = 1) {
+    const diameter = Math.max(1, Math.ceil(2 * r * pixelRatio));
+    return Math.ceil(diameter / IMAGE_SPRITE_SIZE_STEP) * IMAGE_SPRITE_SIZE_STEP;
+}
+
+class ImageSpriteCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Sprites kept before the least recently drawn is evicted
+     * @param {number} [options.perFrame] - New sprites rendered per frame
+     * @param {function(number): (OffscreenCanvas|HTMLCanvasElement)} [options.createCanvas]
+     */
+    constructor({ limit = IMAGE_SPRITE_CACHE_LIMIT, perFrame = IMAGE_SPRITES_PER_FRAME, createCanvas = createSpriteCanvas } = {}) {
+        this.limit = limit;
+        this.perFrame = perFrame;
+        this.createCanvas = createCanvas;
+        // Keyed by image (or placeholder key), then size; Map order doubles as least-recently-drawn order
+        this.sprites = new Map();
+        this.count = 0;
+        this.generation = null;
+        this.createdThisFrame = 0;
+    }
+
+    /**
+     * Start a frame. Entries from another load generation (a previous wallet) are dropped.
+     * @param {number} generation - The state's imageLoadGeneration
+     */
+    beginFrame(generation) {
+        if (generation !== this.generation) {
+            this.clear();
+            this.generation = generation;
+        }
+        this.createdThisFrame = 0;
+    }
+
+    clear() {
+        this.sprites.clear();
+        this.count = 0;
+    }
+
+    /**
+     * The circular sprite of an image at a bubble's size, rendering it on first use
+     * @param {HTMLImageElement} img - A loaded image
+     * @param {number} r - Bubble radius in CSS pixels
+     * @param {number} [pixelRatio]
+     * @returns {OffscreenCanvas|HTMLCanvasElement|null} Null when this frame's budget for new sprites is spent
+     */
+    get(img, r, pixelRatio = 1) {
+        return this.lookup(img, getSpriteSize(r, pixelRatio), size => this.render(img, size));
+    }
+
+    /**
+     * The circular sprite of a generated placeholder. Placeholders are cheap to draw,
+     * so they are always rendered, regardless of the frame budget.
+     * @param {{seed: string|null, label: string}} placeholder
+     * @param {number} r - Bubble radius in CSS pixels
+     * @param {number} [pixelRatio]
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    getPlaceholder(placeholder, r, pixelRatio = 1) {
+        return this.lookup(getPlaceholderKey(placeholder), getSpriteSize(r, pixelRatio),
+            size => this.renderCircle(size, ctx => drawPlaceholder(ctx, size, placeholder)), true);
+    }
+
+    /**
+     * @param {*} key
+     * @param {number} size
+     * @param {function(number): (OffscreenCanvas|HTMLCanvasElement)} render
+     * @param {boolean} [ignoreBudget]
+     * @returns {OffscreenCanvas|HTMLCanvasElement|null}
+     */
+    lookup(key, size, render, ignoreBudget = false) {
+        let bySize = this.sprites.get(key);
+        const cached = bySize && bySize.get(size);
+        if (cached) {
+            // Mark as recently drawn
+            this.sprites.delete(key);
+            this.sprites.set(key, bySize);
+            return cached;
+        }
+        if (!ignoreBudget) {
+            if (this.createdThisFrame >= this.perFrame) return null;
+            this.createdThisFrame++;
+        }
+
+        const sprite = render(size);
+        if (!bySize) {
+            bySize = new Map();
+            this.sprites.set(key, bySize);
+        }
+        bySize.set(size, sprite);
+        this.count++;
+        this.evict();
+        return sprite;
+    }
+
+    /**
+     * New sprite with `paint` clipped to a circle
+     * @param {number} size
+     * @param {function(CanvasRenderingContext2D): void} paint
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    renderCircle(size, paint) {
+        const sprite = this.createCanvas(size);
+        const ctx = sprite.getContext('2d');
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.clip();
+        paint(ctx);
+        return sprite;
+    }
+
+    /**
+     * Draw the centre square of an image, clipped to a circle, into a new sprite
+     * @param {HTMLImageElement} img
+     * @param {number} size
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    render(img, size) {
+        const side = Math.min(img.naturalWidth, img.naturalHeight);
+        return this.renderCircle(size, (ctx) => {
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side, 0, 0, size, size);
+        });
+    }
+
+    /**
+     * Drop the least recently drawn entries until the cache is within its limit
+     */
+    evict() {
+        for (const [key, bySize] of this.sprites) {
+            if (this.count <= this.limit) return;
+            this.sprites.delete(key);
+            this.count -= bySize.size;
+        }
+    }
+}
+
+export { ImageSpriteCache, getSpriteSize };
@@ -1,6 +1,7 @@
 /**
  * Purpose: Physics utilities for bubble movement and cluster interactions.
  * Boundaries: Pure functions only. No state mutation or DOM manipulation.
+ * A cluster's bubbles are read and written in its store's columns, at its `indices`.
  */
 import {
   BASE_REPULSION, REPULSION_POWER, REPULSION_CLUSTER_CAP, OUTWARD_FORCE, OUTWARD_FORCE_DIVISOR,
@@ -9,60 +10,64 @@ import {
   BASE_DAMPING, EXTRA_DAMPING, DAMPING_CLUSTER_THRESHOLD, DEFAULT_BUBBLE_OPACITY, EXPANDED_BUBBLE_OPACITY,
   DEFAULT_STROKE_OPACITY, EXPANDED_STROKE_OPACITY
 } from '../config/constants.js';
-import { getBubbleOverlap } from '../data/bubbleUtils.js';
+import { FLAG_BITS } from '../data/bubbleStore.js';
 
 // --- Physics Functions ---
 /**
- * @param {Object} cluster
+ * @param {{store: Object, indices: Int32Array, size: number}} cluster
  */
 function applySpringForces(cluster) {
-    const bubbles = cluster.bubbles;
+    const { store, indices } = cluster;
+    const { x, y, r, vx, vy } = store;
+    const count = indices.length;
     const clusterSize = cluster.size;
     // Calculate overlap counts for each bubble
-    const overlapCounts = new Map();
-    for (let i = 0; i < bubbles.length; i++) {
-        let overlaps = 0;
-        for (let j = 0; j < bubbles.length; j++) {
-            if (i !== j && getBubbleOverlap(bubbles[i], bubbles[j]) > 0.1 * (bubbles[i].r + bubbles[j].r)) {
-                overlaps++;
+    const overlapCounts = new Int32Array(count);
+    for (let a = 0; a < count; a++) {
+        const i = indices[a];
+        for (let b = 0; b < count; b++) {
+            const j = indices[b];
+            if (a !== b && (r[i] + r[j]) - Math.hypot(x[i] - x[j], y[i] - y[j]) > 0.1 * (r[i] + r[j])) {
+                overlapCounts[a]++;
             }
         }
-        overlapCounts.set(bubbles[i], overlaps);
     }
     // --- Always apply spring/attraction force to all pairs ---
-    for (let i = 0; i < bubbles.length; i++) {
-        for (let j = i + 1; j < bubbles.length; j++) {
-            const ci = bubbles[i];
-            const cj = bubbles[j];
-            const dx = cj.x - ci.x;
-            const dy = cj.y - ci.y;
+    const clusterScale = 1 + (clusterSize / CLUSTER_SCALE_DIVISOR);
+    for (let a = 0; a < count; a++) {
+        const i = indices[a];
+        for (let b = a + 1; b < count; b++) {
+            const j = indices[b];
+            const dx = x[j] - x[i];
+            const dy = y[j] - y[i];
             const dist = Math.hypot(dx, dy) || 1e-6;
-            const idealDist = ci.r + cj.r;
+            const idealDist = r[i] + r[j];
             const displacement = dist - idealDist;
-            const overlapScale = 1 + (overlapCounts.get(ci) + overlapCounts.get(cj)) * OVERLAP_SCALE;
-            const clusterScale = 1 + (clusterSize / CLUSTER_SCALE_DIVISOR);
+            const overlapScale = 1 + (overlapCounts[a] + overlapCounts[b]) * OVERLAP_SCALE;
             const springVariation = 1 + (Math.random() - 0.5) * 0.1;
             let force = SPRING_CONSTANT * displacement * overlapScale * clusterScale * springVariation;
             // Only boost force for overlapping pairs
-            if (displacement < 0 && getBubbleOverlap(ci, cj) > 0.1 * (ci.r + cj.r)) {
+            if (displacement < 0 && idealDist - dist > 0.1 * idealDist) {
                 force *= OVERLAP_FORCE_MULTIPLIER;
             }
             const nx = dx / dist;
             const ny = dy / dist;
-            ci.vx += nx * force;
-            ci.vy += ny * force;
-            cj.vx -= nx * force;
-            cj.vy -= ny * force;
+            vx[i] += nx * force;
+            vy[i] += ny * force;
+            vx[j] -= nx * force;
+            vy[j] -= ny * force;
         }
     }
     // --- Repulsion force removed: replaced by constraint-based collision resolution in updateCluster ---
 }
 
 /**
- * @param {Object} cluster
+ * @param {{store: Object, indices: Int32Array, size: number}} cluster
  */
 function updateCluster(cluster) {
-    const bubbles = cluster.bubbles;
+    const { store, indices } = cluster;
+    const { x, y, r, vx, vy } = store;
+    const count = indices.length;
     // Adaptive damping: increase for large clusters
     const clusterSize = cluster.size;
     let damping = BASE_DAMPING;
@@ -70,94 +75,89 @@ function updateCluster(cluster) {
         const t = Math.min((clusterSize - DAMPING_CLUSTER_THRESHOLD) / DAMPING_CLUSTER_THRESHOLD, 1);
         damping += t * EXTRA_DAMPING;
     }
-    for (const c of bubbles) {
-        c.x += c.vx;
-        c.y += c.vy;
-        c.vx *= damping;
-        c.vy *= damping;
+    for (const i of indices) {
+        x[i] += vx[i];
+        y[i] += vy[i];
+        vx[i] *= damping;
+        vy[i] *= damping;
     }
     // --- Constraint-based collision resolution: move overlapping bubbles apart ---
-    for (let i = 0; i < bubbles.length; i++) {
-        for (let j = i + 1; j < bubbles.length; j++) {
-            const bi = bubbles[i];
-            const bj = bubbles[j];
-            const dx = bj.x - bi.x;
-            const dy = bj.y - bi.y;
+    for (let a = 0; a < count; a++) {
+        const i = indices[a];
+        for (let b = a + 1; b < count; b++) {
+            const j = indices[b];
+            const dx = x[j] - x[i];
+            const dy = y[j] - y[i];
             const dist = Math.hypot(dx, dy) || 1e-6;
-            const minDist = bi.r + bj.r;
+            const minDist = r[i] + r[j];
             if (dist < minDist) {
                 const overlap = minDist - dist;
                 const nx = dx / dist;
                 const ny = dy / dist;
                 // Move each bubble away from the other by half the overlap
-                bi.x -= nx * overlap / 2;
-                bi.y -= ny * overlap / 2;
-                bj.x += nx * overlap / 2;
-                bj.y += ny * overlap / 2;
+                x[i] -= nx * overlap / 2;
+                y[i] -= ny * overlap / 2;
+                x[j] += nx * overlap / 2;
+                y[j] += ny * overlap / 2;
             }
         }
     }
 }
 
 /**
- * @param {Object} cluster
+ * @param {{store: Object, indices: Int32Array, size: number}} cluster
  * @param {number} WIDTH
  * @param {number} HEIGHT
  */
 function applyOutwardForce(cluster, WIDTH, HEIGHT) {
+    const { x, y, vx, vy } = cluster.store;
     const centerX = WIDTH / 2;
     const centerY = HEIGHT / 2;
     const clusterSize = cluster.size;
     const cappedClusterSize = Math.min(clusterSize, OUTWARD_CLUSTER_CAP);
     const outwardForce = OUTWARD_FORCE * (1 + Math.pow(cappedClusterSize, OUTWARD_FORCE_POWER) / OUTWARD_FORCE_DIVISOR);
-    for (const c of cluster.bubbles) {
-        const dx = c.x - centerX;
-        const dy = c.y - centerY;
+    for (const i of cluster.indices) {
+        const dx = x[i] - centerX;
+        const dy = y[i] - centerY;
         const dist = Math.hypot(dx, dy) || 1e-6;
-        c.vx += (dx / dist) * outwardForce;
-        c.vy += (dy / dist) * outwardForce;
+        vx[i] += (dx / dist) * outwardForce;
+        vy[i] += (dy / dist) * outwardForce;
     }
 }
 
 /**
- * @param {Object} cluster
+ * @param {{store: Object, indices: Int32Array, size: number}} cluster
  */
 function revertClusterSmoothly(cluster) {
+    const { store, indices } = cluster;
+    const { x, y, vx, vy, initialX, initialY, opacity, strokeOpacity, flags } = store;
     let allClose = true;
-    for (const b of cluster.bubbles) {
-        b.x += (b.initialX - b.x) * REVERT_SPEED * 1.5;
-        b.y += (b.initialY - b.y) * REVERT_SPEED * 1.5;
-        
-        // Animate fill opacity back to default
-        if (b.opacity !== undefined) {
-            b.opacity += (DEFAULT_BUBBLE_OPACITY - b.opacity) * REVERT_SPEED * 1.5;
-        }
+    for (const i of indices) {
+        x[i] += (initialX[i] - x[i]) * REVERT_SPEED * 1.5;
+        y[i] += (initialY[i] - y[i]) * REVERT_SPEED * 1.5;
 
-        // Animate stroke opacity back to default
-        if (b.strokeOpacity !== undefined) {
-            b.strokeOpacity += (DEFAULT_STROKE_OPACITY - b.strokeOpacity) * REVERT_SPEED * 1.5;
-        }
+        // Animate fill and stroke opacity back to default
+        opacity[i] += (DEFAULT_BUBBLE_OPACITY - opacity[i]) * REVERT_SPEED * 1.5;
+        strokeOpacity[i] += (DEFAULT_STROKE_OPACITY - strokeOpacity[i]) * REVERT_SPEED * 1.5;
 
-        const dx = b.x - b.initialX;
-        const dy = b.y - b.initialY;
-        if (Math.abs(dx) > 0.5 || Math.abs(dy) > 0.5) {
+        if (Math.abs(x[i] - initialX[i]) > 0.5 || Math.abs(y[i] - initialY[i]) > 0.5) {
             allClose = false;
         }
     }
 
     if (allClose) {
-        for (const b of cluster.bubbles) {
-            b.x = b.initialX;
-            b.y = b.initialY;
-            b.vx = 0;
-            b.vy = 0;
-            b.showTooltip = false;
-            b.opacity = DEFAULT_BUBBLE_OPACITY; // Reset fill opacity to default
-            b.strokeOpacity = DEFAULT_STROKE_OPACITY; // Reset stroke opacity to default
+        for (const i of indices) {
+            x[i] = initialX[i];
+            y[i] = initialY[i];
+            vx[i] = 0;
+            vy[i] = 0;
+            flags[i] &= ~FLAG_BITS.showTooltip;
+            opacity[i] = DEFAULT_BUBBLE_OPACITY; // Reset fill opacity to default
+            strokeOpacity[i] = DEFAULT_STROKE_OPACITY; // Reset stroke opacity to default
         }
         cluster.state = "idle";
         cluster.frameCount = 0;
     }
 }
 
-export { applySpringForces, updateCluster, applyOutwardForce, revertClusterSmoothly }; 
\ No newline at end of file
+export { applySpringForces, updateCluster, applyOutwardForce, revertClusterSmoothly };
@@ -0,0 +1,83 @@
+/**
+ * Purpose: Deterministic stand-in images for bubbles whose image URLs all failed:
+ * an identicon seeded by the token, or the collection initials.
+ * Boundaries: Draws into a given canvas context only. No state mutation or data fetching.
+ */
+
+import { seededRandom } from '../data/bubbleUtils.js';
+
+const IDENTICON_CELLS = 5;
+const PLACEHOLDER_BACKGROUND = '#2E2850';
+
+/**
+ * Colour derived from a key, so the same token or collection always looks the same
+ * @param {string} key
+ * @returns {string}
+ */
+function getPlaceholderColor(key) {
+    return `hsl(${Math.floor(seededRandom(key) * 360)}, 55%, 62%)`;
+}
+
+/**
+ * Mirrored 5x5 identicon filling a size x size square
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} size
+ * @param {string} seed - e.g. `nftAddress:nftId`
+ */
+function drawIdenticon(ctx, size, seed) {
+    ctx.fillStyle = PLACEHOLDER_BACKGROUND;
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = getPlaceholderColor(seed);
+    // Inset so the pattern survives the circular clip
+    const inset = size * 0.15;
+    const cell = (size - 2 * inset) / IDENTICON_CELLS;
+    const half = Math.ceil(IDENTICON_CELLS / 2);
+    for (let row = 0; row < IDENTICON_CELLS; row++) {
+        for (let col = 0; col < half; col++) {
+            if (seededRandom(seed, 1 + row * half + col) < 0.5) continue;
+            ctx.fillRect(inset + col * cell, inset + row * cell, cell, cell);
+            ctx.fillRect(inset + (IDENTICON_CELLS - 1 - col) * cell, inset + row * cell, cell, cell);
+        }
+    }
+}
+
+/**
+ * Collection initials on a colour derived from them
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} size
+ * @param {string} label
+ */
+function drawInitials(ctx, size, label) {
+    ctx.fillStyle = getPlaceholderColor(label);
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = PLACEHOLDER_BACKGROUND;
+    ctx.font = `bold ${Math.round(size * (label.length > 1 ? 0.38 : 0.5))}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, size / 2, size / 2);
+}
+
+/**
+ * Draw a bubble's placeholder into a size x size square
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} size
+ * @param {{seed: string|null, label: string}} placeholder
+ */
+function drawPlaceholder(ctx, size, { seed, label }) {
+    if (seed) {
+        drawIdenticon(ctx, size, seed);
+    } else {
+        drawInitials(ctx, size, label || '?');
+    }
+}
+
+/**
+ * Cache key of a placeholder; bubbles of the same token or collection share one
+ * @param {{seed: string|null, label: string}} placeholder
+ * @returns {string}
+ */
+function getPlaceholderKey({ seed, label }) {
+    return seed ? `identicon:${seed}` : `initials:${label || '?'}`;
+}
+
+export { drawPlaceholder, getPlaceholderKey, getPlaceholderColor };
@@ -20,7 +20,27 @@
  */
 
 import { state } from '../state/state.js';
-import { DEFAULT_BUBBLE_OPACITY, EXPANDED_BUBBLE_OPACITY, DEFAULT_STROKE_OPACITY, EXPANDED_STROKE_OPACITY } from '../config/constants.js';
+import {
+    DEFAULT_BUBBLE_OPACITY, EXPANDED_BUBBLE_OPACITY, DEFAULT_STROKE_OPACITY, EXPANDED_STROKE_OPACITY,
+    WALLETS, WALLET_STROKE_STYLES, WALLET_STROKE_OPACITY, RING_STROKE_OPACITY, RING_STROKE_WIDTH,
+    CLIP_MARKER_SIZE, CLIP_MARKER_OPACITY
+} from '../config/constants.js';
+import { seededRandom } from '../data/bubbleUtils.js';
+import { X_ENCODINGS, Y_ENCODINGS, DEFAULT_ENCODING, resolveEncoding } from '../data/encodings.js';
+import { niceLinearTicks, niceTickStep } from '../data/scales.js';
+import { getYScale } from '../data/bubbleLayout.js';
+import { FLAG_BITS, getBubbleStore } from '../data/bubbleStore.js';
+import { THEMES, getTheme, getProtocolColor } from '../config/themes.js';
+import { ImageSpriteCache } from './imageSprites.js';
+import { hitTest } from './hitTest.js';
+import { ChartLayers } from './canvasLayers.js';
+
+// Circular bubble images, rendered once per image and size and shared by every frame
+const imageSprites = new ImageSpriteCache();
+// Cached background and resting-bubble layers of the chart canvas
+const layers = new ChartLayers();
+// Opacities are stored as 32-bit floats, so a bubble at rest is only within this of the default
+const OPACITY_EPSILON = 1e-6;
 
 /**
  * Purpose: Rendering utilities for drawing chart axes, bubbles, and grid lines.
@@ -103,34 +123,23 @@ function niceDateTicks(start, stop, count) {
 }
 
 /**
- * D3-inspired linear tick generator for APR
- * @param {number} min
- * @param {number} max
- * @param {number} maxCount
- * @returns {number[]}
+ * Outline style for a wallet. Known wallets follow their order in WALLETS; any other
+ * address gets a style picked from its hash so it stays the same between renders.
+ * @param {string} wallet - Lowercase wallet address
+ * @returns {{color: string, dash: number[], width: number}}
  */
-function niceLinearTicks(min, max, maxCount) {
-    // D3-like nice ticks for linear scale
-    const span = max - min;
-    if (span === 0) return [min];
-    const step = Math.pow(10, Math.floor(Math.log10(span / maxCount)));
-    const err = maxCount / (span / step);
-    let niceStep = step;
-    if (err <= 0.15) niceStep *= 10;
-    else if (err <= 0.35) niceStep *= 5;
-    else if (err <= 0.75) niceStep *= 2;
-    const niceMin = Math.floor(min / niceStep) * niceStep;
-    const niceMax = Math.ceil(max / niceStep) * niceStep;
-    const ticks = [];
-    for (let v = niceMin; v <= niceMax + 0.5 * niceStep; v += niceStep) {
-        ticks.push(Number(v.toFixed(6)));
-    }
-    return ticks;
+function getWalletStrokeStyle(wallet) {
+    const index = WALLETS.indexOf(wallet);
+    const slot = index >= 0 ? index : Math.floor(seededRandom(wallet) * WALLET_STROKE_STYLES.length);
+    return WALLET_STROKE_STYLES[slot % WALLET_STROKE_STYLES.length];
 }
 
 // --- Axis and Tick Constants ---
 const TICK_LENGTH = 5;
 const TICK_PADDING = 5;
+// Zigzag drawn along a plot edge that values beyond the y scale are pinned to
+const AXIS_BREAK_AMPLITUDE = 2;
+const AXIS_BREAK_PERIOD = 8;
 const DATE_TICK_COUNT = 12;
 
 /**
@@ -141,201 +150,494 @@ const DATE_TICK_COUNT = 12;
  * @param {number} CHART_HEIGHT
  * @param {number} CHART_PADDING_X
  * @param {number} CHART_PADDING_TOP
- * @param {Array} allBubbles
- * @param {Date|null} PADDED_MIN_DATE
- * @param {Date|null} PADDED_MAX_DATE
+ * @param {Array} allBubbles - Bubbles whose values the y axis is made from, state.axisBubbles
+ * @param {Date|null} PADDED_MIN_DATE - Start of the x axis; a number in the x field's unit when it is not a time
+ * @param {Date|null} PADDED_MAX_DATE - End of the x axis
+ * @param {import('../data/encodings.js').Encoding} [encoding] - Fields on the axes, which set tick labels and axis titles
+ * @param {'linear'|'log'|'percentile'} [yScaleType] - Scale of the y axis, which sets where its ticks go
+ * @param {boolean} [clipOutliers] - Whether the y axis was clipped to the 2nd–98th percentile
+ * @param {import('../config/themes.js').Theme} [theme] - Colors of the grid and axis text
  */
-function drawAxes(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE) {
+function drawAxes(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE, encoding = DEFAULT_ENCODING, yScaleType = 'linear', clipOutliers = true, theme = THEMES.dark) {
+    const xField = X_ENCODINGS[encoding.x];
+    const yField = Y_ENCODINGS[encoding.y];
     ctx.save();
     ctx.lineWidth = 1;
     
-    // Draw Y axis APR ticks, grid lines, and labels (D3-inspired)
+    // Draw Y axis ticks, grid lines, and labels on the same scale bubbles are laid out on
     if (allBubbles.length > 0) {
-        const loans = allBubbles;
-        const minAPR = Math.min(...loans.map(l => l.apr));
-        const maxAPR = Math.max(...loans.map(l => l.apr));
-        let aprTicks = niceLinearTicks(minAPR, maxAPR, 8);
-        if (aprTicks.length > 1) aprTicks = aprTicks.slice(1);
-        // Only keep whole number ticks
-        aprTicks = aprTicks.filter(tick => Number.isInteger(tick));
-        aprTicks.forEach(tick => {
-            const y = CHART_PADDING_TOP + (CHART_HEIGHT - CHART_PADDING_TOP) * (1 - (tick - minAPR) / ((maxAPR - minAPR) || 1));
+        const yScale = getBubbleYScale(allBubbles, yScaleType, clipOutliers);
+        // A tick on the bottom edge would run into the x axis labels
+        yScale.ticks(8).filter(tick => tick.t > 0).forEach(tick => {
+            const y = CHART_PADDING_TOP + (CHART_HEIGHT - CHART_PADDING_TOP) * (1 - tick.t);
+            if (!tick.major) {
+                // Minor ticks get a short mark only
+                ctx.strokeStyle = theme.axisText;
+                ctx.beginPath();
+                ctx.moveTo(CHART_PADDING_X - TICK_LENGTH / 2, y);
+                ctx.lineTo(CHART_PADDING_X, y);
+                ctx.stroke();
+                return;
+            }
             // Draw grid line
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)'; // semi-transparent white
+            ctx.strokeStyle = theme.grid;
             ctx.beginPath();
             ctx.moveTo(CHART_PADDING_X, y);
             ctx.lineTo(WIDTH, y);
             ctx.stroke();
             // Draw tick in left margin
-            ctx.strokeStyle = '#B6B1D5'; // lighter color for axis
+            ctx.strokeStyle = theme.axisText;
             ctx.beginPath();
             ctx.moveTo(CHART_PADDING_X - TICK_LENGTH, y);
             ctx.lineTo(CHART_PADDING_X, y);
             ctx.stroke();
             // Draw label in left margin
-            ctx.fillStyle = '#B6B1D5'; // lighter color for labels
+            ctx.fillStyle = theme.axisText;
             ctx.textAlign = 'right';
             ctx.textBaseline = 'middle';
             ctx.font = '13px Inter, Arial, sans-serif';
-            // Format as whole number percent, no decimals
-            ctx.fillText(Math.round(tick) + '%', CHART_PADDING_X, y);
+            ctx.fillText(yField.format(tick.value, tick.step), CHART_PADDING_X, y);
         });
+        // Break the axis at edges bubbles are pinned to, so they don't read as lying on its ends
+        const pinnedAbove = allBubbles.some(b => b.isAprOutlier && b.yValue > yScale.max);
+        const pinnedBelow = allBubbles.some(b => b.isAprOutlier && !(b.yValue > yScale.max));
+        if (pinnedAbove) drawAxisBreak(ctx, CHART_PADDING_X - TICK_LENGTH, WIDTH - CHART_PADDING_X, CHART_PADDING_TOP, theme.axisText);
+        if (pinnedBelow) drawAxisBreak(ctx, CHART_PADDING_X - TICK_LENGTH, WIDTH - CHART_PADDING_X, CHART_HEIGHT, theme.axisText);
     }
     
+    // Draw X axis value ticks and grid lines, for fields that are not times
+    if (allBubbles.length > 0 && PADDED_MIN_DATE !== null && PADDED_MAX_DATE !== null && !xField.isTime) {
+        const scale = timeScale([PADDED_MIN_DATE, PADDED_MAX_DATE], [CHART_PADDING_X, WIDTH - CHART_PADDING_X]);
+        const step = PADDED_MAX_DATE > PADDED_MIN_DATE ? niceTickStep(PADDED_MAX_DATE - PADDED_MIN_DATE, DATE_TICK_COUNT) : 0;
+        niceLinearTicks(PADDED_MIN_DATE, PADDED_MAX_DATE, DATE_TICK_COUNT)
+            .filter(tick => tick >= PADDED_MIN_DATE && tick <= PADDED_MAX_DATE)
+            .forEach(tick => {
+                const x = scale(tick);
+                ctx.strokeStyle = theme.grid;
+                ctx.beginPath();
+                ctx.moveTo(x, CHART_PADDING_TOP);
+                ctx.lineTo(x, CHART_HEIGHT);
+                ctx.stroke();
+                ctx.strokeStyle = theme.axisText;
+                ctx.beginPath();
+                ctx.moveTo(x, CHART_HEIGHT);
+                ctx.lineTo(x, CHART_HEIGHT + TICK_LENGTH);
+                ctx.stroke();
+                ctx.fillStyle = theme.axisText;
+                ctx.textAlign = 'center';
+                ctx.fillText(xField.format(tick, step), x, CHART_HEIGHT + TICK_LENGTH + TICK_PADDING + 10);
+            });
+    }
+
     // Draw X axis date ticks and grid lines (D3-inspired)
-    if (allBubbles.length > 0 && PADDED_MIN_DATE !== null && PADDED_MAX_DATE !== null) {
+    if (allBubbles.length > 0 && PADDED_MIN_DATE !== null && PADDED_MAX_DATE !== null && xField.isTime) {
         const paddedMinDate = PADDED_MIN_DATE;
         const paddedMaxDate = PADDED_MAX_DATE;
         const scale = timeScale([paddedMinDate, paddedMaxDate], [CHART_PADDING_X, WIDTH - CHART_PADDING_X]);
         const {ticks: dateTicks, format: dateFormat} = niceDateTicks(paddedMinDate, paddedMaxDate, DATE_TICK_COUNT);
-        dateTicks.forEach(date => {
+        // Ticks start on a whole unit, which can fall before a zoomed-in range
+        dateTicks.filter(date => date.getTime() >= paddedMinDate).forEach(date => {
             const x = scale(date.getTime());
             // Draw grid line
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)'; // semi-transparent white
+            ctx.strokeStyle = theme.grid;
             ctx.beginPath();
             ctx.moveTo(x, CHART_PADDING_TOP);
             ctx.lineTo(x, CHART_HEIGHT);
             ctx.stroke();
             // Draw tick
-            ctx.strokeStyle = '#B6B1D5'; // lighter color for axis
+            ctx.strokeStyle = theme.axisText;
             ctx.beginPath();
             ctx.moveTo(x, CHART_HEIGHT);
             ctx.lineTo(x, CHART_HEIGHT + TICK_LENGTH);
             ctx.stroke();
             // Draw date label in the dark area, above the bottom padding
-            ctx.fillStyle = '#B6B1D5'; // lighter color for labels
+            ctx.fillStyle = theme.axisText;
             ctx.textAlign = 'center';
             const dateStr = dateFormat(date);
             ctx.fillText(dateStr, x, CHART_HEIGHT + TICK_LENGTH + TICK_PADDING + 10);
         });
     }
+
+    // Name the fields on the axes, inside the plot's top-left and bottom-right corners
+    if (allBubbles.length > 0) {
+        ctx.fillStyle = theme.axisText;
+        ctx.font = '12px Inter, Arial, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(yField.label, CHART_PADDING_X + TICK_PADDING, CHART_PADDING_TOP + TICK_PADDING);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(xField.label, WIDTH - CHART_PADDING_X - TICK_PADDING, CHART_HEIGHT - TICK_PADDING);
+    }
     
     ctx.restore();
 }
 
 /**
- * Draw the chart (bubbles, clusters, axes, etc.)
+ * Zigzag along a plot edge, marking the y axis as cut off there
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} fromX
+ * @param {number} toX
+ * @param {number} y
+ * @param {string} color
+ */
+function drawAxisBreak(ctx, fromX, toX, y, color) {
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.6;
+    ctx.beginPath();
+    ctx.moveTo(fromX, y);
+    for (let x = fromX, i = 0; x < toX; i++) {
+        x = Math.min(toX, x + AXIS_BREAK_PERIOD / 2);
+        ctx.lineTo(x, y + (i % 2 === 0 ? -AXIS_BREAK_AMPLITUDE : AXIS_BREAK_AMPLITUDE));
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Fill the chart background and draw the axes
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} WIDTH
  * @param {number} HEIGHT
  * @param {number} CHART_HEIGHT
  * @param {number} CHART_PADDING_X
  * @param {number} CHART_PADDING_TOP
- * @param {Array} singleBubbles
- * @param {Array} clusters
- * @param {boolean} showImages
- * @param {Object} PROTOCOL_COLORS
- * @param {string} DEFAULT_PROTOCOL_COLOR
  * @param {Array} allBubbles
  * @param {Date|null} PADDED_MIN_DATE
  * @param {Date|null} PADDED_MAX_DATE
+ * @param {import('../data/encodings.js').Encoding} encoding
+ * @param {'linear'|'log'|'percentile'} yScaleType
+ * @param {boolean} clipOutliers
+ * @param {import('../config/themes.js').Theme} theme
  */
-function draw(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, singleBubbles, clusters, showImages, PROTOCOL_COLORS, DEFAULT_PROTOCOL_COLOR, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE) {
-    if (!allBubbles || allBubbles.length === 0) {
-        ctx.clearRect(0, 0, WIDTH, HEIGHT);
-        return;
-    }
-    
-    // Clear and setup background
-    ctx.clearRect(0, 0, WIDTH, HEIGHT);
-    
-    // Draw top margin (dark for top padding)
-    ctx.fillStyle = '#221E37';
+function drawBackground(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE, encoding, yScaleType, clipOutliers, theme) {
+    // Draw top margin
+    ctx.fillStyle = theme.background;
     ctx.fillRect(0, 0, WIDTH, CHART_PADDING_TOP);
     
-    // Draw left margin (dark for y-axis labels)
-    ctx.fillStyle = '#221E37';
+    // Draw left margin, behind the y-axis labels
+    ctx.fillStyle = theme.background;
     ctx.fillRect(0, CHART_PADDING_TOP, CHART_PADDING_X, CHART_HEIGHT - CHART_PADDING_TOP);
     
-    // Draw label area (dark)
-    ctx.fillStyle = '#221E37';
+    // Draw label area
+    ctx.fillStyle = theme.background;
     ctx.fillRect(0, CHART_HEIGHT, WIDTH, HEIGHT - CHART_HEIGHT);
     
-    // Draw plot area (dark), starting exactly at the y-axis line
-    ctx.fillStyle = '#221E37';
+    // Draw plot area, starting exactly at the y-axis line
+    ctx.fillStyle = theme.plot;
     ctx.fillRect(CHART_PADDING_X - TICK_LENGTH, CHART_PADDING_TOP, WIDTH - (CHART_PADDING_X - TICK_LENGTH), CHART_HEIGHT - CHART_PADDING_TOP);
     
-    // Draw axes and bubbles
-    drawAxes(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE);
+    drawAxes(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE, encoding, yScaleType, clipOutliers, theme);
+}
+
+// Y scale of the bubbles on screen; building one sorts their values, so it is kept per bubble set
+let yScaleCache = { bubbles: null, type: null, clipOutliers: null, scale: null };
+
+/**
+ * The y axis scale, built from the bubbles' y values as their layout built it
+ * @param {Array} allBubbles
+ * @param {'linear'|'log'|'percentile'} type
+ * @param {boolean} clipOutliers
+ * @returns {import('../data/scales.js').Scale}
+ */
+function getBubbleYScale(allBubbles, type, clipOutliers) {
+    if (yScaleCache.bubbles !== allBubbles || yScaleCache.type !== type || yScaleCache.clipOutliers !== clipOutliers) {
+        yScaleCache = { bubbles: allBubbles, type, clipOutliers, scale: getYScale(allBubbles.map(b => b.yValue), type, clipOutliers) };
+    }
+    return yScaleCache.scale;
+}
+
+/**
+ * Bubbles that change from frame to frame and so are left out of the static layer:
+ * members of expanding or reverting clusters, bubbles in a refresh transition, the
+ * hovered standalone bubble, standalone bubbles still fading back from a hover, and
+ * bubbles fading out after a refresh. Reads the store's columns by slot.
+ * @param {Array} allBubbles - The first slots of their layout's store
+ * @param {Object|null} hovered
+ * @returns {Array<Object>} In chart order, with exiting bubbles last
+ */
+function getAnimatedBubbles(allBubbles, hovered) {
+    const animated = [];
+    const store = getBubbleStore(allBubbles);
+    if (store) {
+        const { flags, opacity, strokeOpacity } = store;
+        const inClusterMotion = new Uint8Array(allBubbles.length);
+        for (const cluster of state.clusters || []) {
+            if ((cluster.state === 'expanding' || cluster.state === 'reverting') && cluster.store === store) {
+                for (const i of cluster.indices) inClusterMotion[i] = 1;
+            }
+        }
+        const hoveredIndex = hovered && hovered.store === store ? hovered.index : -1;
+        for (let i = 0; i < allBubbles.length; i++) {
+            if (inClusterMotion[i] || (flags[i] & FLAG_BITS.inTransition)) {
+                animated.push(allBubbles[i]);
+            } else if (flags[i] & FLAG_BITS.standalone) {
+                const fading = Math.abs(opacity[i] - DEFAULT_BUBBLE_OPACITY) > OPACITY_EPSILON
+                    || Math.abs(strokeOpacity[i] - DEFAULT_STROKE_OPACITY) > OPACITY_EPSILON;
+                if (i === hoveredIndex || fading) animated.push(allBubbles[i]);
+            }
+        }
+    }
+    for (const b of state.exitingBubbles || []) animated.push(b);
+    return animated;
+}
+
+/**
+ * Device pixel ratio of the display
+ * @returns {number}
+ */
+function getPixelRatio() {
+    return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+}
+
+/**
+ * Forget what the chart canvas holds so the next draw repaints all of it. Call after
+ * clearing or resizing the canvas outside of draw.
+ */
+function invalidateChartLayers() {
+    layers.invalidate();
+}
+
+/**
+ * Draw the chart (bubbles, clusters, axes, etc.). The background and resting bubbles
+ * come from cached layers; only the dirty region around animated bubbles is repainted.
+ * While the time axis is zoomed (state.timeView), it replaces the padded dates. The y axis
+ * is made from state.axisBubbles.
+ * The axes are labelled for the fields in state.encoding.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} WIDTH
+ * @param {number} HEIGHT
+ * @param {number} CHART_HEIGHT
+ * @param {number} CHART_PADDING_X
+ * @param {number} CHART_PADDING_TOP
+ * @param {Array} singleBubbles - Also flagged `standalone` in their store, which is what drawing reads
+ * @param {Array} clusters
+ * @param {boolean} showImages
+ * @param {Array} allBubbles
+ * @param {Date|null} PADDED_MIN_DATE
+ * @param {Date|null} PADDED_MAX_DATE
+ */
+function draw(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, singleBubbles, clusters, showImages, allBubbles, PADDED_MIN_DATE, PADDED_MAX_DATE) {
+    if (!allBubbles || allBubbles.length === 0) {
+        ctx.clearRect(0, 0, WIDTH, HEIGHT);
+        layers.invalidate();
+        return;
+    }
     
-    // Draw ALL bubbles - both single and clustered
-    for (const b of allBubbles) {
+    imageSprites.beginFrame(state.imageLoadGeneration);
+    // Zoomed in, the axes show the zoomed range and bubbles outside it are cut off at the plot edges
+    const timeView = state.timeView;
+    const minDate = timeView ? timeView.min : PADDED_MIN_DATE;
+    const maxDate = timeView ? timeView.max : PADDED_MAX_DATE;
+    const encoding = resolveEncoding(state.encoding);
+    const yScaleType = state.scales.y;
+    const clipOutliers = state.clipOutliers;
+    // Merged pages are laid out on the y scale of the bubbles before them, so the axis is too
+    const axisBubbles = state.axisBubbles && state.axisBubbles.length > 0 ? state.axisBubbles : allBubbles;
+    const theme = getTheme(state.themeName, state.systemThemeName);
+    const clipToPlot = timeView
+        ? (targetCtx) => {
+            targetCtx.beginPath();
+            targetCtx.rect(CHART_PADDING_X, 0, WIDTH - 2 * CHART_PADDING_X, HEIGHT);
+            targetCtx.clip();
+        }
+        : () => {};
+    const hovered = hitTest(state.mousePosition?.x ?? -1, state.mousePosition?.y ?? -1);
+    const pixelRatio = getPixelRatio();
+
+    if (!ctx.canvas || !layers.resize(ctx, WIDTH, HEIGHT, pixelRatio)) {
+        // No offscreen canvases: paint everything directly
+        ctx.clearRect(0, 0, WIDTH, HEIGHT);
+        drawBackground(ctx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, axisBubbles, minDate, maxDate, encoding, yScaleType, clipOutliers, theme);
         ctx.save();
-        ctx.beginPath();
-        ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
-        ctx.closePath();
-        if (showImages && b.img && b.img.complete && b.img.naturalWidth > 0) {
+        clipToPlot(ctx);
+        for (const b of allBubbles) {
+            const isStandalone = b.standalone;
+            drawBubble(ctx, b, isStandalone, isStandalone && b === hovered, showImages, theme);
+        }
+        for (const b of state.exitingBubbles || []) {
+            drawBubble(ctx, b, false, false, showImages, theme);
+        }
+        ctx.restore();
+        return;
+    }
+
+    // Background layer: only the chart size, the axis domains and scales, the encoded fields and the theme change it
+    layers.updateBackground(
+        [WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, getBubbleYScale(axisBubbles, yScaleType, clipOutliers),
+            minDate === null ? null : +minDate, maxDate === null ? null : +maxDate, encoding.x, encoding.y, theme],
+        layerCtx => drawBackground(layerCtx, WIDTH, HEIGHT, CHART_HEIGHT, CHART_PADDING_X, CHART_PADDING_TOP, axisBubbles, minDate, maxDate, encoding, yScaleType, clipOutliers, theme)
+    );
+
+    // Static layer: every bubble at rest, redrawn when bubbles, their looks or the animated set change
+    const animatedInOrder = getAnimatedBubbles(allBubbles, hovered);
+    const animated = new Set(animatedInOrder);
+    const imageProgress = state.imageProgress;
+    layers.updateStaticBubbles(
+        [allBubbles, singleBubbles, showImages, state.walletStrokes, state.imageLoadGeneration,
+            imageProgress && imageProgress.loaded, imageProgress && imageProgress.failed, theme, timeView],
+        animated,
+        layerCtx => {
+            layerCtx.save();
+            clipToPlot(layerCtx);
+            for (const b of allBubbles) {
+                if (!animated.has(b)) drawBubble(layerCtx, b, b.standalone, false, showImages, theme);
+            }
+            layerCtx.restore();
+        }
+    );
+
+    // Animated layer: drawn over the layers, in chart order, with exiting bubbles on top
+    layers.composite(animatedInOrder, (targetCtx, b) => {
+        const isStandalone = b.standalone && !b.exiting;
+        targetCtx.save();
+        clipToPlot(targetCtx);
+        drawBubble(targetCtx, b, isStandalone, isStandalone && b === hovered, showImages, theme);
+        targetCtx.restore();
+    });
+}
+
+/**
+ * Draw one bubble. Standalone bubbles animate their opacity towards the hover state;
+ * `fadeAlpha`, set while a bubble enters or exits, scales the result. Loans the
+ * selected wallet lent are drawn as rings, loans it borrowed as filled discs.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} b
+ * @param {boolean} isStandalone
+ * @param {boolean} isHovered - Whether the mouse is over this bubble, per hitTest
+ * @param {boolean} showImages
+ * @param {import('../config/themes.js').Theme} theme - Protocol colors and the outline of filled bubbles
+ */
+function drawBubble(ctx, b, isStandalone, isHovered, showImages, theme) {
+    const fade = b.fadeAlpha ?? 1;
+    if (fade <= 0 || b.r <= 0) return;
+    const isRing = b.role === 'lender';
+    const protocolColor = getProtocolColor(theme, b.protocol);
+
+    ctx.save();
+    if (showImages && b.imageFailed && b.imagePlaceholder) {
+        // Every image URL failed: draw the generated placeholder instead of an empty bubble
+        ctx.globalAlpha = fade;
+        const placeholder = imageSprites.getPlaceholder(b.imagePlaceholder, b.r, getPixelRatio());
+        ctx.drawImage(placeholder, b.x - b.r, b.y - b.r, b.r * 2, b.r * 2);
+    } else if (showImages && b.img && b.img.complete && b.img.naturalWidth > 0) {
+        ctx.globalAlpha = fade;
+        const sprite = imageSprites.get(b.img, b.r, getPixelRatio());
+        if (sprite) {
+            ctx.drawImage(sprite, b.x - b.r, b.y - b.r, b.r * 2, b.r * 2);
+        } else {
+            // Over this frame's budget for new sprites: clip the full image, and make its sprite on a later frame
+            ctx.beginPath();
+            ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
             ctx.clip();
             ctx.drawImage(b.img, b.x - b.r, b.y - b.r, b.r * 2, b.r * 2);
-        } else {
-            ctx.fillStyle = PROTOCOL_COLORS[b.protocol] || DEFAULT_PROTOCOL_COLOR;
-            
-            // Only apply opacity changes to standalone bubbles
-            const isStandalone = singleBubbles.includes(b);
-            if (isStandalone) {
-                // Set initial opacity to DEFAULT_BUBBLE_OPACITY if not set
-                if (b.opacity === undefined) {
-                    b.opacity = DEFAULT_BUBBLE_OPACITY;
-                }
-                // Check if bubble is being hovered
-                const mouseX = state.mousePosition?.x || 0;
-                const mouseY = state.mousePosition?.y || 0;
-                const dx = mouseX - b.x;
-                const dy = mouseY - b.y;
-                const dist = Math.hypot(dx, dy);
-                
-                // If mouse is over bubble, animate to EXPANDED_BUBBLE_OPACITY
-                if (dist < b.r) {
-                    b.opacity = Math.min(b.opacity + 0.1, EXPANDED_BUBBLE_OPACITY);
-                } else {
-                    // Otherwise animate back to DEFAULT_BUBBLE_OPACITY
-                    b.opacity = Math.max(b.opacity - 0.1, DEFAULT_BUBBLE_OPACITY);
-                }
-                ctx.globalAlpha = b.opacity;
-            } else {
-                // For clustered bubbles, use their existing opacity or default
-                ctx.globalAlpha = b.opacity || DEFAULT_BUBBLE_OPACITY;
-            }
-            
-            ctx.fill();
-            ctx.globalAlpha = 1.0;
         }
-        ctx.restore();
-        ctx.strokeStyle = "#fff";
-        ctx.lineWidth = 1;
+    } else {
         ctx.beginPath();
         ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.fillStyle = protocolColor;
         
-        // Only apply stroke opacity changes to standalone bubbles
-        const isStandalone = singleBubbles.includes(b);
+        // Only apply opacity changes to standalone bubbles
         if (isStandalone) {
-            // Set initial stroke opacity if not set
-            if (b.strokeOpacity === undefined) {
-                b.strokeOpacity = DEFAULT_STROKE_OPACITY;
+            // Set initial opacity to DEFAULT_BUBBLE_OPACITY if not set
+            if (b.opacity === undefined) {
+                b.opacity = DEFAULT_BUBBLE_OPACITY;
             }
-            // Check if bubble is being hovered
-            const mouseX = state.mousePosition?.x || 0;
-            const mouseY = state.mousePosition?.y || 0;
-            const dx = mouseX - b.x;
-            const dy = mouseY - b.y;
-            const dist = Math.hypot(dx, dy);
-            
-            // If mouse is over bubble, animate to EXPANDED_STROKE_OPACITY
-            if (dist < b.r) {
-                b.strokeOpacity = Math.min(b.strokeOpacity + 0.1, EXPANDED_STROKE_OPACITY);
+            // If mouse is over bubble, animate to EXPANDED_BUBBLE_OPACITY
+            if (isHovered) {
+                b.opacity = Math.min(b.opacity + 0.1, EXPANDED_BUBBLE_OPACITY);
             } else {
-                // Otherwise animate back to DEFAULT_STROKE_OPACITY
-                b.strokeOpacity = Math.max(b.strokeOpacity - 0.1, DEFAULT_STROKE_OPACITY);
+                // Otherwise animate back to DEFAULT_BUBBLE_OPACITY
+                b.opacity = Math.max(b.opacity - 0.1, DEFAULT_BUBBLE_OPACITY);
             }
-            ctx.globalAlpha = b.strokeOpacity;
+            ctx.globalAlpha = b.opacity * fade;
         } else {
-            // For clustered bubbles, use their existing stroke opacity or default
-            ctx.globalAlpha = b.strokeOpacity || DEFAULT_STROKE_OPACITY;
+            // For clustered bubbles, use their existing opacity or default
+            ctx.globalAlpha = (b.opacity || DEFAULT_BUBBLE_OPACITY) * fade;
         }
         
-        ctx.stroke();
+        if (!isRing) ctx.fill();
         ctx.globalAlpha = 1.0;
     }
+    ctx.restore();
+    // In multi-wallet views the outline can tell wallets apart
+    const walletStroke = state.walletStrokes && b.wallet ? getWalletStrokeStyle(b.wallet) : null;
+    ctx.strokeStyle = walletStroke ? walletStroke.color : (isRing ? protocolColor : theme.bubbleStroke);
+    ctx.lineWidth = Math.max(walletStroke ? walletStroke.width : 1, isRing ? RING_STROKE_WIDTH : 0);
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    
+    // Only apply stroke opacity changes to standalone bubbles
+    if (isStandalone) {
+        // Set initial stroke opacity if not set
+        if (b.strokeOpacity === undefined) {
+            b.strokeOpacity = DEFAULT_STROKE_OPACITY;
+        }
+        // If mouse is over bubble, animate to EXPANDED_STROKE_OPACITY
+        if (isHovered) {
+            b.strokeOpacity = Math.min(b.strokeOpacity + 0.1, EXPANDED_STROKE_OPACITY);
+        } else {
+            // Otherwise animate back to DEFAULT_STROKE_OPACITY
+            b.strokeOpacity = Math.max(b.strokeOpacity - 0.1, DEFAULT_STROKE_OPACITY);
+        }
+        ctx.globalAlpha = b.strokeOpacity * fade;
+    } else {
+        // For clustered bubbles, use their existing stroke opacity or default
+        ctx.globalAlpha = (b.strokeOpacity || DEFAULT_STROKE_OPACITY) * fade;
+    }
+    
+    if (isRing) {
+        ctx.globalAlpha = Math.max(ctx.globalAlpha, RING_STROKE_OPACITY * fade);
+    }
+    if (walletStroke) {
+        ctx.globalAlpha = Math.max(ctx.globalAlpha, WALLET_STROKE_OPACITY * fade);
+        ctx.setLineDash(walletStroke.dash);
+    }
+    
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1.0;
+    if (b.isAprOutlier || b.isUsdOutlier) drawClipMarkers(ctx, b, fade, theme.bubbleStroke);
+}
+
+/**
+ * Arrows on a clipped bubble, pointing to where its true value lies: above or below
+ * the bubble when its y value is pinned to the chart edge, and out of or into its
+ * right side when its size is capped or raised to the size limits
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} b - Bubble with isAprOutlier or isUsdOutlier set
+ * @param {number} fade - Bubble fade, 0 to 1
+ * @param {string} color
+ */
+function drawClipMarkers(ctx, b, fade, color) {
+    const clipping = state.clipping;
+    if (!clipping) return;
+    const half = CLIP_MARKER_SIZE / 2;
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.globalAlpha = CLIP_MARKER_OPACITY * fade;
+    ctx.beginPath();
+    if (b.isAprOutlier) {
+        // Centered on the bubble's top or bottom edge, tip outward
+        const direction = b.yValue > clipping.yMax ? -1 : 1;
+        const edgeY = b.y + direction * b.r;
+        ctx.moveTo(b.x, edgeY + direction * half);
+        ctx.lineTo(b.x - half, edgeY - direction * half);
+        ctx.lineTo(b.x + half, edgeY - direction * half);
+        ctx.closePath();
+    }
+    if (b.isUsdOutlier) {
+        // Centered on the bubble's right edge: outward for sizes above the limit, inward below it
+        const direction = b.sizeValue > clipping.sizeMax ? 1 : -1;
+        const edgeX = b.x + b.r;
+        ctx.moveTo(edgeX + direction * half, b.y);
+        ctx.lineTo(edgeX - direction * half, b.y - half);
+        ctx.lineTo(edgeX - direction * half, b.y + half);
+        ctx.closePath();
+    }
+    ctx.fill();
+    ctx.restore();
 }
 
-export { timeScale, niceDateTicks, niceLinearTicks, TICK_LENGTH, TICK_PADDING, DATE_TICK_COUNT, drawAxes, draw }; 
\ No newline at end of file
+export { timeScale, niceDateTicks, niceLinearTicks, TICK_LENGTH, TICK_PADDING, DATE_TICK_COUNT, drawAxes, draw, invalidateChartLayers, getWalletStrokeStyle }; 
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Purpose: Uniform grid over bubble centres, so point queries only look at
+ * nearby bubbles instead of scanning all of them.
+ * Boundaries: Reads the x/y/r columns of the bubbles it indexes, by slot. No state access,
+ * mutation or DOM manipulation.
+ */
+
+const MIN_CELL_SIZE = 16;
+// Cell coordinates are packed into one number; offsets keep negative cells positive
+const CELL_OFFSET = 32768;
+const CELL_STRIDE = 65536;
+
+class BubbleGrid {
+    constructor() {
+        this.cellSize = MIN_CELL_SIZE;
+        this.cells = new Map();
+        // Cell key of each indexed slot
+        this.cellOf = new Float64Array(0);
+        this.columns = null;
+        this.count = 0;
+        this.maxR = 0;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    keyFor(x, y) {
+        const cx = Math.floor(x / this.cellSize) + CELL_OFFSET;
+        const cy = Math.floor(y / this.cellSize) + CELL_OFFSET;
+        return cx * CELL_STRIDE + cy;
+    }
+
+    /**
+     * Index the first `count` slots of a set of columns, sizing cells to the largest
+     * bubble so a query touches at most a few cells per axis. The columns are read
+     * again on every query and update, so they may be a BubbleStore whose columns grow.
+     * @param {{x: ArrayLike<number>, y: ArrayLike<number>, r: ArrayLike<number>}} columns
+     * @param {number} count
+     */
+    rebuild(columns, count) {
+        const { x, y, r } = columns;
+        this.cells.clear();
+        this.columns = columns;
+        this.count = count;
+        this.cellOf = new Float64Array(count);
+        this.maxR = 0;
+        for (let i = 0; i < count; i++) this.maxR = Math.max(this.maxR, r[i]);
+        this.cellSize = Math.max(MIN_CELL_SIZE, Math.ceil(2 * this.maxR));
+        for (let i = 0; i < count; i++) this.insert(i, this.keyFor(x[i], y[i]));
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} key
+     */
+    insert(index, key) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(index);
+        this.cellOf[index] = key;
+    }
+
+    /**
+     * Re-file slots whose bubbles may have moved or grown. Slots past the indexed count are ignored.
+     * @param {Iterable<number>} indices
+     */
+    update(indices) {
+        if (!this.columns) return;
+        for (const i of indices) {
+            if (i < this.count) this.refile(i);
+        }
+    }
+
+    /**
+     * Re-file every indexed slot
+     */
+    updateAll() {
+        for (let i = 0; i < this.count; i++) this.refile(i);
+    }
+
+    /**
+     * @param {number} i
+     */
+    refile(i) {
+        const { x, y, r } = this.columns;
+        if (r[i] > this.maxR) this.maxR = r[i];
+        const oldKey = this.cellOf[i];
+        const key = this.keyFor(x[i], y[i]);
+        if (key === oldKey) return;
+        const cell = this.cells.get(oldKey);
+        // Swap-remove; order within a cell does not matter
+        cell[cell.indexOf(i)] = cell[cell.length - 1];
+        cell.pop();
+        if (cell.length === 0) this.cells.delete(oldKey);
+        this.insert(i, key);
+    }
+
+    /**
+     * The slot of the bubble under a point; when bubbles overlap, the one whose centre is closest
+     * @param {number} px
+     * @param {number} py
+     * @returns {number} -1 when no bubble is under the point
+     */
+    query(px, py) {
+        if (!this.columns) return -1;
+        const { x, y, r } = this.columns;
+        let closest = -1;
+        let minDist = Infinity;
+        const reach = this.maxR;
+        const x0 = Math.floor((px - reach) / this.cellSize) + CELL_OFFSET;
+        const x1 = Math.floor((px + reach) / this.cellSize) + CELL_OFFSET;
+        const y0 = Math.floor((py - reach) / this.cellSize) + CELL_OFFSET;
+        const y1 = Math.floor((py + reach) / this.cellSize) + CELL_OFFSET;
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(cx * CELL_STRIDE + cy);
+                if (!cell) continue;
+                for (const i of cell) {
+                    const dx = x[i] - px;
+                    const dy = y[i] - py;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist < r[i] && dist < minDist) {
+                        minDist = dist;
+                        closest = i;
+                    }
+                }
+            }
+        }
+        return closest;
+    }
+}
+
+export { BubbleGrid };
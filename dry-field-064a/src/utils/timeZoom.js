@@ -0,0 +1,109 @@
+/**
+ * Purpose: Zoom and pan math for the time axis: visible time ranges, clamped to the
+ * data range, and bubble x positions on them.
+ * Boundaries: Pure functions, apart from moving the bubbles handed to rescaleBubblesToTime.
+ * No state access or DOM manipulation.
+ */
+
+import { getTimeAxisX } from '../data/bubbleLayout.js';
+import { getBubbleKey } from '../data/bubbleUtils.js';
+
+/**
+ * @typedef {Object} TimeRange
+ * @property {number} min - ms
+ * @property {number} max - ms
+ */
+
+/**
+ * Fit a range inside the data range, no narrower than minSpan, keeping its centre where possible
+ * @param {TimeRange} range
+ * @param {TimeRange} full - The data range
+ * @param {number} minSpan
+ * @returns {TimeRange}
+ */
+function clampTimeRange(range, full, minSpan) {
+    const fullSpan = full.max - full.min;
+    const span = Math.min(fullSpan, Math.max(minSpan, range.max - range.min));
+    let min = (range.min + range.max) / 2 - span / 2;
+    min = Math.max(full.min, Math.min(full.max - span, min));
+    return { min, max: min + span };
+}
+
+/**
+ * Whether a range shows all of the data range
+ * @param {TimeRange} range
+ * @param {TimeRange} full
+ * @returns {boolean}
+ */
+function isFullTimeRange(range, full) {
+    return range.min <= full.min && range.max >= full.max;
+}
+
+/**
+ * Scale a range around a fixed time, which stays at the same place on screen
+ * @param {TimeRange} range
+ * @param {TimeRange} full
+ * @param {number} anchor - Time under the pointer
+ * @param {number} factor - Below 1 zooms in, above 1 zooms out
+ * @param {number} minSpan
+ * @returns {TimeRange}
+ */
+function zoomTimeRange(range, full, anchor, factor, minSpan) {
+    const span = range.max - range.min;
+    const nextSpan = Math.min(full.max - full.min, Math.max(minSpan, span * factor));
+    const ratio = span > 0 ? (anchor - range.min) / span : 0.5;
+    const min = anchor - ratio * nextSpan;
+    return clampTimeRange({ min, max: min + nextSpan }, full, minSpan);
+}
+
+/**
+ * Shift a range by a time offset, stopping at the ends of the data range
+ * @param {TimeRange} range
+ * @param {TimeRange} full
+ * @param {number} delta - ms; positive moves later
+ * @returns {TimeRange}
+ */
+function panTimeRange(range, full, delta) {
+    const span = range.max - range.min;
+    const min = Math.max(full.min, Math.min(full.max - span, range.min + delta));
+    return { min, max: min + span };
+}
+
+/**
+ * Time at a chart x, on the axis bubbles are laid out on
+ * @param {number} x
+ * @param {TimeRange} range
+ * @param {number} CHART_PADDING_X
+ * @param {number} WIDTH
+ * @returns {number}
+ */
+function timeAtX(x, range, CHART_PADDING_X, WIDTH) {
+    return range.min + (x - CHART_PADDING_X) / ((WIDTH - 2 * CHART_PADDING_X) || 1) * (range.max - range.min);
+}
+
+/**
+ * Move bubbles to their x value (their due time, by default) on a time range. On the full range bubbles are kept
+ * inside the plot as in the initial layout; zoomed in, those outside the range leave it.
+ * Bubbles mid-transition are retargeted instead of moved.
+ * @param {Array} bubbles
+ * @param {TimeRange} range
+ * @param {boolean} isFull
+ * @param {{CHART_PADDING_X: number, WIDTH: number, BUBBLE_PADDING_FACTOR: number}} layout
+ */
+function rescaleBubblesToTime(bubbles, range, isFull, { CHART_PADDING_X, WIDTH, BUBBLE_PADDING_FACTOR }) {
+    for (const b of bubbles) {
+        let x = getTimeAxisX(b.xValue, getBubbleKey(b), range.min, range.max, CHART_PADDING_X, WIDTH);
+        if (isFull) {
+            const inset = (b.inTransition ? b.toR : b.r) * BUBBLE_PADDING_FACTOR;
+            x = Math.max(CHART_PADDING_X + inset, Math.min(WIDTH - CHART_PADDING_X - inset, x));
+        }
+        b.initialX = x;
+        if (b.inTransition) {
+            b.toX = x;
+        } else {
+            b.x = x;
+        }
+    }
+}
+
+export { clampTimeRange, isFullTimeRange, zoomTimeRange, panTimeRange, timeAtX, rescaleBubblesToTime };
@@ -0,0 +1,110 @@
+/**
+ * Purpose: Enter, update and exit transitions for bubbles after a data refresh.
+ * Boundaries: Mutates bubble position, radius and fade only. No state dispatch or DOM manipulation.
+ */
+
+import { FLAG_BITS } from '../data/bubbleStore.js';
+
+/**
+ * Ease in and out over t in [0, 1]
+ * @param {number} t
+ * @returns {number}
+ */
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Record a transition in the bubble's slot, heading for its current x/y/r
+ * @param {import('../data/bubbleStore.js').Bubble} bubble
+ * @param {number} fromX
+ * @param {number} fromY
+ * @param {number} fromR
+ * @param {number} fadeFrom
+ * @param {number} fadeTo
+ */
+function beginTransition(bubble, fromX, fromY, fromR, fadeFrom, fadeTo) {
+    const { store, index: i } = bubble;
+    store.fromX[i] = fromX;
+    store.fromY[i] = fromY;
+    store.fromR[i] = fromR;
+    store.toX[i] = store.x[i];
+    store.toY[i] = store.y[i];
+    store.toR[i] = store.r[i];
+    store.fadeFrom[i] = fadeFrom;
+    store.fadeTo[i] = fadeTo;
+    store.transitionFrame[i] = 0;
+    store.flags[i] |= FLAG_BITS.inTransition;
+}
+
+/**
+ * Tween a bubble from where it was drawn to its current layout position.
+ * @param {import('../data/bubbleStore.js').Bubble} bubble - Bubble whose x/y/r already hold the new layout
+ * @param {{x: number, y: number, r: number}} from - Where the bubble is on screen
+ */
+function startMoveTransition(bubble, from) {
+    beginTransition(bubble, from.x, from.y, from.r, bubble.fadeAlpha, 1);
+    bubble.x = from.x;
+    bubble.y = from.y;
+    bubble.r = from.r;
+}
+
+/**
+ * Fade and grow a new bubble in at its layout position.
+ * @param {import('../data/bubbleStore.js').Bubble} bubble
+ */
+function startEnterTransition(bubble) {
+    beginTransition(bubble, bubble.x, bubble.y, 0, 0, 1);
+    bubble.r = 0;
+    bubble.fadeAlpha = 0;
+}
+
+/**
+ * Fade a removed bubble out where it is.
+ * @param {import('../data/bubbleStore.js').Bubble} bubble
+ */
+function startExitTransition(bubble) {
+    beginTransition(bubble, bubble.x, bubble.y, bubble.r, bubble.fadeAlpha, 0);
+    bubble.exiting = true;
+}
+
+/**
+ * Advance every running transition in a store by one frame.
+ * @param {import('../data/bubbleStore.js').BubbleStore} store
+ * @param {number} totalFrames - Length of a transition in frames
+ * @returns {boolean} Whether any transition is still running
+ */
+function stepBubbleTransitions(store, totalFrames) {
+    const { x, y, r, fromX, fromY, fromR, toX, toY, toR, fadeFrom, fadeTo, fadeAlpha, transitionFrame, flags } = store;
+    let active = false;
+    for (let i = 0; i < store.size; i++) {
+        if ((flags[i] & FLAG_BITS.inTransition) === 0) continue;
+        const frame = ++transitionFrame[i];
+        const k = easeInOutCubic(Math.min(1, frame / totalFrames));
+        x[i] = fromX[i] + (toX[i] - fromX[i]) * k;
+        y[i] = fromY[i] + (toY[i] - fromY[i]) * k;
+        r[i] = fromR[i] + (toR[i] - fromR[i]) * k;
+        fadeAlpha[i] = fadeFrom[i] + (fadeTo[i] - fadeFrom[i]) * k;
+        if (frame >= totalFrames) {
+            flags[i] &= ~FLAG_BITS.inTransition;
+        } else {
+            active = true;
+        }
+    }
+    return active;
+}
+
+/**
+ * Whether any bubble in a store is mid-transition
+ * @param {import('../data/bubbleStore.js').BubbleStore|null} store
+ * @returns {boolean}
+ */
+function hasActiveTransitions(store) {
+    if (!store) return false;
+    for (let i = 0; i < store.size; i++) {
+        if (store.flags[i] & FLAG_BITS.inTransition) return true;
+    }
+    return false;
+}
+
+export { startMoveTransition, startEnterTransition, startExitTransition, stepBubbleTransitions, hasActiveTransitions, easeInOutCubic };
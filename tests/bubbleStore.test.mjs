@@ -0,0 +1,68 @@
+import { readFileSync } from 'fs';
+import { BubbleStore } from '../dry-field-064a/src/data/bubbleStore.js';
+import { reconcileBubbles, getBubbleKey } from '../dry-field-064a/src/data/bubbleUtils.js';
+import { decodeLoanResponse } from '../dry-field-064a/src/data/loanDecoder.js';
+import { DEFAULT_BUBBLE_OPACITY } from '../dry-field-064a/src/config/constants.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const loans = decodeLoanResponse(sample).loans.filter(loan => loan.dueTime !== null);
+
+const geometry = (i) => ({ x: 10 + i, y: 20 + i, r: 5, isAprOutlier: i === 0, isUsdOutlier: false });
+
+describe('bubbleStore.js', () => {
+  it('should keep bubble fields in columns behind property accessors', () => {
+    const store = new BubbleStore(2);
+    const bubble = store.add(loans[0], geometry(0));
+    expect(store.x).toBeInstanceOf(Float32Array);
+    expect(bubble.x).toBe(10);
+    bubble.x = 42.5;
+    expect(store.x[bubble.index]).toBe(42.5);
+    expect(bubble.initialX).toBe(10);
+    expect(bubble.opacity).toBe(Math.fround(DEFAULT_BUBBLE_OPACITY));
+    expect(bubble.dueTime).toBe(loans[0].dueTime);
+    expect(bubble.protocol).toBe(loans[0].protocolName);
+  });
+
+  it('should pack boolean fields into flags', () => {
+    const store = new BubbleStore(2);
+    const bubble = store.add(loans[0], geometry(0));
+    expect(bubble.isAprOutlier).toBe(true);
+    expect(bubble.isUsdOutlier).toBe(false);
+    bubble.imageFailed = true;
+    bubble.showTooltip = false;
+    expect(bubble.imageFailed).toBe(true);
+    expect(bubble.showTooltip).toBe(false);
+    expect(bubble.isAprOutlier).toBe(true);
+  });
+
+  it('should look up bubbles and loans by index, and grow past its capacity', () => {
+    const store = new BubbleStore(1);
+    const bubbles = loans.slice(0, 5).map((loan, i) => store.add(loan, geometry(i)));
+    expect(store.size).toBe(5);
+    expect(store.capacity).toBeGreaterThanOrEqual(5);
+    expect(bubbles.map(b => store.x[b.index])).toEqual([10, 11, 12, 13, 14]);
+    expect(store.at(3)).toBe(bubbles[3]);
+    expect(store.getLoan(3)).toBe(loans[3]);
+    expect(store.at(5)).toBeNull();
+  });
+
+  it('should move reconciled bubbles into the new store and keep their looks', () => {
+    const before = new BubbleStore();
+    const previous = before.add(loans[0], geometry(0));
+    previous.opacity = 0.5;
+    const img = { src: 'a.png' };
+    previous.img = img;
+
+    const after = new BubbleStore();
+    const next = [after.add(loans[0], geometry(7)), after.add(loans[1], geometry(8))];
+    const added = reconcileBubbles(next, new Map([[getBubbleKey(previous), previous]]));
+
+    expect(next[0]).toBe(previous);
+    expect(added).toEqual([next[1]]);
+    expect(previous.store).toBe(after);
+    expect(previous.x).toBe(17);
+    expect(previous.opacity).toBe(0.5);
+    expect(previous.img).toBe(img);
+    expect(after.at(0)).toBe(previous);
+  });
+});
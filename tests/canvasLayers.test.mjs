@@ -0,0 +1,102 @@
+import { ChartLayers, DirtyRegion, getBubbleBounds } from '../dry-field-064a/src/utils/canvasLayers.js';
+
+function createFakeCanvas(width, height) {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+    set: (target, name, value) => { target[name] = value; return true; }
+  });
+  return { width, height, calls, getContext: () => ctx, ctx };
+}
+
+function setup() {
+  const target = createFakeCanvas(800, 400);
+  const layers = new ChartLayers({ createCanvas: createFakeCanvas });
+  layers.resize(target.ctx, 800, 400, 1);
+  return { target, layers };
+}
+
+describe('canvasLayers.js', () => {
+  describe('DirtyRegion', () => {
+    it('should merge overlapping rectangles and keep separate ones apart', () => {
+      const region = new DirtyRegion();
+      region.add({ x: 0, y: 0, w: 10, h: 10 });
+      region.add({ x: 100, y: 100, w: 10, h: 10 });
+      region.add({ x: 5, y: 5, w: 10, h: 10 });
+      expect(region.rects).toEqual([{ x: 100, y: 100, w: 10, h: 10 }, { x: 0, y: 0, w: 15, h: 15 }]);
+    });
+
+    it('should collapse into a bounding box past the rectangle limit', () => {
+      const region = new DirtyRegion({ maxRects: 2 });
+      region.add({ x: 0, y: 0, w: 1, h: 1 });
+      region.add({ x: 10, y: 0, w: 1, h: 1 });
+      region.add({ x: 20, y: 5, w: 1, h: 1 });
+      expect(region.rects).toEqual([{ x: 0, y: 0, w: 21, h: 6 }]);
+    });
+
+    it('should snap to device pixels and go full when covering most of the canvas', () => {
+      const region = new DirtyRegion();
+      region.add({ x: 10.2, y: -5, w: 10, h: 10 });
+      region.finalize(100, 100, 2);
+      expect(region.rects).toEqual([{ x: 10, y: 0, w: 10.5, h: 5 }]);
+      region.add({ x: 0, y: 0, w: 90, h: 90 });
+      region.finalize(100, 100, 2);
+      expect(region.full).toBe(true);
+    });
+  });
+
+  describe('ChartLayers', () => {
+    it('should only re-render a layer when its inputs change', () => {
+      const { layers } = setup();
+      let renders = 0;
+      layers.updateBackground([800, 400, 1, 10], () => renders++);
+      layers.updateBackground([800, 400, 1, 10], () => renders++);
+      expect(renders).toBe(1);
+      layers.updateBackground([800, 400, 2, 10], () => renders++);
+      expect(renders).toBe(2);
+    });
+
+    it('should re-render the static layer when the animated set changes', () => {
+      const { layers } = setup();
+      const a = { x: 10, y: 10, r: 5 };
+      let renders = 0;
+      const inputs = [[a]];
+      layers.updateStaticBubbles(inputs, new Set(), () => renders++);
+      layers.updateStaticBubbles(inputs, new Set(), () => renders++);
+      layers.updateStaticBubbles(inputs, new Set([a]), () => renders++);
+      expect(renders).toBe(2);
+    });
+
+    it('should repaint only around an animated bubble once the layers are current', () => {
+      const { target, layers } = setup();
+      const moving = { x: 100, y: 100, r: 10 };
+      const animated = new Set([moving]);
+      layers.updateBackground([1], () => {});
+      layers.updateStaticBubbles([1], animated, () => {});
+      layers.composite([moving], () => {});
+      target.calls.length = 0;
+
+      moving.x = 110;
+      const drawn = [];
+      layers.updateBackground([1], () => {});
+      layers.updateStaticBubbles([1], animated, () => {});
+      layers.composite([moving], (ctx, b) => drawn.push(b));
+
+      const cleared = target.calls.filter(c => c[0] === 'clearRect');
+      const bounds = getBubbleBounds({ x: 100, y: 100, r: 10 });
+      expect(cleared).toEqual([['clearRect', bounds.x, bounds.y, bounds.w + 10, bounds.h]]);
+      expect(target.calls.filter(c => c[0] === 'drawImage')).toHaveLength(2);
+      expect(drawn).toEqual([moving]);
+    });
+
+    it('should skip the frame when nothing is animating', () => {
+      const { target, layers } = setup();
+      layers.updateBackground([1], () => {});
+      layers.updateStaticBubbles([1], new Set(), () => {});
+      layers.composite([], () => {});
+      target.calls.length = 0;
+      layers.composite([], () => {});
+      expect(target.calls).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const WALLET = '0xd79b937791724e47f193f67162b92cdfbf7abdfd';
+const config = {
+  WIDTH: 800, HEIGHT: 400, CHART_HEIGHT: 350, CHART_PADDING_X: 24, CHART_PADDING_TOP: 10,
+  MIN_PADDING_PERCENT: 0.05, MAX_PADDING_PERCENT: 0.1, BUBBLE_PADDING_FACTOR: 1.2,
+  VELOCITY_POWER: 0.9, BASE_VELOCITY: 0.2, CLUSTER_OVERLAP_THRESHOLD: 0.98
+};
+
+let ChartController, InMemoryDataSource, ComputePipeline, getState, getTimeAxisX, getBubbleKey;
+
+beforeAll(async () => {
+  // The controller schedules frames once a load is ready
+  global.requestAnimationFrame = () => 1;
+  global.cancelAnimationFrame = () => {};
+  ({ ChartController } = await import('../dry-field-064a/src/controllers/ChartController.js'));
+  ({ InMemoryDataSource } = await import('../dry-field-064a/src/data/dataSources.js'));
+  ({ ComputePipeline } = await import('../dry-field-064a/src/data/computePipeline.js'));
+  ({ getTimeAxisX } = await import('../dry-field-064a/src/data/bubbleLayout.js'));
+  ({ getBubbleKey } = await import('../dry-field-064a/src/data/bubbleUtils.js'));
+  ({ getState } = await import('../dry-field-064a/src/state/state.js'));
+});
+
+describe('ChartController.js', () => {
+  it('should lay out later pages on their own and merge them into the bubbles on screen', async () => {
+    const compute = new ComputePipeline();
+    const layout = jest.spyOn(compute, 'layout');
+    const source = new InMemoryDataSource(sample, { pageSize: 4 });
+    const controller = new ChartController(null, null, null, { ...config, dataSource: source, compute });
+    const merged = [];
+    const mergeLoans = controller.mergeLoans.bind(controller);
+    controller.mergeLoans = async (...args) => {
+      const before = getState().allBubbles;
+      await mergeLoans(...args);
+      const { allBubbles: after, axisBubbles, paddedMinDate, paddedMaxDate } = getState();
+      // Positions and axes while this page is merged; the final layout moves the bubbles to another store
+      const positions = after.map(b => ({ x: b.x, r: b.r, xValue: b.xValue, key: getBubbleKey(b) }));
+      merged.push({ before, after, axisBubbles, positions, paddedMinDate, paddedMaxDate });
+    };
+    await controller.loadLoans('__ALL__', 30);
+
+    const total = controller.currentLoans.length;
+    expect(total).toBeGreaterThan(8);
+    // Two later pages, each laid out alone on the first page's axes, then everything once
+    expect(layout.mock.calls.map(([loans]) => loans.length)).toEqual([4, 4, total - 8, total]);
+    // The y and size scales stay those of the first page; the x extent takes in each page
+    expect(layout.mock.calls[1][1].reference.yValue).toHaveLength(4);
+    const pageMaxX = loans => Math.max(...loans.map(loan => loan.dueTime));
+    expect(layout.mock.calls[1][1].reference.xValue[1]).toBe(pageMaxX(layout.mock.calls[1][0]));
+    expect(layout.mock.calls[2][1].reference.xValue[1]).toBe(pageMaxX(layout.mock.calls[2][0]));
+    expect(merged).toHaveLength(2);
+    for (const { before, after } of merged) {
+      expect(after.slice(0, before.length)).toEqual(before);
+      expect(after[after.length - 1].store).toBe(before[0].store);
+    }
+    expect(merged[1].after).toHaveLength(total);
+    // Later pages are due later; every bubble sits where the x axis drawn then puts its value
+    for (const { positions, paddedMinDate, paddedMaxDate } of merged) {
+      for (const { x, r, xValue, key } of positions) {
+        expect(xValue).toBeGreaterThanOrEqual(paddedMinDate);
+        expect(xValue).toBeLessThanOrEqual(paddedMaxDate);
+        const inset = r * config.BUBBLE_PADDING_FACTOR;
+        const expected = getTimeAxisX(xValue, key, paddedMinDate, paddedMaxDate, config.CHART_PADDING_X, config.WIDTH);
+        expect(x).toBeCloseTo(Math.max(config.CHART_PADDING_X + inset, Math.min(config.WIDTH - config.CHART_PADDING_X - inset, expected)), 2);
+      }
+    }
+    expect(merged[1].paddedMaxDate).toBeGreaterThan(merged[0].paddedMaxDate);
+    // The y axis is drawn from the first page's bubbles, whose y scale the merged pages are laid out on
+    expect(merged.map(({ axisBubbles }) => axisBubbles)).toEqual([merged[0].before, merged[0].before]);
+
+    const { allBubbles, clusters, singleBubbles, axisBubbles } = getState();
+    expect(allBubbles).toHaveLength(total);
+    expect(axisBubbles).toBe(allBubbles);
+    expect(clusters.reduce((sum, cluster) => sum + cluster.size, singleBubbles.length)).toBe(total);
+    expect(getState().protocolSummary.reduce((sum, summary) => sum + summary.count, 0)).toBe(total);
+    controller.cleanup();
+  });
+
+  it('should finish a background refresh superseded by a load of another selection', async () => {
+    const memory = new InMemoryDataSource(sample);
+    let beforeNextPage = null;
+    // Ignores the abort signal, like a download that completed just before the switch
+    const source = {
+      id: 'memory',
+      async *fetchLoanPages(wallet, period) {
+        for await (const page of memory.fetchLoanPages(wallet, period)) {
+          const hook = beforeNextPage;
+          beforeNextPage = null;
+          if (hook) await hook();
+          yield page;
+        }
+      }
+    };
+    const controller = new ChartController(null, null, null, { ...config, dataSource: source });
+    await controller.loadLoans('__ALL__', 30);
+
+    beforeNextPage = () => {
+      expect(getState().autoRefresh.refreshing).toBe(true);
+      return controller.loadLoans(WALLET, 30);
+    };
+    await controller.refreshLoans();
+
+    expect(getState().autoRefresh).toMatchObject({ refreshing: false, lastRefreshAt: null, lastDiff: null });
+    expect(getState().currentWallet).toBe(WALLET);
+    expect(getState().status).toBe('ready');
+    controller.cleanup();
+  });
+});
@@ -0,0 +1,177 @@
+import { findClusters, mergeClusters, preserveClusterStates } from '../dry-field-064a/src/data/clusterUtils.js';
+import { bubblesOverlap } from '../dry-field-064a/src/data/bubbleUtils.js';
+import { BubbleStore } from '../dry-field-064a/src/data/bubbleStore.js';
+import { OverlapComponents } from '../dry-field-064a/src/data/bubbleLayout.js';
+
+function bubble(x, y = 0, r = 5) {
+  return { x, y, r };
+}
+
+// The exhaustive all-pairs search findClusters replaced, kept as the reference result
+function findClustersBruteForce(bubbles, threshold) {
+  const visited = new Set();
+  const components = [];
+  for (const start of bubbles) {
+    if (visited.has(start)) continue;
+    const component = [];
+    const queue = [start];
+    visited.add(start);
+    while (queue.length > 0) {
+      const current = queue.pop();
+      component.push(current);
+      for (const other of bubbles) {
+        if (!visited.has(other) && bubblesOverlap(current, other, threshold)) {
+          visited.add(other);
+          queue.push(other);
+        }
+      }
+    }
+    components.push(component);
+  }
+  return components;
+}
+
+function randomBubbles(count, size, seed = 1) {
+  let s = seed;
+  const random = () => ((s = (s * 16807) % 2147483647) / 2147483647);
+  return Array.from({ length: count }, () => bubble(random() * size, random() * size, 2 + random() * 14));
+}
+
+function cluster(bubbles) {
+  const clusters = [];
+  findClusters(bubbles, clusters, [], bubblesOverlap, 0.9, 0.2);
+  return clusters;
+}
+
+describe('clusterUtils.js', () => {
+  describe('preserveClusterStates', () => {
+    it('should keep an expanded cluster expanded under its old id when it gains members', () => {
+      const a = bubble(0);
+      const b = bubble(6);
+      const previous = cluster([a, b]);
+      previous[0].state = 'expanded';
+      previous[0].hovering = true;
+
+      const c = bubble(12);
+      const next = cluster([bubble(100), bubble(106), a, b, c]);
+      const kept = preserveClusterStates(previous, next);
+
+      const grown = next.find(cl => cl.bubbles.includes(a));
+      expect(grown).toMatchObject({ id: previous[0].id, state: 'expanding', hovering: true, packedInitialized: false });
+      expect([...kept]).toEqual(expect.arrayContaining([a, b, c]));
+      expect(kept.size).toBe(3);
+    });
+
+    it('should rename other clusters whose id collides with an inherited one', () => {
+      const a = bubble(0);
+      const b = bubble(6);
+      const previous = cluster([bubble(500), bubble(506), a, b]);
+      const expanded = previous.find(cl => cl.bubbles.includes(a));
+      expanded.state = 'expanded';
+
+      const next = cluster([a, b, bubble(500), bubble(506)]);
+      preserveClusterStates(previous, next);
+
+      const ids = next.map(cl => cl.id);
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(next.find(cl => cl.bubbles.includes(a)).id).toBe(expanded.id);
+    });
+
+    it('should leave clusters alone when nothing was expanded', () => {
+      const a = bubble(0);
+      const b = bubble(6);
+      const previous = cluster([a, b]);
+      const next = cluster([a, b]);
+      expect(preserveClusterStates(previous, next).size).toBe(0);
+      expect(next[0].state).toBe('idle');
+    });
+  });
+
+  describe('findClusters', () => {
+    it('should find the same components, in the same order, as the exhaustive search', () => {
+      for (const threshold of [0.98, 0.6, 1.2]) {
+        const bubbles = randomBubbles(1500, 1200, 7);
+        const clusters = [];
+        const singles = [];
+        findClusters(bubbles, clusters, singles, bubblesOverlap, 0.9, 0.2, threshold);
+        const expected = findClustersBruteForce(bubbles, threshold);
+        expect(clusters.map(cl => cl.bubbles)).toEqual(expected.filter(c => c.length > 1));
+        expect(singles).toEqual(expected.filter(c => c.length === 1).map(c => c[0]));
+        expect(clusters.map(cl => cl.id)).toEqual(clusters.map((_, i) => `cluster-${i}`));
+      }
+    });
+
+    it('should apply the overlap threshold', () => {
+      expect(cluster([bubble(0), bubble(9.5)])).toHaveLength(1);
+      const clusters = [];
+      findClusters([bubble(0), bubble(9.5)], clusters, [], bubblesOverlap, 0.9, 0.2, 0.9);
+      expect(clusters).toHaveLength(0);
+    });
+
+    it('should cluster the bubbles of a store from its columns and record their slots', () => {
+      const plain = randomBubbles(400, 400, 5).map(b => bubble(Math.fround(b.x), Math.fround(b.y), Math.fround(b.r)));
+      const store = new BubbleStore(plain.length);
+      const bubbles = plain.map((b, i) => store.add({ loanId: String(i), protocolName: 'NFTfi' }, { ...b, isAprOutlier: false, isUsdOutlier: false }));
+      const clusters = [];
+      const singles = [];
+      findClusters(bubbles, clusters, singles, bubblesOverlap, 0.9, 0.2);
+
+      const expected = findClustersBruteForce(plain, 0.98);
+      expect(clusters.map(cl => Array.from(cl.indices))).toEqual(expected.filter(c => c.length > 1).map(c => c.map(b => plain.indexOf(b))));
+      expect(clusters.every(cl => cl.store === store && cl.bubbles.every((b, m) => b.index === cl.indices[m]))).toBe(true);
+      expect(singles.length).toBeGreaterThan(0);
+      expect(singles.every(b => b.standalone)).toBe(true);
+      expect(clusters.every(cl => cl.bubbles.every(b => !b.standalone))).toBe(true);
+    });
+
+    it('should outpace the exhaustive search on a large chart', () => {
+      const bubbles = randomBubbles(5000, 4000, 3);
+      let started = performance.now();
+      findClusters(bubbles, [], [], bubblesOverlap, 0.9, 0.2);
+      const grid = performance.now() - started;
+      started = performance.now();
+      findClustersBruteForce(bubbles, 0.98);
+      const bruteForce = performance.now() - started;
+      expect(grid * 5).toBeLessThan(bruteForce);
+    });
+  });
+
+  describe('mergeClusters', () => {
+    const sortedSlots = clusters => clusters.map(cl => Array.from(cl.indices).sort((a, b) => a - b).join()).sort();
+
+    it('should cluster pages of bubbles as findClusters clusters them all at once', () => {
+      const plain = randomBubbles(600, 500, 11).map(b => bubble(Math.fround(b.x), Math.fround(b.y), Math.fround(b.r)));
+      const store = new BubbleStore(100);
+      const add = pageOf => pageOf.map(b => store.add({ loanId: String(store.size), protocolName: 'NFTfi' }, { ...b, isAprOutlier: false, isUsdOutlier: false }));
+      const column = (name, start) => store[name].subarray(start, store.size);
+
+      let bubbles = add(plain.slice(0, 200));
+      let clusters = [];
+      let singles = [];
+      findClusters(bubbles, clusters, singles, bubblesOverlap, 0.9, 0.2);
+      const components = new OverlapComponents();
+      components.add(column('x', 0), column('y', 0), column('r', 0));
+      const first = clusters;
+      first[0].state = 'expanded';
+
+      for (let start = 200; start < plain.length; start += 100) {
+        bubbles = bubbles.concat(add(plain.slice(start, start + 100)));
+        const roots = components.add(column('x', start), column('y', start), column('r', start));
+        ({ clusters, singleBubbles: singles } = mergeClusters(bubbles, components, roots, clusters, singles, 0.9, 0.2));
+      }
+
+      const all = [];
+      const allSingles = [];
+      findClusters(bubbles, all, allSingles, bubblesOverlap, 0.9, 0.2);
+      expect(sortedSlots(clusters)).toEqual(sortedSlots(all));
+      expect(new Set(singles)).toEqual(new Set(allSingles));
+      expect(singles.every(b => b.standalone)).toBe(true);
+      expect(new Set(clusters.map(cl => cl.id)).size).toBe(clusters.length);
+      // Clusters no page touched are the same objects; the expanded one keeps its id either way
+      expect(clusters.some(cl => first.includes(cl))).toBe(true);
+      const expanded = clusters.find(cl => cl.id === first[0].id);
+      expect(expanded.bubbles).toEqual(expect.arrayContaining(first[0].bubbles));
+      expect(['expanded', 'expanding']).toContain(expanded.state);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { ComputePipeline, runComputeJob, getLoanColumns } from '../dry-field-064a/src/data/computePipeline.js';
+import { APR_OUTLIER, getLayoutDomain } from '../dry-field-064a/src/data/bubbleLayout.js';
+import { createLoanBubbleFromAPI, findClusters } from '../dry-field-064a/src/data/clusterUtils.js';
+import { BubbleStore } from '../dry-field-064a/src/data/bubbleStore.js';
+import { bubblesOverlap } from '../dry-field-064a/src/data/bubbleUtils.js';
+import { decodeLoanResponse } from '../dry-field-064a/src/data/loanDecoder.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const loans = decodeLoanResponse(sample).loans.filter(loan => loan.dueTime !== null);
+
+const options = {
+  MIN_PADDING_PERCENT: 0.05,
+  MAX_PADDING_PERCENT: 0.1,
+  CHART_PADDING_X: 24,
+  WIDTH: 800,
+  CHART_PADDING_TOP: 10,
+  CHART_HEIGHT: 350,
+  BUBBLE_PADDING_FACTOR: 1.2,
+  isAllLoansMode: true,
+  overlapThreshold: 0.98
+};
+
+// Answers jobs the way the worker does, after a tick, and records what was transferred
+function createFakeWorker({ fail = false } = {}) {
+  const worker = {
+    transferred: [],
+    terminate: jest.fn(),
+    postMessage({ id, type, payload }, transfer) {
+      worker.transferred.push(...transfer);
+      setTimeout(() => {
+        if (fail) {
+          worker.onmessage({ data: { id, error: 'no d3 here' } });
+          return;
+        }
+        const { result } = runComputeJob(type, structuredClone(payload), { packSiblings: () => {} });
+        worker.onmessage({ data: { id, result } });
+      }, 0);
+    }
+  };
+  return worker;
+}
+
+describe('computePipeline.js', () => {
+  it('should compute on the calling thread where workers are unavailable', async () => {
+    const pipeline = new ComputePipeline();
+    expect(pipeline.isOffThread).toBe(false);
+    const layout = await pipeline.layout(loans, options);
+    expect(layout.x).toBeInstanceOf(Float64Array);
+    expect(layout.offsets[layout.offsets.length - 1]).toBe(loans.length);
+  });
+
+  it('should match the bubbles and clusters of the object-based layout', async () => {
+    const layout = await new ComputePipeline().layout(loans, options);
+    const domain = getLayoutDomain(loans.map(l => l.apr), loans.map(l => l.principalAmountUSD), loans.map(l => l.dueTime), options);
+    const store = new BubbleStore(loans.length);
+    const bubbles = loans.map(loan => createLoanBubbleFromAPI(
+      loan, domain.paddedMinAPR, domain.paddedMaxAPR, domain.paddedMinDue, domain.paddedMaxDue, domain.USD_CLIP_MIN, domain.USD_CLIP_MAX,
+      24, 800, 10, 350, 1.2, true, false, domain.APR_CLIP_TOP, domain.APR_CLIP_BOTTOM, store
+    ));
+    expect(store.capacity).toBe(loans.length);
+    // Bubbles keep their geometry in 32-bit columns
+    expect(Array.from(layout.x, Math.fround)).toEqual(bubbles.map(b => b.x));
+    expect(Array.from(layout.r, Math.fround)).toEqual(bubbles.map(b => b.r));
+    expect(Array.from(layout.flags, f => (f & APR_OUTLIER) !== 0)).toEqual(bubbles.map(b => b.isAprOutlier));
+
+    const clusters = [];
+    findClusters(bubbles, clusters, [], bubblesOverlap, 0.9, 0.2);
+    const clusterSizes = [];
+    for (let k = 0; k + 1 < layout.offsets.length; k++) {
+      const size = layout.offsets[k + 1] - layout.offsets[k];
+      if (size > 1) clusterSizes.push(size);
+    }
+    expect(clusterSizes).toEqual(clusters.map(cl => cl.size));
+  });
+
+  it('should send columns to the worker and transfer their buffers', async () => {
+    const worker = createFakeWorker();
+    const pipeline = new ComputePipeline({ createWorker: () => worker });
+    expect(pipeline.isOffThread).toBe(true);
+    const layout = await pipeline.layout(loans, options);
+    expect(worker.transferred.map(buffer => buffer.byteLength)).toEqual([8, 8, 8].map(size => size * loans.length));
+    expect(layout.r).toHaveLength(loans.length);
+  });
+
+  it('should rerun a job on the calling thread when it fails in the worker', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const packSiblings = jest.fn(circles => circles.forEach((c, i) => { c.x = i * 10; }));
+    const pipeline = new ComputePipeline({ createWorker: () => createFakeWorker({ fail: true }), getPackSiblings: () => packSiblings });
+    const { packedX } = await pipeline.pack([100, 110], [50, 50], [5, 5], { left: 0, right: 800, top: 0, bottom: 400 });
+    expect(packSiblings).toHaveBeenCalled();
+    expect(Array.from(packedX)).toEqual([100, 110]);
+    warn.mockRestore();
+  });
+
+  it('should finish pending jobs here when the worker crashes', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+    const pipeline = new ComputePipeline({ createWorker: () => worker });
+    const pending = pipeline.layout(loans, options);
+    worker.onerror({ message: 'boom' });
+    expect((await pending).x).toHaveLength(loans.length);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(pipeline.isOffThread).toBe(false);
+    warn.mockRestore();
+  });
+
+  it('should cluster positioned circles as findClusters does', async () => {
+    const bubbles = [{ x: 0, y: 0, r: 5 }, { x: 50, y: 0, r: 5 }, { x: 6, y: 0, r: 5 }];
+    const { order, offsets } = await new ComputePipeline().cluster(bubbles.map(b => b.x), bubbles.map(b => b.y), bubbles.map(b => b.r), 0.98);
+    expect(Array.from(order)).toEqual([0, 2, 1]);
+    expect(Array.from(offsets)).toEqual([0, 2, 3]);
+  });
+
+  it('should key loans by protocol and id for jitter', () => {
+    const columns = getLoanColumns(loans.slice(0, 1));
+    expect(columns.keys).toEqual([`${loans[0].protocolName}:${loans[0].loanId}`]);
+  });
+});
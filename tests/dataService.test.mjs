@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import { fetchLoanPages, fetchLoanData, fetchWithRetry, getBackoffDelay, getRetryAfterDelay, buildLoansDueUrl } from '../dry-field-064a/src/data/dataService.js';
+import { DEFAULT_LOAN_META } from '../dry-field-064a/src/data/loanDecoder.js';
+import { NetworkError, HttpStatusError, ParseError, SchemaError, EmptyResultError } from '../dry-field-064a/src/data/errors.js';
+
+function makeLoans(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({
+    loanId: String(offset + i), protocolName: 'NFTfi', apr: 10, principalAmountUSD: 1000, dueTime: '2025-05-20 10:19:47'
+  }));
+}
+
+function stubPagedFetch(total, pageSize) {
+  return jest.fn(async (url) => {
+    const page = Number(new URL(url).searchParams.get('page'));
+    const start = page * pageSize;
+    const rows = makeLoans(Math.max(0, Math.min(pageSize, total - start)), start);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ meta: DEFAULT_LOAN_META, data: rows, rows: rows.length, rows_before_limit_at_least: total })
+    };
+  });
+}
+
+function stubResponse(status, body = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: new Map(), json: async () => body };
+}
+
+describe('dataService.js', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('buildLoansDueUrl', () => {
+    it('should omit the wallets filter in all-loans mode', () => {
+      expect(buildLoansDueUrl('__ALL__', 30, 0, 100)).not.toContain('wallets=');
+      expect(buildLoansDueUrl('0xabc', 30, 2, 100)).toContain('wallets=0xabc&page_size=100&page=2&daysFromNow=30');
+    });
+
+    it('should pass several wallets as one comma-separated list', () => {
+      expect(buildLoansDueUrl(['0xdef', '0xABC'], 30, 0, 100)).toContain('wallets=0xabc,0xdef&');
+    });
+  });
+
+  describe('fetchLoanPages', () => {
+    it('should walk pages until a short page and report progress', async () => {
+      global.fetch = stubPagedFetch(25, 10);
+      const onProgress = jest.fn();
+      const pages = [];
+      for await (const page of fetchLoanPages('__ALL__', 30, { pageSize: 10, onProgress })) {
+        pages.push(page);
+      }
+      expect(pages.map(p => p.data.length)).toEqual([10, 10, 5]);
+      expect(pages[2].done).toBe(true);
+      expect(onProgress).toHaveBeenLastCalledWith(25, 25);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stop requesting pages when the consumer breaks early', async () => {
+      global.fetch = stubPagedFetch(100, 10);
+      for await (const page of fetchLoanPages('__ALL__', 30, { pageSize: 10 })) {
+        if (page.page === 1) break;
+      }
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('fetchLoanData', () => {
+    it('should collect the rows of every page', async () => {
+      global.fetch = stubPagedFetch(2500, 1000);
+      const result = await fetchLoanData('__ALL__', 30);
+      expect(result.data).toHaveLength(2500);
+      expect(result.meta).toEqual(DEFAULT_LOAN_META);
+      expect(result.data[0].dueTime).toBe(Date.UTC(2025, 4, 20, 10, 19, 47));
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially and stay under the cap', () => {
+      const retry = { baseDelay: 100, maxDelay: 1000, random: () => 1 };
+      expect([0, 1, 2, 3, 4].map(a => getBackoffDelay(a, retry))).toEqual([100, 200, 400, 800, 1000]);
+      expect(getBackoffDelay(3, { ...retry, random: () => 0 })).toBe(0);
+    });
+  });
+
+  describe('getRetryAfterDelay', () => {
+    it('should read seconds and HTTP dates and cap both at maxDelay', () => {
+      const now = Date.UTC(2025, 4, 20, 10, 0, 0);
+      const retry = { maxDelay: 8000 };
+      expect(getRetryAfterDelay('2', retry, now)).toBe(2000);
+      expect(getRetryAfterDelay('3600', retry, now)).toBe(8000);
+      expect(getRetryAfterDelay(new Date(now + 5000).toUTCString(), retry, now)).toBe(5000);
+      expect(getRetryAfterDelay(new Date(now + 3600000).toUTCString(), retry, now)).toBe(8000);
+      expect(getRetryAfterDelay(new Date(now - 5000).toUTCString(), retry, now)).toBe(0);
+      expect(getRetryAfterDelay(null, retry, now)).toBeNull();
+      expect(getRetryAfterDelay('soon', retry, now)).toBeNull();
+    });
+  });
+
+  describe('fetchWithRetry', () => {
+    const fastRetry = { retries: 3, baseDelay: 0 };
+
+    it('should wait as long as Retry-After asks, up to maxDelay', async () => {
+      const realSetTimeout = global.setTimeout;
+      const delays = [];
+      const spy = jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+        delays.push(ms);
+        return realSetTimeout(fn, 0);
+      });
+      const withRetryAfter = value => ({ ...stubResponse(503), headers: new Map([['Retry-After', value]]) });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(withRetryAfter('3600'))
+        .mockResolvedValueOnce(withRetryAfter(new Date(Date.now() + 3600000).toUTCString()))
+        .mockResolvedValueOnce(stubResponse(200));
+      try {
+        const response = await fetchWithRetry('https://example.test', { retry: { retries: 3, maxDelay: 5000 } });
+        expect(response.status).toBe(200);
+      } finally {
+        spy.mockRestore();
+      }
+      expect(delays).toEqual([5000, 5000]);
+    });
+
+    it('should retry 429 and 5xx responses until one succeeds', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(stubResponse(429))
+        .mockResolvedValueOnce(stubResponse(503))
+        .mockResolvedValueOnce(stubResponse(200));
+      const response = await fetchWithRetry('https://example.test', { retry: fastRetry });
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry other client errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(404));
+      const response = await fetchWithRetry('https://example.test', { retry: fastRetry });
+      expect(response.status).toBe(404);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the last response once retries run out', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(500));
+      const response = await fetchWithRetry('https://example.test', { retry: fastRetry });
+      expect(response.status).toBe(500);
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should stop backing off when aborted', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(503));
+      const controller = new AbortController();
+      const pending = fetchWithRetry('https://example.test', { signal: controller.signal, retry: { retries: 3, baseDelay: 60000, random: () => 1 } });
+      await Promise.resolve();
+      controller.abort();
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fetchLoanData with an abort signal', () => {
+    it('should pass the signal to fetch and rethrow the AbortError', async () => {
+      const controller = new AbortController();
+      global.fetch = jest.fn((url, { signal }) => {
+        expect(signal).toBe(controller.signal);
+        controller.abort();
+        return Promise.reject(signal.reason);
+      });
+      await expect(fetchLoanData('__ALL__', 30, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('fetchLoanData errors', () => {
+    const noRetry = { retry: { retries: 0 } };
+
+    it('should raise a NetworkError when fetch rejects', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    it('should raise an HttpStatusError carrying the status', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(404));
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toMatchObject({ kind: 'http', status: 404 });
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toBeInstanceOf(HttpStatusError);
+    });
+
+    it('should raise a ParseError for an unreadable body', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ...stubResponse(200), json: async () => { throw new SyntaxError('Unexpected token'); } });
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toBeInstanceOf(ParseError);
+    });
+
+    it('should raise a SchemaError when there is no data array', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(200, { error: 'oops' }));
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toBeInstanceOf(SchemaError);
+    });
+
+    it('should raise an EmptyResultError when no loans match', async () => {
+      global.fetch = jest.fn().mockResolvedValue(stubResponse(200, { meta: DEFAULT_LOAN_META, data: [] }));
+      await expect(fetchLoanData('__ALL__', 30, noRetry)).rejects.toBeInstanceOf(EmptyResultError);
+    });
+  });
+});
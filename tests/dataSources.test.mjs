@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { InMemoryDataSource, StaticJsonDataSource, NftfiDataSource } from '../dry-field-064a/src/data/dataSources.js';
+import { fetchLoanData } from '../dry-field-064a/src/data/dataService.js';
+import { EmptyResultError, HttpStatusError } from '../dry-field-064a/src/data/errors.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const WALLET = '0xd79b937791724e47f193f67162b92cdfbf7abdfd';
+
+async function collect(pages) {
+  const result = [];
+  for await (const page of pages) result.push(page);
+  return result;
+}
+
+describe('dataSources.js', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('InMemoryDataSource', () => {
+    it('should page decoded loans sorted by due time', async () => {
+      const source = new InMemoryDataSource(sample, { pageSize: 4 });
+      const pages = await collect(source.fetchLoanPages('__ALL__', 30));
+      expect(pages.map(p => p.data.length)).toEqual([4, 4, 2]);
+      expect(pages[2].done).toBe(true);
+      const dueTimes = pages.flatMap(p => p.data.map(l => l.dueTime));
+      expect(dueTimes).toEqual([...dueTimes].sort((a, b) => a - b));
+    });
+
+    it('should match wallets case-insensitively', async () => {
+      const source = new InMemoryDataSource(sample);
+      const [page] = await collect(source.fetchLoanPages(WALLET.toUpperCase().replace('0X', '0x'), 30));
+      expect(page.data.length).toBeGreaterThan(0);
+      const [none] = await collect(source.fetchLoanPages('0x0000000000000000000000000000000000000000', 30));
+      expect(none.data).toEqual([]);
+    });
+
+    it('should merge the loans of several wallets', async () => {
+      const source = new InMemoryDataSource(sample);
+      const [single] = await collect(source.fetchLoanPages(WALLET, 30));
+      const [merged] = await collect(source.fetchLoanPages([WALLET, '0x0000000000000000000000000000000000000000'], 30));
+      expect(merged.data).toEqual(single.data);
+    });
+
+    it('should apply the period filter relative to the reference time', async () => {
+      const source = new InMemoryDataSource(sample, { referenceTime: Date.UTC(2025, 4, 19) });
+      const [page] = await collect(source.fetchLoanPages('__ALL__', 1));
+      for (const loan of page.data) {
+        expect(loan.dueTime).toBeLessThanOrEqual(Date.UTC(2025, 4, 20));
+      }
+    });
+
+    it('should feed fetchLoanData without touching the network', async () => {
+      global.fetch = jest.fn();
+      const result = await fetchLoanData('__ALL__', 30, { source: new InMemoryDataSource(sample) });
+      expect(result.data).toHaveLength(sample.data.length);
+      expect(global.fetch).not.toHaveBeenCalled();
+      await expect(fetchLoanData('0x00', 30, { source: new InMemoryDataSource(sample) })).rejects.toBeInstanceOf(EmptyResultError);
+    });
+  });
+
+  describe('StaticJsonDataSource', () => {
+    it('should load the file once and reuse it', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => sample });
+      const source = new StaticJsonDataSource({ url: '/fixtures/loans.json' });
+      await collect(source.fetchLoanPages('__ALL__', 30));
+      await collect(source.fetchLoanPages(WALLET, 30));
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('/fixtures/loans.json');
+    });
+
+    it('should surface a missing file as an HttpStatusError', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404, json: async () => ({}) });
+      const source = new StaticJsonDataSource({ url: '/missing.json' });
+      await expect(collect(source.fetchLoanPages('__ALL__', 30))).rejects.toBeInstanceOf(HttpStatusError);
+    });
+  });
+
+  describe('NftfiDataSource', () => {
+    it('should request the configured endpoint', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ ...sample, data: [] }) });
+      const source = new NftfiDataSource({ endpoint: 'https://example.test/loans.json', pageSize: 50 });
+      await collect(source.fetchLoanPages(WALLET, 7));
+      expect(global.fetch.mock.calls[0][0]).toMatch(/^https:\/\/example\.test\/loans\.json\?wallets=0xd79b.*page_size=50&page=0&daysFromNow=7/);
+    });
+  });
+});
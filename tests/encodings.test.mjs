@@ -0,0 +1,58 @@
+import { readFileSync } from 'fs';
+import {
+  DEFAULT_ENCODING, resolveEncoding, getEncodedValues, isEncodable, formatFieldValue, Y_ENCODINGS, X_ENCODINGS, SIZE_ENCODINGS
+} from '../dry-field-064a/src/data/encodings.js';
+import { getLoanColumns } from '../dry-field-064a/src/data/computePipeline.js';
+import { BubbleStore } from '../dry-field-064a/src/data/bubbleStore.js';
+import { decodeLoanResponse } from '../dry-field-064a/src/data/loanDecoder.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const loans = decodeLoanResponse(sample).loans.filter(loan => loan.dueTime !== null);
+
+describe('encodings.js', () => {
+  it('should default to APR over due time, sized by principal, and drop unknown fields', () => {
+    expect(resolveEncoding(null)).toEqual(DEFAULT_ENCODING);
+    expect(resolveEncoding({ y: 'durationDays', size: 'nope' })).toEqual({ x: 'dueTime', y: 'durationDays', size: 'principal' });
+  });
+
+  it('should read each channel from its loan field', () => {
+    const loan = loans[0];
+    expect(getEncodedValues(loan, DEFAULT_ENCODING)).toEqual({ x: loan.dueTime, y: loan.apr, size: loan.principalAmountUSD });
+    const values = getEncodedValues(loan, { x: 'hoursUntilDue', y: 'interest', size: 'repayment' });
+    expect(values.x).toBe(loan.hoursUntilDue);
+    expect(values.y).toBeCloseTo(loan.maximumRepaymentAmountUSD - loan.principalAmountUSD);
+    expect(values.size).toBe(loan.maximumRepaymentAmountUSD);
+  });
+
+  it('should leave out loans missing a value for an encoded field', () => {
+    const loan = { ...loans[0], durationDays: null };
+    expect(isEncodable(loan, DEFAULT_ENCODING)).toBe(true);
+    expect(isEncodable(loan, { ...DEFAULT_ENCODING, y: 'durationDays' })).toBe(false);
+  });
+
+  it('should lay out and store the encoded values', () => {
+    const encoding = { x: 'startTime', y: 'durationDays', size: 'interest' };
+    const columns = getLoanColumns(loans.slice(0, 2), encoding);
+    expect(Array.from(columns.yValue)).toEqual(loans.slice(0, 2).map(loan => loan.durationDays));
+    expect(Array.from(columns.xValue)).toEqual(loans.slice(0, 2).map(loan => loan.startTime));
+
+    const bubble = new BubbleStore(1, encoding).add(loans[0], { x: 0, y: 0, r: 1 });
+    expect(bubble.xValue).toBe(loans[0].startTime);
+    expect(bubble.yValue).toBe(loans[0].durationDays);
+    expect(bubble.apr).toBe(loans[0].apr);
+  });
+
+  it('should label axis ticks in the field unit', () => {
+    expect(Y_ENCODINGS.apr.format(12)).toBe('12%');
+    expect(Y_ENCODINGS.principalUSD.format(12500)).toBe('$12.5K');
+    expect(Y_ENCODINGS.durationDays.format(30)).toBe('30d');
+    expect(X_ENCODINGS.hoursUntilDue.format(48)).toBe('48h');
+    expect(X_ENCODINGS.dueTime.isTime).toBe(true);
+  });
+
+  it('should give a single value to three significant figures', () => {
+    expect(formatFieldValue(Y_ENCODINGS.apr, 512.345)).toBe('512%');
+    expect(formatFieldValue(Y_ENCODINGS.apr, 45.678)).toBe('45.7%');
+    expect(formatFieldValue(SIZE_ENCODINGS.principal, 1234567)).toBe('$1.23M');
+  });
+});
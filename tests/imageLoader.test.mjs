@@ -0,0 +1,75 @@
+import { ImageLoadQueue } from '../dry-field-064a/src/data/imageLoader.js';
+
+function createFakeImages() {
+  const images = [];
+  const createImage = () => {
+    const img = { src: '', onload: null, onerror: null };
+    images.push(img);
+    return img;
+  };
+  return { images, createImage };
+}
+
+function bubble(id, r, x = 50, y = 50) {
+  return { imageUrls: [`https://img.test/${id}.png`], img: null, r, x, y };
+}
+
+describe('imageLoader.js', () => {
+  it('should cap downloads in flight and start the largest visible bubbles first', () => {
+    const { images, createImage } = createFakeImages();
+    const queue = new ImageLoadQueue({ concurrency: 2, createImage });
+    const viewport = { left: 0, top: 0, right: 100, bottom: 100 };
+    const hiddenLarge = bubble('hidden', 40, 500, 500);
+    const bubbles = [bubble('small', 5), hiddenLarge, bubble('large', 30), bubble('medium', 10)];
+    queue.load(bubbles, 1, viewport);
+    expect(images.map(img => img.src)).toEqual(['https://img.test/large.png', 'https://img.test/medium.png']);
+
+    images[0].onload();
+    expect(bubbles[2].img).toBe(images[0]);
+    expect(images[2].src).toBe('https://img.test/small.png');
+    images[1].onload();
+    expect(images[3].src).toBe('https://img.test/hidden.png');
+  });
+
+  it('should walk the fallback URLs and flag the bubble once all of them fail', () => {
+    const { images, createImage } = createFakeImages();
+    const progress = [];
+    const queue = new ImageLoadQueue({ createImage, onProgress: p => progress.push(p) });
+    const b = { ...bubble('gone', 10), imageUrls: ['https://img.test/small.png', 'https://img.test/large.png'] };
+    queue.load([b], 1);
+    images[0].onerror();
+    expect(images[0].src).toBe('https://img.test/large.png');
+    images[0].onerror();
+    expect(b.img).toBeNull();
+    expect(b.imageFailed).toBe(true);
+    expect(progress.at(-1)).toEqual({ generation: 1, loaded: 0, failed: 1, total: 1, done: true });
+    queue.load([b], 1);
+    expect(images).toHaveLength(1);
+  });
+
+  it('should drop queued and in-flight images when the generation changes', () => {
+    const { images, createImage } = createFakeImages();
+    const queue = new ImageLoadQueue({ concurrency: 1, createImage });
+    const old = [bubble('a', 10), bubble('b', 5)];
+    queue.load(old, 1);
+    const stale = images[0];
+    const staleOnload = stale.onload;
+    queue.load([bubble('c', 10)], 2);
+    expect(stale.src).toBe('');
+    staleOnload();
+    expect(old[0].img).toBeNull();
+    expect(images.map(img => img.src)).toEqual(['', 'https://img.test/c.png']);
+    expect(queue.getProgress()).toMatchObject({ generation: 2, total: 1, done: false });
+  });
+
+  it('should skip bubbles that already have an image or are queued', () => {
+    const { images, createImage } = createFakeImages();
+    const queue = new ImageLoadQueue({ concurrency: 1, createImage });
+    const loaded = { ...bubble('loaded', 10), img: {} };
+    const waiting = bubble('waiting', 10);
+    queue.load([loaded, waiting, bubble('first', 20)], 1);
+    queue.load([waiting], 1);
+    expect(images).toHaveLength(1);
+    expect(queue.getProgress().total).toBe(2);
+  });
+});
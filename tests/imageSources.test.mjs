@@ -0,0 +1,34 @@
+import { fillUrlTemplate, getImageUrls, getCollectionInitials, getImagePlaceholder } from '../dry-field-064a/src/data/imageSources.js';
+
+const loan = {
+  nftImageSmallUri: 'https://img.test/small.png\n',
+  nftImageLargeUri: '',
+  nftProjectImageUri: 'https://img.test/project.png',
+  nftAddress: '0xABC',
+  nftId: '42',
+  nftProjectName: 'Bored Ape Yacht Club',
+  nftName: 'Ape #42'
+};
+
+describe('imageSources.js', () => {
+  it('should list image URLs in fallback order, skipping blanks and repeats', () => {
+    expect(getImageUrls(loan)).toEqual([
+      'https://img.test/small.png',
+      'https://img.test/project.png',
+      'https://nfts.reservoir.tools/token/ethereum/0xABC:42/image/v1'
+    ]);
+    expect(getImageUrls({ ...loan, nftProjectImageUri: 'https://img.test/small.png' }, [{ field: 'nftImageSmallUri' }, { field: 'nftProjectImageUri' }]))
+      .toEqual(['https://img.test/small.png']);
+  });
+
+  it('should leave out templates whose fields are missing', () => {
+    expect(fillUrlTemplate('https://t.test/{nftAddress}/{nftId}', { nftAddress: '0x1', nftId: null })).toBeNull();
+    expect(fillUrlTemplate('https://t.test/{nftId}', { nftId: 'a b' })).toBe('https://t.test/a%20b');
+  });
+
+  it('should seed placeholders by token, or fall back to collection initials', () => {
+    expect(getImagePlaceholder(loan)).toEqual({ seed: '0xabc:42', label: 'BA' });
+    expect(getImagePlaceholder({ nftProjectName: null, nftName: 'Azuki' })).toEqual({ seed: null, label: 'AZ' });
+    expect(getCollectionInitials('')).toBe('?');
+  });
+});
@@ -0,0 +1,68 @@
+import { ImageSpriteCache, getSpriteSize } from '../dry-field-064a/src/utils/imageSprites.js';
+
+function createFakeCanvas(size) {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+    set: (target, name, value) => { target[name] = value; return true; }
+  });
+  return { size, calls, getContext: () => ctx };
+}
+
+const image = (w = 1000, h = 800) => ({ naturalWidth: w, naturalHeight: h });
+
+describe('imageSprites.js', () => {
+  it('should round sprite sizes up to a shared step in device pixels', () => {
+    expect(getSpriteSize(4, 1)).toBe(8);
+    expect(getSpriteSize(4.5, 1)).toBe(16);
+    expect(getSpriteSize(10, 2)).toBe(40);
+  });
+
+  it('should render each image once per size and reuse it across frames', () => {
+    const cache = new ImageSpriteCache({ createCanvas: createFakeCanvas });
+    const img = image();
+    cache.beginFrame(1);
+    const sprite = cache.get(img, 10);
+    expect(sprite.size).toBe(24);
+    expect(sprite.calls.find(c => c[0] === 'drawImage')).toEqual(['drawImage', img, 100, 0, 800, 800, 0, 0, 24, 24]);
+    cache.beginFrame(1);
+    expect(cache.get(img, 9.5)).toBe(sprite);
+    expect(cache.get(img, 20).size).toBe(40);
+    expect(cache.count).toBe(2);
+  });
+
+  it('should share placeholder sprites by token and draw them past the frame budget', () => {
+    const cache = new ImageSpriteCache({ createCanvas: createFakeCanvas, perFrame: 0 });
+    cache.beginFrame(1);
+    const sprite = cache.getPlaceholder({ seed: '0xabc:1', label: 'BA' }, 10);
+    expect(sprite).not.toBeNull();
+    expect(cache.getPlaceholder({ seed: '0xabc:1', label: 'XY' }, 10)).toBe(sprite);
+    expect(cache.getPlaceholder({ seed: null, label: 'BA' }, 10)).not.toBe(sprite);
+    expect(sprite.calls.filter(c => c[0] === 'fillRect').length).toBeGreaterThan(1);
+  });
+
+  it('should drop every sprite when the load generation changes', () => {
+    const cache = new ImageSpriteCache({ createCanvas: createFakeCanvas });
+    const img = image();
+    cache.beginFrame(1);
+    const sprite = cache.get(img, 10);
+    cache.beginFrame(2);
+    expect(cache.count).toBe(0);
+    expect(cache.get(img, 10)).not.toBe(sprite);
+  });
+
+  it('should limit new sprites per frame and evict the least recently drawn', () => {
+    const cache = new ImageSpriteCache({ createCanvas: createFakeCanvas, perFrame: 2, limit: 2 });
+    const [a, b, c] = [image(), image(), image()];
+    cache.beginFrame(1);
+    cache.get(a, 10);
+    cache.get(b, 10);
+    expect(cache.get(c, 10)).toBeNull();
+    cache.beginFrame(1);
+    cache.get(a, 10);
+    cache.get(c, 10);
+    expect(cache.count).toBe(2);
+    expect(cache.sprites.has(b)).toBe(false);
+    expect(cache.sprites.has(a)).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+import { LoanCache, MemoryCacheStore, LocalStorageCacheStore } from '../dry-field-064a/src/data/loanCache.js';
+
+function makeLoan(overrides = {}) {
+  return { protocolName: 'NFTfi', loanId: '1', apr: 10, dueTime: 1000, ...overrides };
+}
+
+function makeStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('loanCache.js', () => {
+  describe('LoanCache', () => {
+    it('should return stored entries until the TTL passes', async () => {
+      let now = 0;
+      const cache = new LoanCache({ store: new MemoryCacheStore(), ttl: 1000, now: () => now });
+      await cache.set('nftfi', '0xABC', 30, { meta: [], loans: [makeLoan()] });
+
+      now = 500;
+      const hit = await cache.get('nftfi', '0xabc', 30);
+      expect(hit.loans).toEqual([makeLoan()]);
+      expect(hit.storedAt).toBe(0);
+
+      now = 1500;
+      expect(await cache.get('nftfi', '0xabc', 30)).toBeNull();
+    });
+
+    it('should key entries by source, wallet and period', async () => {
+      const cache = new LoanCache();
+      await cache.set('nftfi', '__ALL__', 30, { meta: [], loans: [makeLoan()] });
+      expect(await cache.get('nftfi', '__ALL__', 7)).toBeNull();
+      expect(await cache.get('memory', '__ALL__', 30)).toBeNull();
+      expect(await cache.get('nftfi', '__ALL__', 30)).not.toBeNull();
+    });
+
+    it('should persist through localStorage', async () => {
+      const storage = makeStorage();
+      await new LoanCache({ store: new LocalStorageCacheStore(storage) }).set('nftfi', '0xabc', 30, { meta: [], loans: [makeLoan()] });
+      const entry = await new LoanCache({ store: new LocalStorageCacheStore(storage) }).get('nftfi', '0xabc', 30);
+      expect(entry.loans).toEqual([makeLoan()]);
+    });
+
+    it('should warn instead of throwing when the store fails', async () => {
+      const onWarning = jest.fn();
+      const store = { get: async () => { throw new Error('blocked'); }, set: async () => { throw new Error('quota'); } };
+      const cache = new LoanCache({ store, onWarning });
+      await expect(cache.set('nftfi', '0xabc', 30, { meta: [], loans: [] })).resolves.toBeUndefined();
+      await expect(cache.get('nftfi', '0xabc', 30)).resolves.toBeNull();
+      expect(onWarning).toHaveBeenCalledTimes(2);
+    });
+  });
+});
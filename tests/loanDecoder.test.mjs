@@ -0,0 +1,67 @@
+import { readFileSync } from 'fs';
+import { decodeLoanResponse, parseColumnType, parseUtcDateTime } from '../dry-field-064a/src/data/loanDecoder.js';
+import { SchemaError } from '../dry-field-064a/src/data/errors.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+
+describe('loanDecoder.js', () => {
+  describe('parseColumnType', () => {
+    it('should unwrap Nullable and LowCardinality', () => {
+      expect(parseColumnType('Nullable(DateTime)')).toEqual({ base: 'DateTime', nullable: true });
+      expect(parseColumnType('LowCardinality(Nullable(String))')).toEqual({ base: 'String', nullable: true });
+      expect(parseColumnType('Float64')).toEqual({ base: 'Float64', nullable: false });
+    });
+  });
+
+  describe('parseUtcDateTime', () => {
+    it('should read ClickHouse DateTime strings as UTC', () => {
+      expect(parseUtcDateTime('2025-05-20 10:19:47')).toBe(Date.UTC(2025, 4, 20, 10, 19, 47));
+      expect(parseUtcDateTime('2025-05-20')).toBe(Date.UTC(2025, 4, 20));
+      expect(parseUtcDateTime('not a date')).toBeNull();
+    });
+  });
+
+  describe('decodeLoanResponse', () => {
+    it('should decode the sample response without warnings', () => {
+      const { loans, warnings } = decodeLoanResponse(sample);
+      expect(warnings).toEqual([]);
+      expect(loans).toHaveLength(sample.data.length);
+      expect(loans[0].dueTime).toBe(Date.UTC(2025, 4, 20, 10, 19, 47));
+      expect(loans[0].startTime).toBe(Date.UTC(2025, 3, 20, 10, 19, 47));
+      expect(typeof loans[0].apr).toBe('number');
+      expect(loans[0].loanContractAddress).toBeNull();
+    });
+
+    it('should turn nulls and numeric strings into typed values', () => {
+      const { loans } = decodeLoanResponse({
+        meta: sample.meta,
+        data: [{ ...sample.data[0], durationDays: '30', dueTime: null, hoursUntilDue: null }]
+      });
+      expect(loans[0].durationDays).toBe(30);
+      expect(loans[0].dueTime).toBeNull();
+      expect(loans[0].hoursUntilDue).toBeNull();
+    });
+
+    it('should warn about unknown and missing columns', () => {
+      const meta = sample.meta.filter(c => c.name !== 'currencyName').concat({ name: 'extra', type: 'String' });
+      const { loans, warnings } = decodeLoanResponse({ meta, data: [{ ...sample.data[0], extra: 'x' }] });
+      expect(warnings).toEqual(expect.arrayContaining([
+        expect.stringContaining('"currencyName"'),
+        expect.stringContaining('"extra"')
+      ]));
+      expect(loans[0].currencyName).toBeNull();
+      expect(loans[0].extra).toBe('x');
+    });
+
+    it('should reject responses missing a required column', () => {
+      const meta = sample.meta.filter(c => c.name !== 'apr');
+      expect(() => decodeLoanResponse({ meta, data: [] })).toThrow(SchemaError);
+    });
+
+    it('should fall back to the default schema when meta is absent', () => {
+      const { loans, warnings } = decodeLoanResponse({ data: sample.data });
+      expect(warnings).toHaveLength(1);
+      expect(loans[0].dueTime).toBe(Date.UTC(2025, 4, 20, 10, 19, 47));
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { diffLoans, areLoansEqual } from '../dry-field-064a/src/data/loanDiff.js';
+
+function makeLoan(overrides = {}) {
+  return { protocolName: 'NFTfi', loanId: '1', apr: 10, dueTime: 1000, ...overrides };
+}
+
+describe('loanDiff.js', () => {
+  describe('diffLoans', () => {
+    it('should split loans into added, removed, changed and unchanged by loan key', () => {
+      const previous = [makeLoan(), makeLoan({ loanId: '2' }), makeLoan({ loanId: '3' })];
+      const next = [makeLoan(), makeLoan({ loanId: '2', apr: 12 }), makeLoan({ loanId: '4' }), makeLoan({ protocolName: 'Arcade', loanId: '3' })];
+      const diff = diffLoans(previous, next);
+      expect(diff.unchanged.map(l => l.loanId)).toEqual(['1']);
+      expect(diff.changed.map(l => l.loanId)).toEqual(['2']);
+      expect(diff.added.map(l => `${l.protocolName}:${l.loanId}`)).toEqual(['NFTfi:4', 'Arcade:3']);
+      expect(diff.removed.map(l => l.loanId)).toEqual(['3']);
+    });
+  });
+
+  describe('areLoansEqual', () => {
+    it('should ignore order but notice changed fields', () => {
+      const a = [makeLoan(), makeLoan({ loanId: '2' })];
+      expect(areLoansEqual(a, [...a].reverse())).toBe(true);
+      expect(areLoansEqual(a, [makeLoan(), makeLoan({ loanId: '2', apr: 11 })])).toBe(false);
+      expect(areLoansEqual(a, [makeLoan()])).toBe(false);
+    });
+  });
+});
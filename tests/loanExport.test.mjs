@@ -0,0 +1,50 @@
+import { readFileSync } from 'fs';
+import { buildExportRows, toCsv, toJson } from '../dry-field-064a/src/data/loanExport.js';
+import { decodeLoanResponse } from '../dry-field-064a/src/data/loanDecoder.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const { loans } = decodeLoanResponse(sample);
+
+function bubbleFor(loan, extra = {}) {
+  return { protocol: loan.protocolName, loanId: loan.loanId, ...extra };
+}
+
+describe('loanExport.js', () => {
+  const bubbles = [bubbleFor(loans[0], { isAprOutlier: true }), bubbleFor(loans[1]), bubbleFor(loans[2])];
+  const clusters = [{ id: 'cluster-0', bubbles: [bubbles[1], bubbles[2]] }];
+
+  it('should order columns by the response meta and append derived values', () => {
+    const { meta, rows } = buildExportRows(loans, bubbles, clusters, sample.meta);
+    expect(meta.slice(0, sample.meta.length)).toEqual(sample.meta);
+    expect(meta.slice(sample.meta.length).map(c => c.name)).toEqual(['clusterId', 'aprClipped', 'usdClipped', 'wallet', 'role']);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ clusterId: null, aprClipped: true, usdClipped: false });
+    expect(rows[1].clusterId).toBe('cluster-0');
+  });
+
+  it('should only export loans that have a bubble', () => {
+    expect(buildExportRows(loans, bubbles.slice(0, 1), [], sample.meta).rows).toHaveLength(1);
+  });
+
+  it('should write dates as ISO-8601 UTC', () => {
+    const { rows } = buildExportRows(loans, bubbles, clusters, sample.meta);
+    expect(rows[0].dueTime).toBe(new Date(loans[0].dueTime).toISOString());
+    expect(rows[0].dueTime).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+  });
+
+  it('should quote CSV fields and neutralise formulas', () => {
+    const meta = [{ name: 'protocolName', type: 'String' }, { name: 'loanId', type: 'String' }, { name: 'nftName', type: 'String' }, { name: 'apr', type: 'Float64' }];
+    const loan = { protocolName: 'NFTfi', loanId: '7', nftName: '=HYPERLINK("x"), "quoted"', apr: -1 };
+    const csv = toCsv(buildExportRows([loan], [bubbleFor(loan)], [], meta));
+    const [header, line] = csv.trim().split('\r\n');
+    expect(header).toBe('protocolName,loanId,nftName,apr,clusterId,aprClipped,usdClipped,wallet,role');
+    expect(line).toBe(`NFTfi,7,"'=HYPERLINK(""x""), ""quoted""",-1,,false,false,,`);
+  });
+
+  it('should write JSON that decodes back into the same loans', () => {
+    const json = JSON.parse(toJson(buildExportRows(loans, bubbles, clusters, sample.meta), 0));
+    expect(json.exportedAt).toBe('1970-01-01T00:00:00.000Z');
+    const decoded = decodeLoanResponse(json).loans;
+    expect(decoded.map(l => l.dueTime)).toEqual(loans.slice(0, 3).map(l => l.dueTime));
+  });
+});
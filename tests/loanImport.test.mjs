@@ -0,0 +1,49 @@
+import { readFileSync } from 'fs';
+import { parseCsvRecords, parseLoanFile } from '../dry-field-064a/src/data/loanImport.js';
+import { buildExportRows, toCsv, toJson } from '../dry-field-064a/src/data/loanExport.js';
+import { decodeLoanResponse } from '../dry-field-064a/src/data/loanDecoder.js';
+import { ParseError, SchemaError } from '../dry-field-064a/src/data/errors.js';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const { loans } = decodeLoanResponse(sample);
+const bubbles = loans.map(loan => ({ protocol: loan.protocolName, loanId: loan.loanId }));
+
+describe('loanImport.js', () => {
+  it('should parse quoted CSV fields with commas, quotes and line breaks', () => {
+    expect(parseCsvRecords('a,b\r\n"x, ""y""","line\nbreak"\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, "y"', 'line\nbreak']
+    ]);
+    expect(() => parseCsvRecords('a\n"open')).toThrow(ParseError);
+  });
+
+  it('should read an exported CSV back into the same loans', () => {
+    const csv = toCsv(buildExportRows(loans, bubbles, [], sample.meta));
+    const { response, loanCount } = parseLoanFile(csv, 'loans.csv');
+    expect(loanCount).toBe(loans.length);
+    expect(response.meta).toEqual(sample.meta);
+    const decoded = decodeLoanResponse(response).loans;
+    expect(decoded.map(l => [l.loanId, l.apr, l.dueTime, l.nftName])).toEqual(loans.map(l => [l.loanId, l.apr, l.dueTime, l.nftName]));
+  });
+
+  it('should accept exported JSON, a raw response and a bare array of rows', () => {
+    const exported = toJson(buildExportRows(loans, bubbles, [], sample.meta), 0);
+    expect(parseLoanFile(exported, 'loans.json').loanCount).toBe(loans.length);
+    expect(parseLoanFile(JSON.stringify(sample), 'response.json').loanCount).toBe(loans.length);
+    expect(parseLoanFile(JSON.stringify(sample.data)).loanCount).toBe(loans.length);
+  });
+
+  it('should skip invalid and repeated rows with a warning', () => {
+    const data = [sample.data[0], { ...sample.data[1], apr: '' }, sample.data[0], sample.data[2]];
+    const { response, warnings } = parseLoanFile(JSON.stringify({ meta: sample.meta, data }), 'loans.json');
+    expect(response.data).toEqual([sample.data[0], sample.data[2]]);
+    expect(warnings.at(-1)).toMatch(/Skipped 2 invalid row\(s\): row 2 has no apr; row 3 repeats loan/);
+  });
+
+  it('should reject files without required columns or valid rows', () => {
+    expect(() => parseLoanFile('protocolName,loanId\nNFTfi,1', 'loans.csv')).toThrow(SchemaError);
+    expect(() => parseLoanFile('{"rows": []}', 'loans.json')).toThrow(SchemaError);
+    expect(() => parseLoanFile('{not json', 'loans.json')).toThrow(ParseError);
+    expect(() => parseLoanFile(JSON.stringify({ meta: sample.meta, data: [] }), 'loans.json')).toThrow('no valid loans');
+  });
+});
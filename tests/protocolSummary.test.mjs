@@ -0,0 +1,44 @@
+import { summarizeProtocols, filterLoansByProtocol, toggleProtocolVisibility } from '../dry-field-064a/src/data/protocolSummary.js';
+import { THEMES, getProtocolColor } from '../dry-field-064a/src/config/themes.js';
+
+const loans = [
+  { protocolName: 'Gondi', principalAmountUSD: 100 },
+  { protocolName: 'NFTfi', principalAmountUSD: 500 },
+  { protocolName: 'Gondi', principalAmountUSD: 300 },
+  { protocolName: '', principalAmountUSD: null }
+];
+
+describe('protocolSummary.js', () => {
+  it('should count and total the loans of each protocol, largest principal first', () => {
+    expect(summarizeProtocols(loans)).toEqual([
+      { protocol: 'NFTfi', count: 1, principalUSD: 500 },
+      { protocol: 'Gondi', count: 2, principalUSD: 400 },
+      { protocol: '', count: 1, principalUSD: 0 }
+    ]);
+    expect(filterLoansByProtocol(loans, ['Gondi', '']).map(loan => loan.protocolName)).toEqual(['NFTfi']);
+    expect(filterLoansByProtocol(loans, [])).toBe(loans);
+  });
+
+  it('should add a page of loans to the totals of earlier pages', () => {
+    const previous = summarizeProtocols(loans.slice(0, 2));
+    expect(summarizeProtocols(loans.slice(2), previous)).toEqual(summarizeProtocols(loans));
+    expect(previous).toEqual(summarizeProtocols(loans.slice(0, 2)));
+  });
+
+  it('should toggle and isolate protocols without hiding the last one shown', () => {
+    const protocols = ['NFTfi', 'Gondi', 'Arcade'];
+    expect(toggleProtocolVisibility([], 'Gondi', protocols)).toEqual(['Gondi']);
+    expect(toggleProtocolVisibility(['Gondi'], 'Gondi', protocols)).toEqual([]);
+    expect(toggleProtocolVisibility(['NFTfi', 'Arcade'], 'Gondi', protocols)).toEqual(['NFTfi', 'Arcade']);
+    expect(toggleProtocolVisibility(['Gondi'], 'Gondi', protocols, true)).toEqual(['NFTfi', 'Arcade']);
+    expect(toggleProtocolVisibility(['NFTfi', 'Arcade'], 'Gondi', protocols, true)).toEqual([]);
+  });
+
+  it('should give unknown protocols a stable color from the theme instead of the default', () => {
+    const theme = THEMES.dark;
+    expect(getProtocolColor(theme, 'Gondi')).toBe(theme.protocolColors.Gondi);
+    expect(getProtocolColor(theme, '')).toBe(theme.defaultProtocolColor);
+    expect(theme.extraProtocolColors).toContain(getProtocolColor(theme, 'SomeNewProtocol'));
+    expect(getProtocolColor(theme, 'SomeNewProtocol')).toBe(getProtocolColor(theme, 'SomeNewProtocol'));
+  });
+});
@@ -0,0 +1,72 @@
+import { createScale, getTickDecimals, niceLinearTicks } from '../dry-field-064a/src/data/scales.js';
+import { computeBubbleGeometry, getYScale, getLayoutDomain } from '../dry-field-064a/src/data/bubbleLayout.js';
+import { Y_ENCODINGS } from '../dry-field-064a/src/data/encodings.js';
+
+const layout = { CHART_PADDING_X: 24, WIDTH: 800, CHART_PADDING_TOP: 10, CHART_HEIGHT: 350, BUBBLE_PADDING_FACTOR: 1.2, isAllLoansMode: true };
+
+describe('scales.js', () => {
+  it('should keep decimal ticks on a narrow linear range', () => {
+    const ticks = createScale('linear', [12.1, 12.3, 12.4]).ticks(8);
+    expect(ticks.map(tick => tick.value)).toEqual([12.1, 12.15, 12.2, 12.25, 12.3, 12.35, 12.4]);
+    expect(ticks.map(tick => Y_ENCODINGS.apr.format(tick.value, tick.step)).slice(0, 2)).toEqual(['12.10%', '12.15%']);
+    expect(getTickDecimals(10)).toBe(0);
+    expect(niceLinearTicks(0, 10, 5)).toEqual([0, 2, 4, 6, 8, 10]);
+  });
+
+  it('should give log scales labelled decades and unlabelled minor ticks', () => {
+    const scale = createScale('log', [1, 5000]);
+    const ticks = scale.ticks(8);
+    expect(ticks.filter(tick => tick.major).map(tick => tick.value)).toEqual([1, 10, 100, 1000]);
+    expect(ticks.filter(tick => !tick.major).map(tick => tick.value).slice(0, 3)).toEqual([2, 3, 4]);
+    expect(scale.normalize(100)).toBeCloseTo(2 / Math.log10(5000));
+    expect(scale.normalize(0)).toBeLessThan(0);
+  });
+
+  it('should start log scales at the smallest positive value', () => {
+    const scale = createScale('log', [-5, 0, 2, 20]);
+    expect(scale.min).toBe(2);
+    expect(createScale('log', [-5, 0]).type).toBe('linear');
+  });
+
+  it('should rank values on a percentile scale and label ticks with the values', () => {
+    const scale = createScale('percentile', [1, 2, 2, 1000]);
+    expect(scale.normalize(1)).toBe(0);
+    expect(scale.normalize(2)).toBe(0.5);
+    expect(scale.normalize(1000)).toBe(1);
+    expect(scale.ticks(4).map(tick => tick.value)).toEqual([1, 2, 1000]);
+  });
+
+  it('should clip linear and log scales to the 2nd–98th percentile, and percentile scales to nothing', () => {
+    const values = Array.from({ length: 101 }, (_, i) => i);
+    expect([getYScale(values).min, getYScale(values).max]).toEqual([2, 98]);
+    expect([getYScale(values, 'percentile').min, getYScale(values, 'percentile').max]).toEqual([0, 100]);
+  });
+
+  it('should explain clipping in notes, and span every value with clipping off', () => {
+    const values = Array.from({ length: 101 }, (_, i) => i);
+    const options = { MIN_PADDING_PERCENT: 0.05, MAX_PADDING_PERCENT: 0.1, isAllLoansMode: true };
+    const clipped = getLayoutDomain(values, values, values, options);
+    expect([clipped.APR_CLIP_BOTTOM, clipped.APR_CLIP_TOP, clipped.USD_CLIP_MIN, clipped.USD_CLIP_MAX]).toEqual([2, 98, 2, 98]);
+    expect(clipped.APR_CLIP_NOTE).toMatch(/pinned to the chart edge/);
+    expect(clipped.USD_CLIP_NOTE).toMatch(/clipped to the 2nd–98th percentile/);
+
+    const unclipped = getLayoutDomain(values, values, values, { ...options, clipOutliers: false });
+    expect([unclipped.APR_CLIP_BOTTOM, unclipped.APR_CLIP_TOP, unclipped.USD_CLIP_MIN, unclipped.USD_CLIP_MAX]).toEqual([0, 100, 0, 100]);
+    expect([unclipped.APR_CLIP_NOTE, unclipped.USD_CLIP_NOTE]).toEqual(['', '']);
+    const bounds = { minDue: 0, maxDue: 100, yScale: getYScale(values, 'linear', false), sizeScale: getYScale(values, 'linear', false) };
+    const { isAprOutlier, isUsdOutlier } = computeBubbleGeometry(100, 100, 50, 'a', bounds, layout);
+    expect([isAprOutlier, isUsdOutlier]).toEqual([false, false]);
+  });
+
+  it('should place bubbles where the axis ticks of their value are', () => {
+    const yScale = createScale('log', [1, 10, 100, 1000]);
+    const sizeScale = createScale('linear', [1, 2]);
+    const bounds = { minDue: 0, maxDue: 1, yScale, sizeScale };
+    const tick = yScale.ticks(8).find(t => t.value === 100);
+    const { y, isAprOutlier } = computeBubbleGeometry(100, 1, 0.5, 'a', bounds, layout);
+    const tickY = layout.CHART_PADDING_TOP + (layout.CHART_HEIGHT - layout.CHART_PADDING_TOP) * (1 - tick.t);
+    expect(Math.abs(y - tickY)).toBeLessThanOrEqual(5);
+    expect(isAprOutlier).toBe(false);
+    expect(computeBubbleGeometry(-1, 1, 0.5, 'a', bounds, layout).isAprOutlier).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+import { BubbleGrid } from '../dry-field-064a/src/utils/spatialIndex.js';
+import { seededRandom } from '../dry-field-064a/src/data/bubbleUtils.js';
+
+function makeColumns(count, width, height) {
+  const columns = { x: new Float32Array(count), y: new Float32Array(count), r: new Float32Array(count) };
+  for (let i = 0; i < count; i++) {
+    columns.x[i] = seededRandom(`b${i}`, 1) * width;
+    columns.y[i] = seededRandom(`b${i}`, 2) * height;
+    columns.r[i] = 4 + seededRandom(`b${i}`, 3) * 12;
+  }
+  return columns;
+}
+
+function linearHitTest({ x: xs, y: ys, r }, x, y) {
+  let closest = -1;
+  let minDist = Infinity;
+  for (let i = 0; i < xs.length; i++) {
+    const dist = Math.hypot(xs[i] - x, ys[i] - y);
+    if (dist < r[i] && dist < minDist) {
+      minDist = dist;
+      closest = i;
+    }
+  }
+  return closest;
+}
+
+describe('spatialIndex.js', () => {
+  it('should find the same bubble as a linear scan', () => {
+    const columns = makeColumns(2000, 800, 400);
+    const grid = new BubbleGrid();
+    grid.rebuild(columns, 2000);
+    for (let i = 0; i < 500; i++) {
+      const x = seededRandom(`q${i}`, 1) * 820 - 10;
+      const y = seededRandom(`q${i}`, 2) * 420 - 10;
+      expect(grid.query(x, y)).toBe(linearHitTest(columns, x, y));
+    }
+  });
+
+  it('should follow bubbles that move and grow after an update', () => {
+    const columns = { x: [10, 10], y: [10, 10], r: [5, 5] };
+    const grid = new BubbleGrid();
+    grid.rebuild(columns, 1);
+    columns.x[0] = 300;
+    columns.r[0] = 40;
+    grid.update([0]);
+    expect(grid.query(10, 10)).toBe(-1);
+    expect(grid.query(335, 10)).toBe(0);
+    grid.update([1]);
+    expect(grid.query(10, 10)).toBe(-1);
+    columns.x[0] = 10;
+    grid.updateAll();
+    expect(grid.query(10, 10)).toBe(0);
+  });
+
+  it('should answer a query well under a millisecond with 50k bubbles', () => {
+    const grid = new BubbleGrid();
+    grid.rebuild(makeColumns(50000, 1600, 900), 50000);
+    const queries = 2000;
+    const start = performance.now();
+    for (let i = 0; i < queries; i++) {
+      grid.query((i * 37) % 1600, (i * 53) % 900);
+    }
+    expect((performance.now() - start) / queries).toBeLessThan(0.5);
+  });
+});
@@ -0,0 +1,25 @@
+import { THEMES, THEME_OPTIONS, getSystemThemeName, getTheme } from '../dry-field-064a/src/config/themes.js';
+import { PROTOCOL_COLORS } from '../dry-field-064a/src/config/constants.js';
+
+const keysOf = (value) => Object.entries(value).flatMap(([key, inner]) =>
+  inner && typeof inner === 'object' && key !== 'protocolColors' ? keysOf(inner).map(k => `${key}.${k}`) : [key]);
+
+describe('themes.js', () => {
+  it('should follow the system unless the user picked a theme', () => {
+    expect(getTheme('auto', 'light')).toBe(THEMES.light);
+    expect(getTheme('highContrast', 'light')).toBe(THEMES.highContrast);
+    expect(getTheme('nope', undefined)).toBe(THEMES.dark);
+    expect(getSystemThemeName(true, false)).toBe('light');
+    expect(getSystemThemeName(false, false)).toBe('dark');
+    expect(getSystemThemeName(true, true)).toBe('highContrast');
+  });
+
+  it('should give every theme the same colors, and a color for every known protocol', () => {
+    const darkKeys = keysOf(THEMES.dark).sort();
+    for (const name of Object.keys(THEMES)) {
+      expect(keysOf(THEMES[name]).sort()).toEqual(darkKeys);
+      expect(Object.keys(THEMES[name].protocolColors).sort()).toEqual(Object.keys(PROTOCOL_COLORS).sort());
+      expect(THEME_OPTIONS[name]).toBe(THEMES[name].label);
+    }
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  clampTimeRange, isFullTimeRange, zoomTimeRange, panTimeRange, timeAtX, rescaleBubblesToTime
+} from '../dry-field-064a/src/utils/timeZoom.js';
+import { computeBubbleGeometry } from '../dry-field-064a/src/data/bubbleLayout.js';
+
+const full = { min: 0, max: 1000 };
+
+describe('timeZoom.js', () => {
+  it('should keep the time under the pointer in place when zooming', () => {
+    const view = zoomTimeRange(full, full, 250, 0.5, 10);
+    expect(view).toEqual({ min: 125, max: 625 });
+    expect(timeAtX(50 + 0.25 * 900, view, 50, 1000)).toBeCloseTo(250);
+  });
+
+  it('should clamp zooming to the data range and the minimum span', () => {
+    expect(zoomTimeRange({ min: 100, max: 200 }, full, 150, 0.01, 10)).toEqual({ min: 145, max: 155 });
+    expect(zoomTimeRange({ min: 800, max: 1000 }, full, 1000, 3, 10)).toEqual({ min: 400, max: 1000 });
+    expect(isFullTimeRange(zoomTimeRange({ min: 100, max: 600 }, full, 300, 10, 10), full)).toBe(true);
+  });
+
+  it('should pan without leaving the data range', () => {
+    expect(panTimeRange({ min: 100, max: 300 }, full, 50)).toEqual({ min: 150, max: 350 });
+    expect(panTimeRange({ min: 100, max: 300 }, full, -500)).toEqual({ min: 0, max: 200 });
+    expect(panTimeRange({ min: 700, max: 900 }, full, 500)).toEqual({ min: 800, max: 1000 });
+    expect(clampTimeRange({ min: -50, max: 50 }, full, 10)).toEqual({ min: 0, max: 100 });
+  });
+
+  it('should place bubbles as the initial layout does on the full range, and spread them when zoomed', () => {
+    const layout = { CHART_PADDING_X: 24, WIDTH: 800, BUBBLE_PADDING_FACTOR: 1.2 };
+    const loans = [100, 400, 999].map((xValue, i) => ({ xValue, protocol: 'NFTfi', loanId: String(i), r: 10 }));
+    const bubbles = loans.map(loan => ({ ...loan }));
+
+    rescaleBubblesToTime(bubbles, full, true, layout);
+    loans.forEach((loan, i) => {
+      const { x } = computeBubbleGeometry(
+        1, 1, loan.xValue, `NFTfi:${loan.loanId}`,
+        { minDue: 0, maxDue: 1000, minUSD: 1, maxUSD: 1, aprClipTop: 2, aprClipBottom: 0 },
+        { ...layout, CHART_PADDING_TOP: 0, CHART_HEIGHT: 400, isAllLoansMode: false }
+      );
+      expect(bubbles[i].x).toBe(x);
+      expect(bubbles[i].initialX).toBe(x);
+    });
+
+    rescaleBubblesToTime(bubbles, { min: 300, max: 500 }, false, layout);
+    expect(bubbles[0].x).toBeLessThan(layout.CHART_PADDING_X);
+    expect(bubbles[1].x).toBeGreaterThan(350);
+    expect(bubbles[1].x).toBeLessThan(450);
+    expect(bubbles[2].x).toBeGreaterThan(layout.WIDTH);
+  });
+
+  it('should retarget bubbles mid-transition instead of moving them', () => {
+    const bubble = { xValue: 500, protocol: 'NFTfi', loanId: '1', x: 5, r: 0, inTransition: true, toX: 0, toR: 8 };
+    rescaleBubblesToTime([bubble], { min: 0, max: 1000 }, false, { CHART_PADDING_X: 0, WIDTH: 1000, BUBBLE_PADDING_FACTOR: 1 });
+    expect(bubble.x).toBe(5);
+    expect(bubble.toX).toBeCloseTo(500, -1);
+  });
+});
@@ -0,0 +1,57 @@
+import { startMoveTransition, startEnterTransition, startExitTransition, stepBubbleTransitions, hasActiveTransitions } from '../dry-field-064a/src/utils/transitions.js';
+import { BubbleStore } from '../dry-field-064a/src/data/bubbleStore.js';
+
+const loan = (loanId) => ({ loanId, protocolName: 'NFTfi', apr: 10, principalAmountUSD: 100, dueTime: 0 });
+
+function addBubble(store, x, y, r) {
+  return store.add(loan(String(store.size)), { x, y, r, isAprOutlier: false, isUsdOutlier: false });
+}
+
+function run(store, frames) {
+  let active = true;
+  let steps = 0;
+  while (active) {
+    active = stepBubbleTransitions(store, frames);
+    steps++;
+  }
+  return steps;
+}
+
+describe('transitions.js', () => {
+  it('should tween a moved bubble from its old position to the new one', () => {
+    const store = new BubbleStore(1);
+    const b = addBubble(store, 100, 50, 10);
+    startMoveTransition(b, { x: 0, y: 0, r: 5 });
+    expect(b).toMatchObject({ x: 0, y: 0, r: 5, inTransition: true });
+    stepBubbleTransitions(store, 10);
+    expect(b.x).toBeGreaterThan(0);
+    expect(b.x).toBeLessThan(100);
+    expect(run(store, 10)).toBe(9);
+    expect(b).toMatchObject({ x: 100, y: 50, r: 10, inTransition: false, fadeAlpha: 1 });
+    expect(hasActiveTransitions(store)).toBe(false);
+  });
+
+  it('should fade entering bubbles in and exiting bubbles out', () => {
+    const store = new BubbleStore(2);
+    const entering = addBubble(store, 10, 10, 8);
+    const exiting = addBubble(store, 20, 20, 8);
+    startEnterTransition(entering);
+    startExitTransition(exiting);
+    expect(entering).toMatchObject({ r: 0, fadeAlpha: 0 });
+    expect(hasActiveTransitions(store)).toBe(true);
+    run(store, 5);
+    expect(entering.r).toBe(8);
+    expect(entering.fadeAlpha).toBe(1);
+    expect(exiting).toMatchObject({ exiting: true, fadeAlpha: 0, inTransition: false });
+  });
+
+  it('should leave the slots of bubbles moved to another store alone', () => {
+    const before = new BubbleStore(1);
+    const b = addBubble(before, 0, 0, 5);
+    startEnterTransition(b);
+    const after = new BubbleStore(1);
+    b.moveTo(after, addBubble(after, 30, 30, 5).index);
+    expect(hasActiveTransitions(before)).toBe(false);
+    expect(b.inTransition).toBe(false);
+  });
+});
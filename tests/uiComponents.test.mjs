@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+
+const sample = JSON.parse(readFileSync(new URL('../sample_api_response.json', import.meta.url), 'utf8'));
+const config = {
+  WIDTH: 800, HEIGHT: 400, CHART_HEIGHT: 350, CHART_PADDING_X: 24, CHART_PADDING_TOP: 10,
+  MIN_PADDING_PERCENT: 0.05, MAX_PADDING_PERCENT: 0.1, BUBBLE_PADDING_FACTOR: 1.2,
+  VELOCITY_POWER: 0.9, BASE_VELOCITY: 0.2, CLUSTER_OVERLAP_THRESHOLD: 0.98
+};
+
+let ChartController, InMemoryDataSource, parseLoanFile, updateTooltip, getState;
+
+beforeAll(async () => {
+  global.requestAnimationFrame = () => 1;
+  global.cancelAnimationFrame = () => {};
+  ({ ChartController } = await import('../dry-field-064a/src/controllers/ChartController.js'));
+  ({ InMemoryDataSource } = await import('../dry-field-064a/src/data/dataSources.js'));
+  ({ parseLoanFile } = await import('../dry-field-064a/src/data/loanImport.js'));
+  ({ updateTooltip } = await import('../dry-field-064a/src/ui/uiComponents.js'));
+  ({ getState } = await import('../dry-field-064a/src/state/state.js'));
+});
+
+describe('uiComponents.js', () => {
+  it('should show names, protocols and image URLs of imported loans as text in the tooltip', async () => {
+    const name = '<img src=x onerror="alert(1)">';
+    const imageUrl = 'https://example.com/a.png" onerror="alert(2)';
+    const data = sample.data.map(row => ({
+      ...row, nftName: name, protocolName: `${row.protocolName}<b>`,
+      nftProjectImageUri: imageUrl, nftImageSmallUri: imageUrl, nftImageLargeUri: imageUrl
+    }));
+    const { response } = parseLoanFile(JSON.stringify({ meta: sample.meta, data }), 'loans.json');
+    const controller = new ChartController(null, null, null, { ...config, dataSource: new InMemoryDataSource(response) });
+    await controller.loadLoans('__ALL__', 30);
+
+    const { allBubbles, singleBubbles, clusters } = getState();
+    const bubble = allBubbles[0];
+    expect(bubble.name).toBe(name);
+    const tooltip = { innerHTML: '', style: {} };
+    updateTooltip(tooltip, bubble.x, bubble.y, singleBubbles, clusters, { offsetLeft: 0, offsetTop: 0 }, allBubbles);
+
+    expect(tooltip.style.visibility).toBe('visible');
+    expect(tooltip.innerHTML).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(tooltip.innerHTML).toMatch(/&lt;b&gt;/);
+    expect(tooltip.innerHTML).not.toContain('<img src=x');
+    expect(tooltip.innerHTML).not.toContain('<b>');
+    expect(tooltip.innerHTML).not.toContain('" onerror=');
+    controller.cleanup();
+  });
+});
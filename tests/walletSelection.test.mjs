@@ -0,0 +1,45 @@
+import { normalizeWalletSelection, walletSelectionKey, getLoanWallet, getLoanRole, filterLoansByRole } from '../dry-field-064a/src/data/walletSelection.js';
+
+describe('walletSelection.js', () => {
+  describe('normalizeWalletSelection', () => {
+    it('should lowercase, de-duplicate and sort wallet lists', () => {
+      expect(normalizeWalletSelection('__ALL__')).toBe('__ALL__');
+      expect(normalizeWalletSelection('0xABC')).toEqual(['0xabc']);
+      expect(normalizeWalletSelection(['0xdef', '0xABC', '0xabc', ''])).toEqual(['0xabc', '0xdef']);
+      expect(walletSelectionKey(['0xdef', '0xabc'])).toBe(walletSelectionKey(['0xABC', '0xdef']));
+    });
+  });
+
+  describe('getLoanWallet', () => {
+    const loan = { borrowerAddress: '0xAAA', lenderAddress: '0xbbb' };
+
+    it('should attribute a loan to the selected borrower or lender', () => {
+      expect(getLoanWallet(loan, ['0xbbb', '0xccc'])).toBe('0xbbb');
+      expect(getLoanWallet(loan, ['0xaaa', '0xbbb'])).toBe('0xaaa');
+      expect(getLoanWallet(loan, '__ALL__')).toBeNull();
+    });
+  });
+
+  describe('getLoanRole', () => {
+    it('should detect the role regardless of address case', () => {
+      const loan = { borrowerAddress: '0xAbC', lenderAddress: '0xDeF' };
+      expect(getLoanRole(loan, '0xabc')).toBe('borrower');
+      expect(getLoanRole(loan, '0xDEF')).toBe('lender');
+      expect(getLoanRole(loan, ['0xabc', '0xdef'])).toBe('both');
+      expect(getLoanRole(loan, '__ALL__')).toBeNull();
+    });
+  });
+
+  describe('filterLoansByRole', () => {
+    it('should keep loans on the requested side, plus loans on both sides', () => {
+      const borrowed = { loanId: '1', borrowerAddress: '0xAAA', lenderAddress: '0xbbb' };
+      const lent = { loanId: '2', borrowerAddress: '0xccc', lenderAddress: '0xaaa' };
+      const loans = [borrowed, lent];
+      expect(filterLoansByRole(loans, '0xaaa', 'borrowing')).toEqual([borrowed]);
+      expect(filterLoansByRole(loans, '0xaaa', 'lending')).toEqual([lent]);
+      expect(filterLoansByRole(loans, '0xaaa', 'both')).toEqual(loans);
+      expect(filterLoansByRole(loans, '__ALL__', 'lending')).toEqual(loans);
+      expect(filterLoansByRole(loans, ['0xaaa', '0xccc'], 'lending')).toEqual([lent]);
+    });
+  });
+});